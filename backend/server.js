@@ -8,6 +8,7 @@ import { WebSocketServer } from 'ws';
 import { bootstrap } from './src/app/bootstrap.js';
 import nodeOrchestrator from './src/app/NodeOrchestrator.js';
 import workflowOrchestrator from './src/app/WorkflowOrchestrator.js';
+import webhookService from './src/app/WebhookService.js';
 import eventBus from './src/shared/EventBus.js';
 import logger from './src/observability/logger.js';
 
@@ -20,8 +21,12 @@ await bootstrap();
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+// Webhook executions also receive the raw request body
+const keepRawBody = (req, res, buffer) => {
+  req.rawBody = buffer;
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // Request logging
 app.use((req, res, next) => {
@@ -41,9 +46,112 @@ app.get('/api/nodes', async (req, res) => {
   res.json({ nodes });
 });
 
+// Trigger activation errors: invalid trigger configuration, or a webhook already in use
+const ACTIVATION_ERRORS = {
+  WEBHOOK_INVALID: 400,
+  SCHEDULE_INVALID: 400,
+  POLLING_INVALID: 400,
+  WEBHOOK_CONFLICT: 409,
+};
+
+// Runs a save or (de)activation, answering activation errors with their status
+const withActivation = async (res, save) => {
+  try {
+    return await save();
+  } catch (error) {
+    const status = ACTIVATION_ERRORS[error.code];
+    if (!status) throw error;
+    res.status(status).json({ error: error.message });
+    return undefined;
+  }
+};
+
+// Save a workflow, e.g. an error workflow referenced by another workflow's errorWorkflowId.
+// Saving with `active: true` activates it
+app.post('/api/workflows', async (req, res) => {
+  const workflow = await withActivation(res, () => workflowOrchestrator.saveWorkflow(req.body));
+  if (workflow) res.status(201).json({ workflow });
+});
+
+// Ids of the active workflows
+app.get('/api/workflows/active', async (req, res) => {
+  const workflowIds = await workflowOrchestrator.getActiveWorkflowIds();
+  res.json({ workflowIds });
+});
+
+// Turn a saved workflow on or off: registers or tears down its webhooks, schedules and pollers
+app.post('/api/workflows/:id/activate', async (req, res) => {
+  const workflow = await withActivation(res, () =>
+    workflowOrchestrator.activateWorkflow(req.params.id),
+  );
+  if (workflow === null) return res.status(404).json({ error: 'Workflow not found' });
+  if (workflow) res.json({ workflowId: workflow.id, active: true });
+});
+
+app.post('/api/workflows/:id/deactivate', async (req, res) => {
+  const workflow = await workflowOrchestrator.deactivateWorkflow(req.params.id);
+  if (!workflow) return res.status(404).json({ error: 'Workflow not found' });
+  res.json({ workflowId: workflow.id, active: false });
+});
+
+// Serve the webhook nodes of a saved workflow on /webhook-test/<path> for one call, e.g. to
+// try them from the editor. Body: { nodeId? } to arm only one node
+app.post('/api/workflows/:id/webhook-test', async (req, res) => {
+  const armed = await withActivation(res, () =>
+    workflowOrchestrator.armTestWebhook(req.params.id, req.body?.nodeId),
+  );
+  if (armed === null) return res.status(404).json({ error: 'Workflow not found' });
+  if (armed) res.json(armed);
+});
+
+app.delete('/api/workflows/:id/webhook-test', (req, res) => {
+  const disarmed = workflowOrchestrator.disarmTestWebhook(req.params.id);
+  res.json({ workflowId: req.params.id, disarmed });
+});
+
+// Last and next run times of a workflow's schedule triggers
+app.get('/api/workflows/:id/schedules', async (req, res) => {
+  const schedules = await workflowOrchestrator.getSchedules(req.params.id);
+  res.json({ schedules });
+});
+
 app.post('/api/workflows/execute', async (req, res) => {
   const { workflow, triggerData, options } = req.body;
-  const result = await workflowOrchestrator.executeWorkflow(workflow, triggerData, options);
+  let result;
+  try {
+    result = await workflowOrchestrator.executeWorkflow(workflow, triggerData, options);
+  } catch (error) {
+    if (error.code !== 'OPTIONS_INVALID') throw error;
+    return res.status(400).json({ error: error.message });
+  }
+  res.json(result);
+});
+
+// Re-run a workflow from one node, replaying pinned data or a prior execution's outputs upstream
+app.post('/api/workflows/execute-partial', async (req, res) => {
+  const { workflow, startNodeId, executionId, pinData, options } = req.body;
+  if (!startNodeId || (!workflow && !executionId)) {
+    return res
+      .status(400)
+      .json({ error: 'startNodeId and a workflow or executionId are required' });
+  }
+
+  let result;
+  try {
+    result = await workflowOrchestrator.executePartial({
+      workflow,
+      startNodeId,
+      executionId,
+      pinData,
+      options,
+    });
+  } catch (error) {
+    if (!['PARTIAL_INVALID', 'OPTIONS_INVALID'].includes(error.code)) throw error;
+    return res.status(400).json({ error: error.message });
+  }
+  if (!result) {
+    return res.status(404).json({ error: 'Execution not found' });
+  }
   res.json(result);
 });
 
@@ -60,14 +168,96 @@ app.get('/api/executions/active', async (req, res) => {
   res.json({ executions });
 });
 
+// Stop a running execution, cancelling in-flight nodes
+app.post('/api/executions/:id/stop', async (req, res) => {
+  const stopped = await workflowOrchestrator.stopExecution(req.params.id);
+  if (!stopped) {
+    return res.status(404).json({ error: 'Execution not found or not running' });
+  }
+  res.json({ executionId: req.params.id, stopped: true });
+});
+
+// Paused state of an execution started with options.debug
+app.get('/api/executions/:id/debug', async (req, res) => {
+  const state = await workflowOrchestrator.getDebugState(req.params.id);
+  if (!state) {
+    return res.status(404).json({ error: 'Execution not found or not paused' });
+  }
+  res.json(state);
+});
+
+// Step, continue or abort a paused execution
+app.post('/api/executions/:id/debug', async (req, res) => {
+  let applied;
+  try {
+    applied = await workflowOrchestrator.debugExecution(req.params.id, req.body?.command);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!applied) {
+    return res.status(404).json({ error: 'Execution not found or not paused' });
+  }
+  res.json({ executionId: req.params.id, command: req.body.command });
+});
+
+// Resume URL of executions waiting in a Wait node ($execution.resumeUrl)
+app.all('/webhook-waiting/:executionId', async (req, res) => {
+  const resumed = await workflowOrchestrator.resumeWaitingExecution(req.params.executionId, {
+    method: req.method,
+    headers: req.headers,
+    query: req.query,
+    body: req.body,
+  });
+  if (!resumed) {
+    return res.status(404).json({ error: 'Execution not found or not waiting for this webhook' });
+  }
+  res.json(resumed);
+});
+
+// Webhooks of active workflows, and the test webhooks armed from the editor. Bodies that
+// are not JSON or form data arrive as buffers.
+const webhookBody = express.raw({ type: () => true, limit: '10mb' });
+app.all('/webhook/*path', webhookBody, (req, res) => webhookService.handle(req, res));
+app.all('/webhook-test/*path', webhookBody, (req, res) =>
+  webhookService.handle(req, res, { test: true }),
+);
+
 // WebSocket setup for real-time communication
 const wss = new WebSocketServer({ server });
 
+const broadcast = (event) => {
+  const message = JSON.stringify({ type: event.type, payload: event.payload });
+  for (const client of wss.clients) {
+    if (client.readyState === client.OPEN) client.send(message);
+  }
+};
+eventBus.subscribe('execution.paused', broadcast);
+eventBus.subscribe('execution.resumed', broadcast);
+
 wss.on('connection', (ws) => {
   logger.info('WebSocket client connected');
 
-  ws.on('message', (msg) => {
+  ws.on('message', async (msg) => {
     logger.info('WS message', { msg });
+
+    // Debugger commands: { type: 'debug', executionId, command: 'step' | 'continue' | 'abort' }
+    let message;
+    try {
+      message = JSON.parse(msg);
+    } catch {
+      return;
+    }
+    if (message.type !== 'debug') return;
+
+    try {
+      const applied = await workflowOrchestrator.debugExecution(
+        message.executionId,
+        message.command,
+      );
+      ws.send(JSON.stringify({ type: 'debug.result', executionId: message.executionId, applied }));
+    } catch (error) {
+      ws.send(JSON.stringify({ type: 'debug.error', error: error.message }));
+    }
   });
 });
 
@@ -0,0 +1,127 @@
+// ActiveWorkflowManager: runs the activation lifecycle of long-lived triggers. Activating a
+// workflow calls the `activate(context)` hook of each of its trigger nodes that has one
+// (webhooks, schedules, pollers, ...), deactivating it calls their `deactivate(context)`.
+// Active workflows are activated again on boot.
+import workflowEngine from '../engine/WorkflowEngine.js';
+import nodeRegistry from '../engine/registry/NodeRegistry.js';
+import workflowRepository from '../infra/WorkflowRepository.js';
+import webhookService from './WebhookService.js';
+import scheduleService from './ScheduleService.js';
+import pollingService from './PollingService.js';
+import logger from '../observability/logger.js';
+
+class ActiveWorkflowManager {
+  constructor() {
+    // workflowId → { workflow, triggers: [{ node, instance, context }] }
+    this.active = new Map();
+  }
+
+  // Activates the workflows saved as active; a failing one is logged and stays inactive
+  async start() {
+    let activated = 0;
+    for (const workflow of await workflowRepository.findActive()) {
+      try {
+        await this.activate(workflow);
+        activated += 1;
+      } catch (error) {
+        logger.error('Failed to activate workflow', {
+          workflowId: workflow.id,
+          error: error.message,
+        });
+      }
+    }
+    return activated;
+  }
+
+  isActive(workflowId) {
+    return this.active.has(workflowId);
+  }
+
+  getActiveWorkflowIds() {
+    return Array.from(this.active.keys());
+  }
+
+  // Activates the triggers of a workflow, replacing its active version. If a hook fails the
+  // triggers activated so far are deactivated again and the error is thrown.
+  async activate(workflow) {
+    await this.deactivate(workflow.id);
+
+    const triggers = [];
+    try {
+      for (const node of workflow.nodes || []) {
+        const metadata = nodeRegistry.getNodeMetadata(node.type);
+        if (metadata?.category !== 'trigger' || !metadata.activatable) continue;
+
+        const instance = nodeRegistry.createNode(node.type, node);
+        const context = this.createActivationContext(workflow, node);
+        await instance.activate(context);
+        triggers.push({ node, instance, context });
+      }
+    } catch (error) {
+      await this.deactivateTriggers(workflow.id, triggers);
+      throw error;
+    }
+
+    this.active.set(workflow.id, { workflow, triggers });
+    logger.info('Workflow activated', {
+      workflowId: workflow.id,
+      triggers: triggers.map(({ node }) => node.id),
+    });
+    return triggers.length;
+  }
+
+  // Returns false if the workflow was not active
+  async deactivate(workflowId) {
+    const entry = this.active.get(workflowId);
+    if (!entry) return false;
+
+    this.active.delete(workflowId);
+    await this.deactivateTriggers(workflowId, entry.triggers);
+    logger.info('Workflow deactivated', { workflowId });
+    return true;
+  }
+
+  // Deactivation hooks never fail the caller; the remaining triggers are still torn down
+  async deactivateTriggers(workflowId, triggers) {
+    for (const { node, instance, context } of [...triggers].reverse()) {
+      try {
+        await instance.deactivate?.(context);
+      } catch (error) {
+        logger.warn('Trigger deactivation failed', {
+          workflowId,
+          nodeId: node.id,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  // What trigger hooks can do while their workflow is active
+  createActivationContext(workflow, node) {
+    const emit = (triggerData = {}) =>
+      workflowEngine.executeWorkflow(workflow, triggerData, {
+        mode: 'trigger',
+        triggerNodeId: node.id,
+      });
+
+    return {
+      workflowId: workflow.id,
+      nodeId: node.id,
+      workflow,
+      // Runs the workflow from this trigger; resolves with the execution result
+      emit,
+      registerWebhook: () => webhookService.register(workflow, node),
+      unregisterWebhook: () => webhookService.unregister(workflow.id, node.id),
+      startSchedule: () => scheduleService.register(workflow, node, emit),
+      stopSchedule: () => scheduleService.unregister(workflow.id, node.id),
+      // `poller` provides fetchItems(); see PollingService
+      startPolling: (poller) => pollingService.register(workflow, node, poller, emit),
+      stopPolling: () => pollingService.unregister(workflow.id, node.id),
+      log: (level, message, data) =>
+        logger[level]?.(message, { workflowId: workflow.id, nodeId: node.id, ...data }),
+    };
+  }
+}
+
+const activeWorkflowManager = new ActiveWorkflowManager();
+export default activeWorkflowManager;
@@ -0,0 +1,229 @@
+// PollingService: polls the PollingTrigger nodes of active workflows (see
+// PollingTrigger.activate) and starts one execution per poll with the items not seen before.
+// The seen ids or the cursor are stored in the poll state repository, so a restart does not
+// emit old items again.
+import pollStateRepository from '../infra/PollStateRepository.js';
+import { INTERVAL_UNITS } from '../nodes/triggers/ScheduleTrigger.js';
+import { getFieldValue } from '../nodes/logic/conditions.js';
+import logger from '../observability/logger.js';
+
+// Ids remembered per trigger; the oldest are forgotten first
+const MAX_SEEN = 10000;
+
+function pollingError(message, details = {}) {
+  const error = new Error(message);
+  error.code = 'POLLING_INVALID';
+  error.details = details;
+  return error;
+}
+
+// Node errors are thrown as createError() objects
+const errorMessage = (error) => error?.error?.message || error?.message || String(error);
+
+// Numbers compare as numbers, dates as dates, anything else as text
+function compareCursors(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const dateA = typeof a === 'string' ? Date.parse(a) : NaN;
+  const dateB = typeof b === 'string' ? Date.parse(b) : NaN;
+  if (!Number.isNaN(dateA) && !Number.isNaN(dateB)) return dateA - dateB;
+  return String(a).localeCompare(String(b));
+}
+
+class PollingService {
+  constructor() {
+    // "<workflowId>:<nodeId>" → { id, workflow, node, poller, config, emit, timer, polling, state }
+    this.pollers = new Map();
+  }
+
+  // Polling settings of a PollingTrigger node; fails with POLLING_INVALID
+  getConfig(node) {
+    const data = node.data || {};
+    const unit = data.pollUnit || 'minutes';
+    const amount = Number(data.pollInterval ?? 5);
+    const config = {
+      dedupeBy: data.dedupeBy || 'id',
+      idField: data.idField ?? 'id',
+      cursorField: data.cursorField,
+      emitExisting: !!data.emitExisting,
+    };
+
+    if (!data.url) {
+      throw pollingError('Polling trigger needs a url', { nodeId: node.id });
+    }
+    if (!INTERVAL_UNITS[unit] || !(amount > 0)) {
+      throw pollingError(`Invalid poll interval: ${amount} ${unit}`, { nodeId: node.id });
+    }
+    if (config.dedupeBy === 'cursor' && !config.cursorField) {
+      throw pollingError('Polling by cursor needs a cursorField', { nodeId: node.id });
+    }
+    if (!['id', 'cursor'].includes(config.dedupeBy)) {
+      throw pollingError(`Unknown dedupeBy: ${config.dedupeBy}`, { nodeId: node.id });
+    }
+    config.interval = amount * INTERVAL_UNITS[unit];
+    return config;
+  }
+
+  // Starts polling a PollingTrigger node of an active workflow: at once, then every interval.
+  // `poller` is the node instance (fetchItems), `emit(triggerData)` runs the workflow from it.
+  async register(workflow, node, poller, emit) {
+    const config = this.getConfig(node);
+    const id = `${workflow.id}:${node.id}`;
+    this.clearTimer(id);
+
+    // State of trigger nodes removed from the workflow
+    const nodeIds = new Set((workflow.nodes || []).map(({ id: nodeId }) => nodeId));
+    for (const state of await pollStateRepository.findByWorkflow(workflow.id)) {
+      if (!nodeIds.has(state.nodeId)) await pollStateRepository.delete(state.id);
+    }
+
+    const state = await pollStateRepository.findById(id);
+    // A changed way of telling new items apart starts over from a fresh baseline
+    const entry = {
+      id,
+      workflow,
+      node,
+      poller,
+      config,
+      emit,
+      polling: false,
+      state: state?.dedupeBy === config.dedupeBy ? state : null,
+    };
+    this.pollers.set(id, entry);
+    entry.timer = setInterval(() => this.poll(entry), config.interval);
+    // Pollers must not keep the process alive
+    entry.timer.unref();
+    this.poll(entry);
+
+    logger.info('Registered poller', {
+      workflowId: workflow.id,
+      nodeId: node.id,
+      interval: config.interval,
+    });
+  }
+
+  // Stops a poller; its state is kept for the next activation
+  async unregister(workflowId, nodeId) {
+    this.clearTimer(`${workflowId}:${nodeId}`);
+  }
+
+  clearTimer(id) {
+    const entry = this.pollers.get(id);
+    if (!entry) return null;
+    clearInterval(entry.timer);
+    this.pollers.delete(id);
+    return entry;
+  }
+
+  // One poll; skipped while the previous request is still running
+  async poll(entry) {
+    if (entry.polling) return;
+    entry.polling = true;
+
+    const { workflow, node, config } = entry;
+    let fresh;
+    try {
+      const items = await entry.poller.fetchItems();
+      // The node was registered again or deactivated meanwhile
+      if (this.pollers.get(entry.id) !== entry) return;
+
+      const firstPoll = !entry.state;
+      const { state, newItems } = this.findNewItems(config, entry.state, items);
+      entry.state = { ...state, lastPoll: new Date().toISOString(), lastError: null };
+      // Saved before emitting: a crash may lose items but never emits them twice
+      await this.saveState(entry);
+      fresh = firstPoll && !config.emitExisting ? [] : newItems;
+    } catch (error) {
+      logger.warn('Poll failed', {
+        workflowId: workflow.id,
+        nodeId: node.id,
+        error: errorMessage(error),
+      });
+      if (entry.state) {
+        entry.state.lastError = errorMessage(error);
+        await this.saveState(entry);
+      }
+      return;
+    } finally {
+      entry.polling = false;
+    }
+
+    if (fresh.length === 0) return;
+    try {
+      await entry.emit({ items: fresh });
+    } catch (error) {
+      logger.error('Polled execution failed', {
+        workflowId: workflow.id,
+        nodeId: node.id,
+        error: error.message,
+      });
+    }
+  }
+
+  // Items after the cursor, or with ids not seen yet, and the state that remembers them
+  findNewItems(config, state, items) {
+    const keyOf = (item) => {
+      const value = config.idField ? getFieldValue(item, config.idField) : undefined;
+      return value === undefined || value === null ? JSON.stringify(item) : String(value);
+    };
+
+    if (config.dedupeBy === 'cursor') {
+      const cursorOf = (item) => getFieldValue(item, config.cursorField);
+      const after = state?.cursor ?? null;
+      // Ids of the items at the cursor, since more may arrive with the same one. States saved
+      // without them count every item at the cursor as seen.
+      const boundary = state?.boundaryIds ? new Set(state.boundaryIds) : null;
+      const newItems = items.filter((item) => {
+        const cursor = cursorOf(item);
+        if (cursor === undefined || cursor === null) return false;
+        if (after === null) return true;
+        const order = compareCursors(cursor, after);
+        return order > 0 || (order === 0 && boundary !== null && !boundary.has(keyOf(item)));
+      });
+      const cursor = newItems.reduce((latest, item) => {
+        const value = cursorOf(item);
+        return latest === null || compareCursors(value, latest) > 0 ? value : latest;
+      }, after);
+      if (cursor === null) return { state: { dedupeBy: 'cursor', cursor }, newItems };
+
+      const boundaryIds = new Set(
+        after !== null && compareCursors(cursor, after) === 0 ? boundary : [],
+      );
+      for (const item of items) {
+        const value = cursorOf(item);
+        if (value !== undefined && value !== null && compareCursors(value, cursor) === 0) {
+          boundaryIds.add(keyOf(item));
+        }
+      }
+      return {
+        state: {
+          dedupeBy: 'cursor',
+          cursor,
+          boundaryIds: Array.from(boundaryIds).slice(-MAX_SEEN),
+        },
+        newItems,
+      };
+    }
+
+    const seen = new Set(state?.seen || []);
+    const newItems = [];
+    for (const item of items) {
+      const key = keyOf(item);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      newItems.push(item);
+    }
+    return { state: { dedupeBy: 'id', seen: Array.from(seen).slice(-MAX_SEEN) }, newItems };
+  }
+
+  async saveState(entry) {
+    const { id, workflow, node, state } = entry;
+    try {
+      await pollStateRepository.save({ ...state, id, workflowId: workflow.id, nodeId: node.id });
+    } catch (error) {
+      logger.warn('Failed to save poll state', { pollerId: id, error: error.message });
+    }
+  }
+}
+
+const pollingService = new PollingService();
+export default pollingService;
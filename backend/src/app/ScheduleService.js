@@ -0,0 +1,196 @@
+// ScheduleService: fires the ScheduleTrigger nodes of active workflows (see
+// ScheduleTrigger.activate). Every trigger keeps one timer for its next run; last and next run
+// times are stored in the schedule repository so intervals keep their rhythm across restarts.
+import scheduleRepository from '../infra/ScheduleRepository.js';
+import { INTERVAL_UNITS } from '../nodes/triggers/ScheduleTrigger.js';
+import { getNextRun, isValidTimezone, parseCron } from '../shared/cron.js';
+import logger from '../observability/logger.js';
+
+// setTimeout fires at once beyond ~24.8 days; longer waits re-arm on wake
+const MAX_DELAY = 2 ** 31 - 1;
+
+function scheduleError(message, details = {}) {
+  const error = new Error(message);
+  error.code = 'SCHEDULE_INVALID';
+  error.details = details;
+  return error;
+}
+
+class ScheduleService {
+  constructor() {
+    // "<workflowId>:<nodeId>" → { id, workflow, node, config, emit, timer, running, nextRun }
+    this.schedules = new Map();
+  }
+
+  // Schedule of a ScheduleTrigger node; fails with SCHEDULE_INVALID
+  getConfig(node) {
+    const data = node.data || {};
+    const timezone = data.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const config = { mode: data.mode || 'cron', timezone, preventOverlap: !!data.preventOverlap };
+
+    if (!isValidTimezone(timezone)) {
+      throw scheduleError(`Unknown timezone: "${timezone}"`, { nodeId: node.id });
+    }
+    if (config.mode === 'cron') {
+      config.cronExpression = data.cronExpression || '0 * * * *';
+      try {
+        config.cron = parseCron(config.cronExpression);
+      } catch (error) {
+        throw scheduleError(error.message, { nodeId: node.id });
+      }
+    } else if (config.mode === 'interval') {
+      const unit = data.intervalUnit || 'hours';
+      const amount = Number(data.interval ?? 1);
+      if (!INTERVAL_UNITS[unit] || !(amount > 0)) {
+        throw scheduleError(`Invalid interval: ${amount} ${unit}`, { nodeId: node.id });
+      }
+      config.interval = amount * INTERVAL_UNITS[unit];
+    } else {
+      throw scheduleError(`Unknown schedule mode: ${config.mode}`, { nodeId: node.id });
+    }
+    return config;
+  }
+
+  // First run strictly after `after`; intervals continue from the last run
+  getNextRun(config, after, lastRun = null) {
+    if (config.mode === 'cron') {
+      return getNextRun(config.cron, after, config.timezone);
+    }
+    const anchor = lastRun ? Date.parse(lastRun) : after.getTime();
+    const missed = Math.max(0, Math.floor((after.getTime() - anchor) / config.interval));
+    return new Date(anchor + (missed + 1) * config.interval);
+  }
+
+  // Starts the schedule of a ScheduleTrigger node of an active workflow; `emit(triggerData)`
+  // runs the workflow from the node
+  async register(workflow, node, emit) {
+    const config = this.getConfig(node);
+    const id = `${workflow.id}:${node.id}`;
+    this.clearTimer(id);
+
+    // Records of trigger nodes removed from the workflow
+    const nodeIds = new Set((workflow.nodes || []).map(({ id: nodeId }) => nodeId));
+    for (const record of await scheduleRepository.findByWorkflow(workflow.id)) {
+      if (!nodeIds.has(record.nodeId)) await scheduleRepository.delete(record.id);
+    }
+
+    const record = await scheduleRepository.findById(id);
+    const schedule = {
+      id,
+      workflow,
+      node,
+      config,
+      emit,
+      running: 0,
+      lastRun: record?.lastRun || null,
+      skippedRuns: record?.skippedRuns || 0,
+    };
+    schedule.nextRun = this.getNextRun(config, new Date(), schedule.lastRun);
+    this.schedules.set(id, schedule);
+    await this.saveRecord(schedule);
+    this.arm(schedule);
+
+    logger.info('Registered schedule', {
+      workflowId: workflow.id,
+      nodeId: node.id,
+      nextRun: schedule.nextRun?.toISOString() ?? null,
+    });
+  }
+
+  // Stops a schedule; its record keeps the last run
+  async unregister(workflowId, nodeId) {
+    const schedule = this.clearTimer(`${workflowId}:${nodeId}`);
+    if (!schedule) return;
+    schedule.nextRun = null;
+    await this.saveRecord(schedule);
+  }
+
+  clearTimer(id) {
+    const schedule = this.schedules.get(id);
+    if (!schedule) return null;
+    clearTimeout(schedule.timer);
+    this.schedules.delete(id);
+    return schedule;
+  }
+
+  arm(schedule) {
+    if (!schedule.nextRun) return;
+    const delay = schedule.nextRun.getTime() - Date.now();
+    schedule.timer = setTimeout(
+      () => (delay > MAX_DELAY ? this.arm(schedule) : this.fire(schedule)),
+      Math.max(0, Math.min(delay, MAX_DELAY)),
+    );
+    // Schedules must not keep the process alive
+    schedule.timer.unref();
+  }
+
+  async fire(schedule) {
+    // The node was registered again or deactivated meanwhile
+    if (this.schedules.get(schedule.id) !== schedule) return;
+
+    const { workflow, node, config, emit } = schedule;
+    const scheduledTime = schedule.nextRun;
+    const now = new Date();
+    schedule.nextRun = this.getNextRun(config, now, scheduledTime.toISOString());
+    this.arm(schedule);
+
+    if (config.preventOverlap && schedule.running > 0) {
+      logger.warn('Skipped scheduled run: the previous run is still running', {
+        workflowId: workflow.id,
+        nodeId: node.id,
+        scheduledTime: scheduledTime.toISOString(),
+      });
+      schedule.skippedRuns += 1;
+      await this.saveRecord(schedule);
+      return;
+    }
+
+    schedule.lastRun = now.toISOString();
+    schedule.running += 1;
+    await this.saveRecord(schedule);
+
+    const triggerData = {
+      timestamp: now.toISOString(),
+      scheduledTime: scheduledTime.toISOString(),
+      timezone: config.timezone,
+    };
+    try {
+      await emit(triggerData);
+    } catch (error) {
+      logger.error('Scheduled execution failed', {
+        workflowId: workflow.id,
+        nodeId: node.id,
+        error: error.message,
+      });
+    } finally {
+      schedule.running -= 1;
+    }
+  }
+
+  async saveRecord(schedule) {
+    const { id, workflow, node, config } = schedule;
+    try {
+      await scheduleRepository.save({
+        id,
+        workflowId: workflow.id,
+        nodeId: node.id,
+        mode: config.mode,
+        cronExpression: config.cronExpression,
+        interval: config.interval,
+        timezone: config.timezone,
+        lastRun: schedule.lastRun,
+        nextRun: schedule.nextRun?.toISOString() ?? null,
+        skippedRuns: schedule.skippedRuns,
+      });
+    } catch (error) {
+      logger.warn('Failed to save schedule', { scheduleId: id, error: error.message });
+    }
+  }
+
+  async getSchedulesOf(workflowId) {
+    return scheduleRepository.findByWorkflow(workflowId);
+  }
+}
+
+const scheduleService = new ScheduleService();
+export default scheduleService;
@@ -0,0 +1,61 @@
+// WaitTracker: resumes executions suspended by Wait nodes once their wait time is over.
+// Waiting executions live in the execution repository; the tracker polls its index and only
+// keeps timers for the executions due before its next poll.
+import workflowOrchestrator from './WorkflowOrchestrator.js';
+import executionRepository from '../infra/ExecutionRepository.js';
+import eventBus from '../shared/EventBus.js';
+import logger from '../observability/logger.js';
+
+const POLL_INTERVAL = 60 * 1000;
+
+class WaitTracker {
+  constructor() {
+    this.timers = new Map();
+    this.poller = null;
+  }
+
+  start() {
+    if (this.poller) return;
+
+    eventBus.subscribe('execution.waiting', (event) => {
+      this.schedule(event.payload.runId, event.payload.waitTill);
+    });
+    this.poller = setInterval(() => this.poll(), POLL_INTERVAL);
+    this.poller.unref();
+    return this.poll();
+  }
+
+  async poll() {
+    try {
+      // Checkpoints are only read when an execution resumes
+      for (const { id, waitTill } of await executionRepository.findSummaries('waiting')) {
+        this.schedule(id, waitTill);
+      }
+    } catch (error) {
+      logger.warn('Failed to poll waiting executions', { error: error.message });
+    }
+  }
+
+  schedule(executionId, waitTill) {
+    if (!waitTill || this.timers.has(executionId)) return;
+
+    // Later waits are picked up by a later poll
+    const delay = Math.max(0, new Date(waitTill) - Date.now());
+    if (delay > POLL_INTERVAL) return;
+
+    const timer = setTimeout(async () => {
+      this.timers.delete(executionId);
+      try {
+        await workflowOrchestrator.resumeWaitingExecution(executionId);
+      } catch (error) {
+        logger.error('Failed to resume waiting execution', { executionId, error: error.message });
+      }
+    }, delay);
+    // Pending waits must not keep the process alive
+    timer.unref();
+    this.timers.set(executionId, timer);
+  }
+}
+
+const waitTracker = new WaitTracker();
+export default waitTracker;
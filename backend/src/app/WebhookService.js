@@ -0,0 +1,288 @@
+// WebhookService: serves the WebhookTrigger nodes of workflows over HTTP. The nodes of active
+// workflows register on /webhook/<path> (see WebhookTrigger.activate); the editor arms the
+// nodes of a saved workflow on /webhook-test/<path> for one call to try them before activating.
+import workflowEngine from '../engine/WorkflowEngine.js';
+import { HTTP_METHODS } from '../nodes/triggers/WebhookTrigger.js';
+import { getWebhookUrl } from '../shared/webhookUrl.js';
+import logger from '../observability/logger.js';
+
+const RESPONSE_MODES = ['onReceived', 'lastNode', 'responseNode'];
+const TEST_TIMEOUT = 2 * 60 * 1000;
+
+function webhookError(message, code, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+// Removes the webhooks of a workflow (or of one of its nodes) from `served`; returns how many
+function removeWebhooks(served, workflowId, nodeId = null) {
+  let removed = 0;
+  for (const [key, { workflow, node }] of served) {
+    if (workflow.id === workflowId && (!nodeId || node.id === nodeId)) {
+      served.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// "/orders/new/" and "orders/new" name the same webhook
+export function normalizePath(path) {
+  return String(path || '')
+    .trim()
+    .replace(/^\/+|\/+$/g, '');
+}
+
+class WebhookService {
+  constructor() {
+    // "<METHOD> <path>" → { workflow, node } of active workflows
+    this.webhooks = new Map();
+    // Same for the test webhooks armed by the editor, and their expiry timers by workflow id
+    this.testWebhooks = new Map();
+    this.testTimers = new Map();
+  }
+
+  // Webhooks of a workflow's WebhookTrigger nodes, one per method
+  getWebhooks(workflow) {
+    return (workflow.nodes || [])
+      .filter((node) => node.type === 'WebhookTrigger')
+      .flatMap((node) => {
+        const path = normalizePath(node.data?.path);
+        const methods = [node.data?.httpMethods ?? ['POST']].flat();
+        return methods.map((method) => ({ method: String(method).toUpperCase(), path, node }));
+      });
+  }
+
+  // Serves the webhooks of a WebhookTrigger node of an active workflow. Fails with
+  // WEBHOOK_CONFLICT if another node already serves one of its methods and paths.
+  register(workflow, node) {
+    const webhooks = this.serve(this.webhooks, workflow, node);
+    logger.info('Registered webhooks', {
+      workflowId: workflow.id,
+      nodeId: node.id,
+      webhooks: webhooks.map(({ method, path }) => `${method} /${path}`),
+    });
+    return webhooks.length;
+  }
+
+  unregister(workflowId, nodeId) {
+    removeWebhooks(this.webhooks, workflowId, nodeId);
+  }
+
+  // Serves the webhooks of a saved workflow's WebhookTrigger nodes (or only of `nodeId`) on
+  // /webhook-test/<path> for one call, or until `timeout` passes. Arming again starts over.
+  armTest(workflow, nodeId = null, timeout = TEST_TIMEOUT) {
+    this.disarmTest(workflow.id);
+    const nodes = (workflow.nodes || []).filter(
+      (node) => node.type === 'WebhookTrigger' && (!nodeId || node.id === nodeId),
+    );
+    if (nodes.length === 0) {
+      throw webhookError(
+        nodeId
+          ? `Node ${nodeId} is not a webhook node of workflow ${workflow.id}`
+          : `Workflow ${workflow.id} has no webhook node`,
+        'WEBHOOK_INVALID',
+      );
+    }
+
+    const webhooks = [];
+    try {
+      for (const node of nodes) webhooks.push(...this.serve(this.testWebhooks, workflow, node));
+    } catch (error) {
+      this.disarmTest(workflow.id);
+      throw error;
+    }
+
+    const timer = setTimeout(() => this.disarmTest(workflow.id), timeout);
+    timer.unref();
+    this.testTimers.set(workflow.id, timer);
+    logger.info('Armed test webhooks', {
+      workflowId: workflow.id,
+      webhooks: webhooks.map(({ method, path }) => `${method} /${path}`),
+    });
+
+    return {
+      workflowId: workflow.id,
+      webhooks: webhooks.map(({ method, path, node }) => ({
+        nodeId: node.id,
+        method,
+        path,
+        url: getWebhookUrl(path, true),
+      })),
+      expiresAt: new Date(Date.now() + timeout),
+    };
+  }
+
+  // Returns whether the workflow had test webhooks armed
+  disarmTest(workflowId) {
+    clearTimeout(this.testTimers.get(workflowId));
+    this.testTimers.delete(workflowId);
+    return removeWebhooks(this.testWebhooks, workflowId) > 0;
+  }
+
+  // Adds the webhooks of a node to `served` after checking their methods and paths are valid
+  // and not served by another node
+  serve(served, workflow, node) {
+    const webhooks = this.getWebhooks({ nodes: [node] });
+    for (const { method, path } of webhooks) {
+      if (!path || !HTTP_METHODS.includes(method)) {
+        throw webhookError(
+          path ? `Unsupported webhook method: ${method}` : `Webhook node ${node.id} has no path`,
+          'WEBHOOK_INVALID',
+          { nodeId: node.id },
+        );
+      }
+      const existing = served.get(`${method} ${path}`);
+      if (existing && (existing.workflow.id !== workflow.id || existing.node.id !== node.id)) {
+        throw webhookError(
+          `Webhook ${method} /${path} is already used by workflow ${existing.workflow.id}`,
+          'WEBHOOK_CONFLICT',
+          { method, path, workflowId: existing.workflow.id },
+        );
+      }
+    }
+
+    removeWebhooks(served, workflow.id, node.id);
+    for (const { method, path } of webhooks) {
+      served.set(`${method} ${path}`, { workflow, node });
+    }
+    return webhooks;
+  }
+
+  // A test webhook serves one call: finding it disarms the workflow's test webhooks
+  find(method, path, test) {
+    const key = `${method} ${path}`;
+    if (!test) return this.webhooks.get(key) || null;
+
+    const match = this.testWebhooks.get(key) || null;
+    if (match) this.disarmTest(match.workflow.id);
+    return match;
+  }
+
+  // Handles a request to /webhook/<path> (or /webhook-test/<path> when test is set)
+  async handle(req, res, { test = false } = {}) {
+    const path = normalizePath([req.params.path].flat().join('/'));
+    const match = this.find(req.method, path, test);
+    if (!match) {
+      return res.status(404).json({
+        error: test
+          ? `No test webhook is armed for ${req.method} /${path}`
+          : `No active workflow has a webhook for ${req.method} /${path}`,
+      });
+    }
+
+    const { workflow, node } = match;
+    const responseMode = node.data?.responseMode || 'onReceived';
+    const responseCode = Number(node.data?.responseCode) || 200;
+    if (!RESPONSE_MODES.includes(responseMode)) {
+      return res.status(500).json({ error: `Unknown webhook response mode: ${responseMode}` });
+    }
+
+    // A Respond to Webhook node answers through webhook.respond (see engine.respondToWebhook)
+    let respond;
+    const responded = new Promise((resolve) => {
+      respond = resolve;
+    });
+
+    const run = workflowEngine.executeWorkflow(workflow, this.describeRequest(req, path, test), {
+      mode: 'webhook',
+      triggerNodeId: node.id,
+      webhook: {
+        method: req.method,
+        path,
+        test,
+        responseMode,
+        respond: responseMode === 'responseNode' ? respond : undefined,
+      },
+    });
+
+    if (responseMode === 'onReceived') {
+      run.catch((error) => {
+        logger.error('Webhook execution failed', { workflowId: workflow.id, error: error.message });
+      });
+      return res.status(responseCode).json({ message: 'Workflow was started' });
+    }
+
+    if (responseMode === 'responseNode') {
+      const response = await Promise.race([
+        responded,
+        run.then(
+          () => null,
+          () => null,
+        ),
+      ]);
+      if (response) {
+        run.catch((error) => {
+          logger.error('Webhook execution failed', {
+            workflowId: workflow.id,
+            error: error.message,
+          });
+        });
+        return this.send(res, response);
+      }
+    }
+
+    let result;
+    try {
+      result = await run;
+    } catch (error) {
+      return res.status(500).json({ error: 'Workflow execution failed', details: error.message });
+    }
+
+    if (result.status !== 'completed') {
+      return res.status(202).json({ executionId: result.executionId, status: result.status });
+    }
+    if (responseMode === 'responseNode') {
+      return res.status(500).json({
+        error: 'Workflow finished without a Respond to Webhook node answering',
+        executionId: result.executionId,
+      });
+    }
+
+    const items = this.getLastItems(workflow, result);
+    res.status(responseCode).json(items.length === 1 ? items[0] : items);
+  }
+
+  // Trigger data of a webhook execution; rawBody is base64 so binary payloads survive
+  describeRequest(req, path, test) {
+    let body = req.body ?? {};
+    let rawBody = req.rawBody;
+    if (Buffer.isBuffer(body)) {
+      rawBody = body;
+      body = req.is(['text/*', '*/xml', '*/*+xml']) ? body.toString('utf8') : {};
+    }
+
+    return {
+      method: req.method,
+      path,
+      headers: req.headers,
+      params: {},
+      query: req.query,
+      body,
+      rawBody: rawBody?.length ? rawBody.toString('base64') : null,
+      webhookUrl: getWebhookUrl(path, test),
+    };
+  }
+
+  // JSON of the items output by the nodes without outgoing connections
+  getLastItems(workflow, result) {
+    const sources = new Set((workflow.connections || []).map(({ source }) => source));
+    return result.results
+      .filter(({ nodeId }) => !sources.has(nodeId))
+      .flatMap(({ outputs }) => Object.values(outputs).flat())
+      .map(({ json }) => json);
+  }
+
+  // { statusCode, headers, body }: buffers and strings are sent as is, anything else as JSON
+  send(res, { statusCode = 200, headers = {}, body } = {}) {
+    res.status(statusCode).set(headers);
+    if (body === undefined || body === null) return res.end();
+    if (Buffer.isBuffer(body) || typeof body === 'string') return res.send(body);
+    return res.json(body);
+  }
+}
+
+const webhookService = new WebhookService();
+export default webhookService;
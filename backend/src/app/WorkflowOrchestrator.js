@@ -1,14 +1,206 @@
 // WorkflowOrchestrator: Handles workflow execution and management
 import workflowEngine from '../engine/WorkflowEngine.js';
 import workflowRepository from '../infra/WorkflowRepository.js';
+import executionRepository from '../infra/ExecutionRepository.js';
+import activeWorkflowManager from './ActiveWorkflowManager.js';
+import webhookService from './WebhookService.js';
+import scheduleService from './ScheduleService.js';
+import logger from '../observability/logger.js';
 
 class WorkflowOrchestrator {
+  constructor() {
+    // Waiting executions being resumed, until their run settles
+    this.resuming = new Set();
+  }
+
   async executeWorkflow(workflow, triggerData = {}, options = {}) {
+    // Invalid options fail before the definition is saved
+    workflowEngine.checkOptions(options || {});
     // Optionally persist workflow before execution
-    await workflowRepository.save(workflow);
+    await this.saveDefinition(workflow);
     return workflowEngine.executeWorkflow(workflow, triggerData, options);
   }
 
+  // Re-runs a workflow from startNodeId, replaying pinned data and/or the outputs recorded
+  // by a prior execution. Returns null if that execution does not exist.
+  async executePartial({ workflow, startNodeId, executionId, pinData, options } = {}) {
+    const sourceExecution = executionId ? await executionRepository.findById(executionId) : null;
+    if (executionId && !sourceExecution) return null;
+
+    const target = workflow || sourceExecution.workflow;
+    // Invalid requests fail before the definition is saved
+    workflowEngine.checkPartialStart(target, startNodeId, pinData || {}, sourceExecution);
+    workflowEngine.checkOptions(options || {});
+    await this.saveDefinition(target);
+    return workflowEngine.executePartial(
+      target,
+      startNodeId,
+      { pinData, sourceExecution },
+      options,
+    );
+  }
+
+  // Saves a workflow run from the editor; running it never changes whether it is active
+  async saveDefinition(workflow) {
+    const stored = await workflowRepository.findById(workflow.id);
+    return workflowRepository.save({ ...workflow, active: stored?.active === true });
+  }
+
+  // Saving with `active: true` activates the workflow (again, with this version); saving it
+  // without deactivates it. A workflow whose activation fails is saved as inactive.
+  async saveWorkflow(workflow) {
+    await workflowRepository.save(workflow);
+    if (!workflow.active) {
+      await activeWorkflowManager.deactivate(workflow.id);
+      return workflow;
+    }
+
+    try {
+      await activeWorkflowManager.activate(workflow);
+    } catch (error) {
+      await workflowRepository.save({ ...workflow, active: false });
+      throw error;
+    }
+    return workflow;
+  }
+
+  // Returns null if the workflow does not exist
+  async activateWorkflow(workflowId) {
+    const workflow = await workflowRepository.findById(workflowId);
+    return workflow ? this.saveWorkflow({ ...workflow, active: true }) : null;
+  }
+
+  async deactivateWorkflow(workflowId) {
+    const workflow = await workflowRepository.findById(workflowId);
+    return workflow ? this.saveWorkflow({ ...workflow, active: false }) : null;
+  }
+
+  // Arms the test URLs of a saved workflow's webhook nodes (or only of `nodeId`) for one
+  // call. Returns null if the workflow does not exist
+  async armTestWebhook(workflowId, nodeId = null) {
+    const workflow = await workflowRepository.findById(workflowId);
+    return workflow ? webhookService.armTest(workflow, nodeId) : null;
+  }
+
+  disarmTestWebhook(workflowId) {
+    return webhookService.disarmTest(workflowId);
+  }
+
+  async getActiveWorkflowIds() {
+    return activeWorkflowManager.getActiveWorkflowIds();
+  }
+
+  // Handles workflow.failed: runs the failed workflow's error workflow from its ErrorTrigger
+  async runErrorWorkflow(event) {
+    const failure = event.payload;
+    const { errorWorkflowId } = failure;
+
+    // Error workflows never trigger error workflows, which would loop on failure
+    if (!errorWorkflowId || errorWorkflowId === failure.workflowId || failure.mode === 'error') {
+      return null;
+    }
+
+    const errorWorkflow = await workflowRepository.findById(errorWorkflowId);
+    const trigger = errorWorkflow?.nodes?.find((node) => node.type === 'ErrorTrigger');
+    if (!trigger) {
+      logger.warn('Error workflow not found or has no ErrorTrigger node', {
+        workflowId: failure.workflowId,
+        errorWorkflowId,
+      });
+      return null;
+    }
+
+    try {
+      return await workflowEngine.executeWorkflow(errorWorkflow, failure, {
+        mode: 'error',
+        triggerNodeId: trigger.id,
+      });
+    } catch (error) {
+      logger.error('Error workflow failed', { errorWorkflowId, error: error.message });
+      return null;
+    }
+  }
+
+  // Called on boot: resumes executions left running (or paused in the debugger) by the previous
+  // process, or marks them as crashed when they opted out with options.resumeOnRestart === false.
+  // Nobody is attached to the debugger after a restart, so paused executions resume without it.
+  async recoverExecutions() {
+    await workflowEngine.loadHistory();
+    const unfinished = [
+      ...(await executionRepository.findByStatus('running')),
+      ...(await executionRepository.findByStatus('paused')),
+    ];
+
+    for (const checkpoint of unfinished) {
+      // A sub-workflow its parent waits for is started again when the parent resumes
+      const { parentExecutionId, detached } = checkpoint.options || {};
+      const rerunByParent = parentExecutionId && !detached;
+
+      if (!checkpoint.workflow || rerunByParent || checkpoint.options?.resumeOnRestart === false) {
+        await workflowEngine.markCrashed(checkpoint, 'Execution interrupted by a restart');
+        logger.warn('Marked interrupted execution as crashed', { executionId: checkpoint.id });
+        continue;
+      }
+
+      logger.info('Resuming interrupted execution', { executionId: checkpoint.id });
+      const options = { ...checkpoint.options, debug: false, breakpoints: [] };
+      workflowEngine.resumeExecution({ ...checkpoint, options }).catch((error) => {
+        logger.error('Resumed execution failed', {
+          executionId: checkpoint.id,
+          error: error.message,
+        });
+      });
+    }
+
+    return unfinished.length;
+  }
+
+  // Resumes an execution suspended by Wait nodes. With `webhook` (a call to the resume URL)
+  // the nodes waiting for a call with that method receive it; without it, nodes whose wait
+  // time is over continue. Returns null if the execution is not waiting (for that method).
+  async resumeWaitingExecution(executionId, webhook = null) {
+    // The timer and the resume URL may race; only the first call resumes
+    if (this.resuming.has(executionId)) return null;
+    this.resuming.add(executionId);
+
+    let checkpoint;
+    try {
+      checkpoint = await executionRepository.findById(executionId);
+    } catch (error) {
+      this.resuming.delete(executionId);
+      throw error;
+    }
+
+    const nodes = Object.values(checkpoint?.nodes || {}).filter(
+      ({ status, waiting }) =>
+        status === 'waiting' &&
+        (webhook
+          ? waiting?.webhook?.method === webhook.method
+          : Boolean(waiting?.resumeAt) && Date.parse(waiting.resumeAt) <= Date.now()),
+    );
+    if (checkpoint?.status !== 'waiting' || nodes.length === 0) {
+      this.resuming.delete(executionId);
+      return null;
+    }
+    if (webhook) {
+      for (const node of nodes) node.state = { ...node.state, received: webhook };
+    }
+
+    logger.info('Resuming waiting execution', { executionId, webhook: Boolean(webhook) });
+    workflowEngine
+      .resumeExecution(checkpoint)
+      .catch((error) => {
+        logger.error('Resumed execution failed', { executionId, error: error.message });
+      })
+      .finally(() => this.resuming.delete(executionId));
+    return { executionId, resumed: true };
+  }
+
+  // Last and next run of the workflow's schedule triggers
+  async getSchedules(workflowId) {
+    return scheduleService.getSchedulesOf(workflowId);
+  }
+
   async getExecutions(limit = 50) {
     return workflowEngine.getExecutionHistory(limit);
   }
@@ -16,6 +208,18 @@ class WorkflowOrchestrator {
   async getActiveExecutions() {
     return workflowEngine.getActiveExecutions();
   }
+
+  async stopExecution(executionId) {
+    return workflowEngine.stopExecution(executionId);
+  }
+
+  async getDebugState(executionId) {
+    return workflowEngine.getDebugState(executionId);
+  }
+
+  async debugExecution(executionId, command) {
+    return workflowEngine.debugExecution(executionId, command);
+  }
 }
 
 const workflowOrchestrator = new WorkflowOrchestrator();
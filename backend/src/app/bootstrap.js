@@ -1,15 +1,25 @@
 // Bootstrap file to initialize registry, plugins, event bus, etc.
 import nodeRegistry from '../engine/registry/NodeRegistry.js';
 import pluginLoader from '../engine/registry/PluginLoader.js';
+import workflowOrchestrator from './WorkflowOrchestrator.js';
+import waitTracker from './WaitTracker.js';
+import activeWorkflowManager from './ActiveWorkflowManager.js';
+import eventBus from '../shared/EventBus.js';
 import logger from '../observability/logger.js';
 
 export async function bootstrap() {
   nodeRegistry.initialize();
   await pluginLoader.loadAll(nodeRegistry);
+  eventBus.subscribe('workflow.failed', (event) => workflowOrchestrator.runErrorWorkflow(event));
+  const recovered = await workflowOrchestrator.recoverExecutions();
+  waitTracker.start();
+  const activeWorkflows = await activeWorkflowManager.start();
   const loadedPlugins = pluginLoader.plugins.map((p) => p.name);
   const loadedNodeIds = nodeRegistry.getAllNodes().map((n) => n.id);
   logger.info('Bootstrap complete', {
     plugins: loadedPlugins,
     nodes: loadedNodeIds,
+    recoveredExecutions: recovered,
+    activeWorkflows,
   });
 }
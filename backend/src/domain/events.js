@@ -14,6 +14,30 @@ export class WorkflowStarted extends DomainEvent {
   }
 }
 
+export class WorkflowFailed extends DomainEvent {
+  constructor(workflowId, runId, failure) {
+    super('workflow.failed', { workflowId, runId, ...failure });
+  }
+}
+
+export class ExecutionPaused extends DomainEvent {
+  constructor(runId, state) {
+    super('execution.paused', { runId, ...state });
+  }
+}
+
+export class ExecutionResumed extends DomainEvent {
+  constructor(runId, command) {
+    super('execution.resumed', { runId, command });
+  }
+}
+
+export class ExecutionWaiting extends DomainEvent {
+  constructor(runId, waiting) {
+    super('execution.waiting', { runId, ...waiting });
+  }
+}
+
 export class NodeCompleted extends DomainEvent {
   constructor(nodeId, runId, output) {
     super('node.completed', { nodeId, runId, output });
@@ -3,73 +3,296 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import eventBus from '../shared/EventBus.js';
-import { WorkflowStarted, NodeCompleted } from '../domain/events.js';
+import {
+  WorkflowStarted,
+  WorkflowFailed,
+  NodeCompleted,
+  ExecutionPaused,
+  ExecutionResumed,
+  ExecutionWaiting,
+} from '../domain/events.js';
 import nodeRegistry from './registry/NodeRegistry.js';
+import executionRepository from '../infra/ExecutionRepository.js';
+import { toItems, unwrapItems } from './items.js';
+import { createExpressionContext, resolveValue } from './expressions.js';
+import { abortable, sleep, withTimeout } from '../shared/abort.js';
+import { getResumeUrl } from '../shared/webhookUrl.js';
+
+const SETTLED_STATUSES = new Set(['completed', 'failed', 'skipped', 'cancelled']);
+const JOIN_MODES = ['wait-for-all', 'first-wins', 'pass-through'];
+const ERROR_POLICIES = ['stop', 'continue', 'error-output'];
+const RETRY_BACKOFFS = ['fixed', 'exponential'];
+const DEBUG_COMMANDS = ['step', 'continue', 'abort'];
+const DEFAULT_MAX_DEPTH = 10;
+const DEFAULT_MAX_NODE_EXECUTIONS = 100;
+const DEFAULT_MAX_ITERATIONS = 1000;
+const DEFAULT_TIMEOUT = 300000; // 5 minutes
+// Longest delay setTimeout supports; longer ones fire at once
+const MAX_TIMEOUT = 2147483647;
+
+// Nodes throw both Error instances and BaseNode.createError() payloads
+function toError(error) {
+  if (error instanceof Error || error instanceof DOMException) return error;
+
+  const payload = error?.error;
+  const normalized = new Error(payload?.message || String(error));
+  if (payload?.code) normalized.code = payload.code;
+  if (payload?.details) normalized.details = payload.details;
+  return normalized;
+}
 
 class WorkflowEngine {
-  constructor() {
+  constructor({ repository = executionRepository } = {}) {
     this.activeExecutions = new Map();
     this.executionHistory = [];
     this.maxHistorySize = 1000;
+    this.repository = repository;
   }
 
   async executeWorkflow(workflow, triggerData = {}, options = {}) {
-    const executionId = uuidv4();
+    const execution = this.createExecution(workflow, triggerData, options);
+
+    // Emit workflow started event
+    eventBus.publish('workflow.started', new WorkflowStarted(workflow.id, execution.id));
+
+    this.log(execution.id, 'info', 'Starting workflow execution', {
+      workflowId: workflow.id,
+      triggerData,
+    });
+
+    return this.runExecution(execution, workflow, () => this.initializeNodes(execution, workflow));
+  }
+
+  // Re-runs only startNodeId and the nodes downstream of it. Every other node is
+  // not executed: it replays its pinned outputs (pinData[nodeId][port]) or the
+  // outputs it recorded in a prior execution's checkpoint, if any.
+  async executePartial(
+    workflow,
+    startNodeId,
+    { pinData = {}, sourceExecution = null } = {},
+    options = {},
+  ) {
+    this.checkPartialStart(workflow, startNodeId, pinData, sourceExecution);
+    const execution = this.createExecution(workflow, sourceExecution?.triggerData || {}, {
+      mode: 'partial',
+      ...options,
+      startNodeId,
+    });
+
+    eventBus.publish('workflow.started', new WorkflowStarted(workflow.id, execution.id));
+
+    this.log(execution.id, 'info', `Starting partial execution from node ${startNodeId}`, {
+      workflowId: workflow.id,
+      sourceExecutionId: sourceExecution?.id,
+      pinnedNodes: Object.keys(pinData),
+    });
+
+    return this.runExecution(execution, workflow, async () => {
+      await this.initializeNodes(execution, workflow);
+      this.seedUpstreamData(execution, workflow, startNodeId, pinData, sourceExecution);
+    });
+  }
+
+  // Runs a workflow as a child of the node nodeId (ExecuteWorkflow). Waiting children are
+  // stopped with their parent node; fire-and-forget children outlive it.
+  async executeChildWorkflow(
+    parent,
+    nodeId,
+    workflow,
+    triggerData,
+    { waitForCompletion = true } = {},
+  ) {
+    const depth = (parent.options.depth || 0) + 1;
+    const maxDepth = parent.options.maxDepth ?? DEFAULT_MAX_DEPTH;
+    if (depth > maxDepth) {
+      const error = new Error(`Sub-workflow recursion depth exceeded (${maxDepth})`);
+      error.code = 'RECURSION_LIMIT';
+      throw error;
+    }
+
+    const child = this.createExecution(workflow, triggerData, {
+      mode: 'subworkflow',
+      timeout: parent.options.timeout,
+      nodeTimeout: parent.options.nodeTimeout,
+      concurrency: parent.options.concurrency,
+      parentExecutionId: parent.id,
+      parentNodeId: nodeId,
+      detached: !waitForCompletion,
+      depth,
+      maxDepth,
+    });
+
+    eventBus.publish('workflow.started', new WorkflowStarted(workflow.id, child.id));
+    this.log(child.id, 'info', 'Starting sub-workflow execution', {
+      workflowId: workflow.id,
+      parentExecutionId: parent.id,
+      parentNodeId: nodeId,
+      depth,
+    });
+
+    const run = this.runExecution(child, workflow, () => this.initializeNodes(child, workflow));
+
+    if (!waitForCompletion) {
+      run.catch((error) => {
+        this.log(parent.id, 'warn', `Sub-workflow ${child.id} failed`, { error: error.message });
+      });
+      return { executionId: child.id, status: child.status };
+    }
+
+    const signal = parent.nodes.get(nodeId).signal;
+    const onAbort = () => this.stopExecution(child.id);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const result = await run;
+      return { ...result, items: this.getFinalItems(child, workflow) };
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // Output items of the nodes without outgoing connections, without their child lineage
+  getFinalItems(execution, workflow) {
+    const items = [];
+    for (const [nodeId, nodeInfo] of execution.nodes.entries()) {
+      if (this.getOutgoingConnections(workflow, nodeId).length > 0) continue;
+      for (const run of nodeInfo.runs) {
+        for (const portItems of Object.values(run.outputs)) {
+          items.push(...portItems.map(({ pairedItem, ...item }) => item));
+        }
+      }
+    }
+    return items;
+  }
+
+  // Continues an execution from its last checkpoint: completed nodes keep their
+  // outputs, and nodes that were running when the process stopped run again.
+  async resumeExecution(checkpoint) {
+    const { workflow } = checkpoint;
+    const execution = this.createExecution(workflow, checkpoint.triggerData, checkpoint.options, {
+      id: checkpoint.id,
+      startTime: new Date(checkpoint.startTime),
+    });
+
+    this.log(execution.id, 'info', 'Resuming workflow execution', {
+      workflowId: workflow.id,
+      checkpointedAt: checkpoint.updatedAt,
+    });
+
+    return this.runExecution(execution, workflow, async () => {
+      await this.initializeNodes(execution, workflow);
+      this.restoreCheckpoint(execution, checkpoint);
+    });
+  }
+
+  createExecution(workflow, triggerData, options = {}, restored = {}) {
+    this.checkOptions(options);
     const execution = {
-      id: executionId,
+      id: restored.id || uuidv4(),
       workflowId: workflow.id,
-      startTime: new Date(),
+      workflow,
+      mode: options.mode || 'manual',
+      startTime: restored.startTime || new Date(),
       status: 'running',
       nodes: new Map(),
       variables: new Map(),
+      results: [],
+      sequence: 0,
       errors: [],
       triggerData,
       options: {
-        debug: options.debug || false,
-        timeout: options.timeout || 300000, // 5 minutes default
-        maxNodes: options.maxNodes || 100,
         ...options,
+        debug: options.debug || false,
+        timeout: options.timeout ?? DEFAULT_TIMEOUT,
+        maxNodes: options.maxNodes ?? 100,
+        concurrency: options.concurrency ?? 4,
       },
+      abortController: new AbortController(),
+      checkpointing: Promise.resolve(),
+      // Pending HTTP response of a webhook waiting for a Respond to Webhook node; it is not
+      // checkpointed, so a resumed execution can no longer respond
+      webhookResponse: options.webhook?.respond
+        ? { respond: options.webhook.respond, sentBy: null }
+        : null,
+      // Step debugger: pauses before breakpoint nodes, and before every node while stepping
+      debugger: options.debug
+        ? { breakpoints: new Set(options.breakpoints || []), stepping: false, pause: null }
+        : null,
     };
 
-    this.activeExecutions.set(executionId, execution);
+    this.startTimeout(execution, execution.options.timeout);
+    this.activeExecutions.set(execution.id, execution);
+    return execution;
+  }
 
-    // Emit workflow started event
-    eventBus.publish('workflow.started', new WorkflowStarted(workflow.id, executionId));
+  // Fails with OPTIONS_INVALID, before the execution starts, on a timeout its timer can not keep
+  checkOptions({ timeout }) {
+    if (timeout === undefined || timeout === null) return;
+    if (typeof timeout !== 'number' || !(timeout > 0 && timeout <= MAX_TIMEOUT)) {
+      const error = new Error(
+        `Invalid workflow timeout: ${JSON.stringify(timeout)} (expected 1 to ${MAX_TIMEOUT}ms)`,
+      );
+      error.code = 'OPTIONS_INVALID';
+      throw error;
+    }
+  }
 
-    try {
-      this.log(executionId, 'info', 'Starting workflow execution', {
-        workflowId: workflow.id,
-        triggerData,
-      });
+  // Workflow-level timeout aborts every node still running; it is suspended while paused
+  startTimeout(execution, ms) {
+    execution.deadline = Date.now() + ms;
+    execution.timeoutTimer = setTimeout(() => {
+      const message = `Workflow execution timed out after ${execution.options.timeout}ms`;
+      execution.abortController.abort(new DOMException(message, 'TimeoutError'));
+    }, ms);
+  }
+
+  async runExecution(execution, workflow, prepare) {
+    const executionId = execution.id;
 
+    try {
       // Validate workflow
       const validation = this.validateWorkflow(workflow);
       if (!validation.valid) {
         throw new Error(`Workflow validation failed: ${validation.errors.join(', ')}`);
       }
 
-      // Initialize nodes
-      await this.initializeNodes(execution, workflow);
+      // Initialize nodes (and restore checkpointed state when resuming)
+      await prepare();
+      this.assignLoops(execution, workflow);
+      this.checkpoint(execution);
 
-      // Find trigger nodes
-      const triggerNodes = this.findTriggerNodes(workflow);
-      if (triggerNodes.length === 0) {
+      // Find trigger nodes (a partial execution starts from its start node instead)
+      const triggerNodes = execution.options.startNodeId
+        ? this.findPartialStartNodes(workflow, execution.options.startNodeId)
+        : this.findTriggerNodes(workflow, execution.options.triggerNodeId);
+      if (triggerNodes.length === 0 && !execution.options.startNodeId) {
         throw new Error('No trigger nodes found in workflow');
       }
 
       // Execute workflow starting from triggers
-      const results = [];
-      for (const triggerNode of triggerNodes) {
-        const result = await this.executeFromNode(execution, workflow, triggerNode.id, triggerData);
-        results.push(result);
+      await this.runScheduler(execution, workflow, triggerNodes);
+
+      // Wait nodes suspended the execution: it is persisted and resumed later
+      const waiting = this.getWaitingNodes(execution);
+      if (waiting.length > 0) {
+        const resumeTimes = waiting
+          .map(([, nodeInfo]) => nodeInfo.waiting.resumeAt)
+          .filter(Boolean)
+          .sort();
+        execution.status = 'waiting';
+        execution.waitTill = resumeTimes[0] || null;
+
+        this.log(executionId, 'info', 'Workflow execution waiting', {
+          nodes: waiting.map(([nodeId]) => nodeId),
+          waitTill: execution.waitTill,
+        });
+        return this.getExecutionResult(execution);
       }
 
       // Complete execution
       execution.endTime = new Date();
       execution.duration = execution.endTime - execution.startTime;
       execution.status = 'completed';
-      execution.results = results;
 
       this.log(executionId, 'info', 'Workflow execution completed', {
         duration: execution.duration,
@@ -80,6 +303,13 @@ class WorkflowEngine {
     } catch (error) {
       execution.endTime = new Date();
       execution.duration = execution.endTime - execution.startTime;
+
+      if (execution.abortController.signal.aborted && error.name === 'AbortError') {
+        execution.status = 'stopped';
+        this.log(executionId, 'info', 'Execution stopped by user');
+        return this.getExecutionResult(execution);
+      }
+
       execution.status = 'failed';
       execution.error = error.message;
       execution.errors.push({
@@ -90,11 +320,33 @@ class WorkflowEngine {
 
       this.log(executionId, 'error', 'Workflow execution failed', { error: error.message });
 
+      eventBus.publish(
+        'workflow.failed',
+        new WorkflowFailed(
+          workflow.id,
+          executionId,
+          this.describeFailure(execution, workflow, error),
+        ),
+      );
+
       throw error;
     } finally {
       // Clean up
       await this.cleanupExecution(execution, workflow);
       this.moveToHistory(execution);
+      this.checkpoint(execution);
+      await execution.checkpointing;
+
+      // Published once persisted, so listeners can resume it right away
+      if (execution.status === 'waiting') {
+        eventBus.publish(
+          'execution.waiting',
+          new ExecutionWaiting(executionId, {
+            workflowId: workflow.id,
+            waitTill: execution.waitTill,
+          }),
+        );
+      }
     }
   }
 
@@ -125,9 +377,25 @@ class WorkflowEngine {
       }
     }
 
-    // Check for circular dependencies
+    // Validate engine settings of each node
+    for (const node of workflow.nodes) {
+      const settings = node.settings || {};
+      for (const [port, mode] of Object.entries(settings.join || {})) {
+        if (!JOIN_MODES.includes(mode)) {
+          errors.push(`Node ${node.id} has unknown join mode "${mode}" for port ${port}`);
+        }
+      }
+      if (settings.onError && !ERROR_POLICIES.includes(settings.onError)) {
+        errors.push(`Node ${node.id} has unknown error policy "${settings.onError}"`);
+      }
+      if (settings.retry?.backoff && !RETRY_BACKOFFS.includes(settings.retry.backoff)) {
+        errors.push(`Node ${node.id} has unknown retry backoff "${settings.retry.backoff}"`);
+      }
+    }
+
+    // Check for circular dependencies; only loop nodes may close a cycle
     if (this.hasCircularDependencies(workflow)) {
-      errors.push('Workflow contains circular dependencies');
+      errors.push('Workflow contains circular dependencies not closed by a loop node');
     }
 
     return {
@@ -137,7 +405,7 @@ class WorkflowEngine {
   }
 
   hasCircularDependencies(workflow) {
-    const graph = this.buildDependencyGraph(workflow);
+    const graph = this.buildDependencyGraph(workflow, this.getBackEdges(workflow));
     const visited = new Set();
     const recursionStack = new Set();
 
@@ -167,7 +435,7 @@ class WorkflowEngine {
     return false;
   }
 
-  buildDependencyGraph(workflow) {
+  buildDependencyGraph(workflow, ignored = new Set()) {
     const graph = new Map();
 
     // Initialize all nodes
@@ -177,6 +445,7 @@ class WorkflowEngine {
 
     // Add dependencies from connections
     for (const connection of workflow.connections) {
+      if (ignored.has(connection)) continue;
       const dependencies = graph.get(connection.target) || [];
       dependencies.push(connection.source);
       graph.set(connection.target, dependencies);
@@ -185,13 +454,122 @@ class WorkflowEngine {
     return graph;
   }
 
-  findTriggerNodes(workflow) {
+  // Connections feeding a loop node (acceptsBackEdges) from its own downstream nodes
+  getBackEdges(workflow) {
+    const backEdges = new Set();
+    for (const connection of workflow.connections) {
+      const target = workflow.nodes.find((node) => node.id === connection.target);
+      if (!target || !nodeRegistry.getNodeMetadata(target.type)?.acceptsBackEdges) continue;
+      if (this.getDownstreamNodes(workflow, connection.target).has(connection.source)) {
+        backEdges.add(connection);
+      }
+    }
+    return backEdges;
+  }
+
+  // Tags every node on a cycle through a loop node with that loop (the innermost
+  // one when loops are nested)
+  assignLoops(execution, workflow) {
+    const bodies = [];
+    for (const [nodeId, nodeInfo] of execution.nodes.entries()) {
+      if (!nodeRegistry.getNodeMetadata(nodeInfo.data.type)?.acceptsBackEdges) continue;
+
+      const body = [...this.getDownstreamNodes(workflow, nodeId)].filter((id) =>
+        this.getDownstreamNodes(workflow, id).has(nodeId),
+      );
+      bodies.push({ loopId: nodeId, body });
+    }
+
+    bodies.sort((a, b) => b.body.length - a.body.length);
+    for (const { loopId, body } of bodies) {
+      for (const id of body) execution.nodes.get(id).loopId = loopId;
+    }
+  }
+
+  // All manually startable triggers, or only the one named by options.triggerNodeId
+  findTriggerNodes(workflow, triggerNodeId) {
     return workflow.nodes.filter((node) => {
       const metadata = nodeRegistry.getNodeMetadata(node.type);
-      return metadata && metadata.category === 'trigger';
+      if (!metadata || metadata.category !== 'trigger') return false;
+      return triggerNodeId ? node.id === triggerNodeId : metadata.manualStart;
     });
   }
 
+  // A start node without incoming connections runs like a trigger; otherwise it is
+  // activated by the replayed outputs of its upstream nodes
+  findPartialStartNodes(workflow, startNodeId) {
+    return workflow.nodes.filter(
+      (node) =>
+        node.id === startNodeId && this.getIncomingConnections(workflow, node.id).length === 0,
+    );
+  }
+
+  // Nodes reachable from nodeId, including itself
+  getDownstreamNodes(workflow, nodeId) {
+    const reached = new Set([nodeId]);
+    const queue = [nodeId];
+    while (queue.length > 0) {
+      for (const connection of this.getOutgoingConnections(workflow, queue.shift())) {
+        if (!reached.has(connection.target)) {
+          reached.add(connection.target);
+          queue.push(connection.target);
+        }
+      }
+    }
+    return reached;
+  }
+
+  // Fails with PARTIAL_INVALID, before any execution starts, when startNodeId is not in the
+  // workflow or none of its upstream nodes has pinned or recorded data
+  checkPartialStart(workflow, startNodeId, pinData, sourceExecution) {
+    const partialError = (message) => {
+      const error = new Error(message);
+      error.code = 'PARTIAL_INVALID';
+      return error;
+    };
+
+    if (!workflow.nodes.some((node) => node.id === startNodeId)) {
+      throw partialError(`Start node ${startNodeId} not found in workflow`);
+    }
+
+    // Mirrors seedUpstreamData: recorded outputs only replace nodes outside the re-run
+    const downstream = this.getDownstreamNodes(workflow, startNodeId);
+    const history = sourceExecution?.nodes || {};
+    const hasData = (nodeId) =>
+      Boolean(pinData[nodeId]) || (!downstream.has(nodeId) && history[nodeId]?.runs?.length > 0);
+    const upstream = this.getIncomingConnections(workflow, startNodeId);
+    if (upstream.length > 0 && !upstream.some((connection) => hasData(connection.source))) {
+      throw partialError(
+        `No input data for node ${startNodeId}: pin upstream outputs or pass a prior execution`,
+      );
+    }
+  }
+
+  seedUpstreamData(execution, workflow, startNodeId, pinData, sourceExecution) {
+    const downstream = this.getDownstreamNodes(workflow, startNodeId);
+    const history = sourceExecution?.nodes || {};
+    if (sourceExecution) execution.sequence = sourceExecution.sequence || 0;
+
+    for (const [nodeId, nodeInfo] of execution.nodes.entries()) {
+      const pinned = nodeId !== startNodeId && pinData[nodeId];
+      if (!pinned && downstream.has(nodeId)) continue;
+
+      if (pinned) {
+        const outputs = Object.fromEntries(
+          Object.entries(pinned).map(([port, value]) => [port, toItems(value)]),
+        );
+        nodeInfo.runs = [{ seq: ++execution.sequence, outputs }];
+        nodeInfo.dataSource = 'pinned';
+      } else if (history[nodeId]?.runs?.length > 0) {
+        nodeInfo.runs = history[nodeId].runs;
+        nodeInfo.dataSource = 'history';
+      } else {
+        nodeInfo.dataSource = 'none';
+      }
+      nodeInfo.status = nodeInfo.runs.length > 0 ? 'completed' : 'skipped';
+    }
+  }
+
   async initializeNodes(execution, workflow) {
     for (const nodeData of workflow.nodes) {
       try {
@@ -202,6 +580,8 @@ class WorkflowEngine {
           data: nodeData,
           status: 'initialized',
           executions: 0,
+          runs: [],
+          consumed: new Set(),
         });
       } catch (error) {
         throw new Error(`Failed to initialize node ${nodeData.id}: ${error.message}`);
@@ -209,102 +589,631 @@ class WorkflowEngine {
     }
   }
 
-  async executeFromNode(execution, workflow, nodeId, inputData = {}) {
+  // Runs nodes as soon as their input ports are satisfied (see getActivation),
+  // keeping up to options.concurrency independent branches in flight.
+  async runScheduler(execution, workflow, triggerNodes) {
+    const triggerIds = new Set(triggerNodes.map((node) => node.id));
+    const concurrency = Math.max(1, execution.options.concurrency);
+    const running = new Map();
+    const { signal } = execution.abortController;
+
+    try {
+      for (;;) {
+        if (signal.aborted) {
+          // Running nodes reject as soon as the signal aborts
+          await Promise.allSettled(running.values());
+          break;
+        }
+
+        let progressed = false;
+
+        for (const activation of this.getActivations(execution, workflow, triggerIds, running)) {
+          if (running.size >= concurrency) break;
+          progressed = true;
+
+          const { nodeId, inputItems, sources, consumes, skip } = activation;
+          const nodeInfo = execution.nodes.get(nodeId);
+
+          if (skip) {
+            // No upstream branch delivered data (e.g. the untaken side of an IfElse)
+            nodeInfo.status = 'skipped';
+            continue;
+          }
+
+          if (this.shouldPause(execution, nodeId)) {
+            await this.pauseBefore(execution, nodeId, inputItems, running);
+            if (signal.aborted) break;
+          }
+
+          if (consumes) nodeInfo.consumed.add(consumes);
+          nodeInfo.activation = { consumes };
+          const task = this.executeNode(execution, workflow, nodeId, inputItems, sources).finally(
+            () => {
+              running.delete(nodeId);
+              // A waiting node keeps its activation, so it runs again when the execution resumes
+              if (nodeInfo.status !== 'waiting') nodeInfo.activation = null;
+              this.checkpoint(execution);
+            },
+          );
+          running.set(nodeId, task);
+        }
+
+        if (running.size === 0) {
+          if (progressed) continue;
+          break;
+        }
+
+        await Promise.race(running.values());
+      }
+    } catch (error) {
+      // Never leave nodes running behind a failed execution
+      execution.abortController.abort(error);
+      await Promise.allSettled(running.values());
+      throw error;
+    }
+
+    if (signal.aborted) {
+      // Nothing downstream of the cancelled work will run any more
+      for (const nodeInfo of execution.nodes.values()) {
+        if (nodeInfo.status === 'initialized') nodeInfo.status = 'cancelled';
+      }
+      throw signal.reason;
+    }
+
+    // Nodes downstream of a waiting node run once the execution resumes
+    if (this.getWaitingNodes(execution).length > 0) return;
+
+    // Nodes that never received data, e.g. the body of a loop that never started
+    for (const nodeInfo of execution.nodes.values()) {
+      if (nodeInfo.status === 'initialized') nodeInfo.status = 'skipped';
+    }
+  }
+
+  getActivations(execution, workflow, triggerIds, running) {
+    const activations = [];
+    const settled = new Map();
+
+    for (const [nodeId, nodeInfo] of execution.nodes.entries()) {
+      // Nodes replaying pinned or historical data never run
+      if (running.has(nodeId) || nodeInfo.dataSource) continue;
+
+      if (triggerIds.has(nodeId)) {
+        if (nodeInfo.status === 'initialized') {
+          activations.push({ nodeId, inputItems: {}, sources: {} });
+        }
+        continue;
+      }
+
+      const activation = this.getActivation(execution, workflow, nodeId, running, settled);
+      if (activation) activations.push(activation);
+    }
+
+    if (activations.length === 0 && running.size === 0) {
+      const loopId = this.getStalledLoop(execution);
+      if (loopId) activations.push({ nodeId: loopId, inputItems: {}, sources: {} });
+    }
+
+    return activations;
+  }
+
+  // A loop body that returns no items for a batch never activates its loop node again. Once
+  // nothing else can run, a loop node still holding state (an unfinished loop) runs again
+  // without items, so it moves on to the next batch. The loop that ran last is the innermost.
+  getStalledLoop(execution) {
+    if (this.getWaitingNodes(execution).length > 0) return null;
+
+    let stalled = null;
+    for (const [nodeId, nodeInfo] of execution.nodes.entries()) {
+      const lastSeq = nodeInfo.runs.at(-1)?.seq ?? -1;
+      if (
+        this.isUnfinishedLoop(nodeInfo) &&
+        nodeInfo.status === 'completed' &&
+        !nodeInfo.dataSource &&
+        (!stalled || lastSeq > stalled.lastSeq)
+      ) {
+        stalled = { nodeId, lastSeq };
+      }
+    }
+    return stalled?.nodeId || null;
+  }
+
+  // Loop nodes keep their state between the batches of a loop
+  isUnfinishedLoop(nodeInfo) {
+    return Boolean(
+      nodeInfo.state && nodeRegistry.getNodeMetadata(nodeInfo.data.type)?.acceptsBackEdges,
+    );
+  }
+
+  // Decides whether a node can run now, and with which inputs, based on the join
+  // mode of each input port:
+  //   wait-for-all - wait until every upstream branch of the port has settled
+  //   first-wins   - run with the first items to arrive, ignore later ones
+  //   pass-through - run once per arriving batch of items
+  getActivation(execution, workflow, nodeId, running, settled) {
     const nodeInfo = execution.nodes.get(nodeId);
-    if (!nodeInfo) {
-      throw new Error(`Node ${nodeId} not found in execution context`);
+    const hasRun = nodeInfo.status !== 'initialized';
+    const inputItems = {};
+    const sources = {};
+    let delivered = false;
+    let passThrough = null;
+    let passThroughPending = false;
+
+    for (const [port, connections] of this.groupIncomingByPort(workflow, nodeId)) {
+      const mode = this.getJoinMode(nodeInfo, port);
+      const deliveries = connections
+        .flatMap((connection) => this.getDeliveries(execution, workflow, connection))
+        .sort((a, b) => a.seq - b.seq);
+      const allSettled = connections.every((connection) =>
+        this.isNodeSettled(execution, workflow, connection.source, running, settled),
+      );
+
+      if (mode === 'pass-through') {
+        const next = deliveries.find((delivery) => !nodeInfo.consumed.has(delivery.key));
+        if (next && (!passThrough || next.seq < passThrough.seq)) {
+          passThrough = { ...next, port };
+        }
+        if (!allSettled) passThroughPending = true;
+        continue;
+      }
+
+      if (mode === 'first-wins') {
+        if (deliveries.length === 0 && !allSettled) return null;
+      } else if (!allSettled) {
+        return null;
+      }
+
+      if (deliveries.length > 0) {
+        delivered = true;
+        const joined = mode === 'first-wins' ? deliveries.slice(0, 1) : deliveries;
+        inputItems[port] = joined.flatMap((delivery) => delivery.items);
+        sources[port] = joined.flatMap((delivery) => delivery.sources);
+      }
     }
 
-    // Check execution limits
-    if (nodeInfo.executions >= 100) {
-      throw new Error(`Node ${nodeId} exceeded maximum executions (100)`);
+    if (passThrough) {
+      inputItems[passThrough.port] = passThrough.items;
+      sources[passThrough.port] = passThrough.sources;
+      return { nodeId, inputItems, sources, consumes: passThrough.key };
     }
 
+    if (hasRun || passThroughPending) return null;
+    if (!delivered) return { nodeId, skip: true };
+    return { nodeId, inputItems, sources };
+  }
+
+  // A node is settled once it has finished and can not be activated again (an unfinished loop
+  // node runs again, see getStalledLoop).
+  // Inside a loop the check comes back around to a node still being evaluated:
+  // it is assumed settled, and only the outermost call caches a positive result.
+  isNodeSettled(execution, workflow, nodeId, running, settled, visiting = new Set()) {
+    if (settled.has(nodeId)) return settled.get(nodeId);
+    if (visiting.has(nodeId)) return true;
+
+    const nodeInfo = execution.nodes.get(nodeId);
+    let result =
+      !running.has(nodeId) &&
+      SETTLED_STATUSES.has(nodeInfo.status) &&
+      !this.isUnfinishedLoop(nodeInfo);
+
+    if (result && !nodeInfo.dataSource) {
+      visiting.add(nodeId);
+      for (const connection of this.getIncomingConnections(workflow, nodeId)) {
+        if (this.getJoinMode(nodeInfo, connection.targetPort) !== 'pass-through') continue;
+
+        const drained = this.getDeliveries(execution, workflow, connection).every((delivery) =>
+          nodeInfo.consumed.has(delivery.key),
+        );
+        if (
+          !drained ||
+          !this.isNodeSettled(execution, workflow, connection.source, running, settled, visiting)
+        ) {
+          result = false;
+          break;
+        }
+      }
+      visiting.delete(nodeId);
+    }
+
+    if (!result || visiting.size === 0) settled.set(nodeId, result);
+    return result;
+  }
+
+  // Item batches a connection has carried, one per run of its source node
+  getDeliveries(execution, workflow, connection) {
+    const index = workflow.connections.indexOf(connection);
+    const sourceNode = execution.nodes.get(connection.source);
+
+    return sourceNode.runs
+      .map((run, runIndex) => {
+        const items = run.outputs[connection.sourcePort] || [];
+        return {
+          key: `${index}:${runIndex}`,
+          seq: run.seq,
+          items,
+          sources: items.map((item, itemIndex) => ({
+            node: connection.source,
+            run: runIndex,
+            item: itemIndex,
+          })),
+        };
+      })
+      .filter((delivery) => delivery.items.length > 0);
+  }
+
+  groupIncomingByPort(workflow, nodeId) {
+    const ports = new Map();
+    for (const connection of this.getIncomingConnections(workflow, nodeId)) {
+      if (!ports.has(connection.targetPort)) ports.set(connection.targetPort, []);
+      ports.get(connection.targetPort).push(connection);
+    }
+    return ports;
+  }
+
+  // Per-workflow node settings override the join mode declared on the input port.
+  // Nodes in a loop body run once per iteration, so they default to pass-through.
+  getJoinMode(nodeInfo, port) {
+    const configured = nodeInfo.data.settings?.join?.[port];
+    if (configured) return configured;
+
+    const input = (nodeInfo.instance.inputs || []).find((i) => i.name === port);
+    return input?.join || (nodeInfo.loopId ? 'pass-through' : 'wait-for-all');
+  }
+
+  // Loop bodies may run once per iteration of their loop (plus the loop's final
+  // run); other nodes are capped by options.maxNodeExecutions
+  getExecutionLimit(execution, nodeInfo) {
+    if (nodeInfo.loopId) {
+      const loop = execution.nodes.get(nodeInfo.loopId).instance;
+      return loop.getProperty('maxIterations', DEFAULT_MAX_ITERATIONS) + 1;
+    }
+    return execution.options.maxNodeExecutions ?? DEFAULT_MAX_NODE_EXECUTIONS;
+  }
+
+  async executeNode(execution, workflow, nodeId, inputItems = {}, sources = {}) {
+    const nodeInfo = execution.nodes.get(nodeId);
+    const limit = this.getExecutionLimit(execution, nodeInfo);
+
     // Mark as executing
     nodeInfo.status = 'executing';
+    nodeInfo.waiting = null;
     nodeInfo.executions++;
     nodeInfo.startTime = new Date();
+    nodeInfo.lastInput = Object.fromEntries(
+      Object.entries(inputItems).map(([port, items]) => [port, unwrapItems(items)]),
+    );
+
+    // Node-level timeout, on top of the workflow-level one
+    const timeout = this.getNodeSettings(nodeInfo).timeout || execution.options.nodeTimeout;
+    const { signal, cleanup } = withTimeout(
+      execution.abortController.signal,
+      timeout,
+      `Node ${nodeId} timed out after ${timeout}ms`,
+    );
+    nodeInfo.signal = signal;
 
     try {
+      // Exceeding the execution limit fails the node like any other error
+      if (nodeInfo.executions > limit) {
+        throw new Error(`Node ${nodeId} exceeded maximum executions (${limit})`);
+      }
+
       this.log(execution.id, 'debug', `Executing node ${nodeId}`, {
         type: nodeInfo.instance.type,
         executions: nodeInfo.executions,
       });
 
-      // Create execution context
-      const context = this.createExecutionContext(execution, workflow, nodeId, inputData);
-
       // Execute the node
-      const result = await nodeInfo.instance.execute(context);
+      const outputs = await abortable(
+        this.runNode(execution, workflow, nodeId, inputItems, sources),
+        signal,
+      );
 
-      // Mark as completed
       nodeInfo.endTime = new Date();
       nodeInfo.duration = nodeInfo.endTime - nodeInfo.startTime;
+
+      // The node put the execution to wait (context.putToWait) instead of producing output
+      if (nodeInfo.waiting) {
+        nodeInfo.status = 'waiting';
+        this.log(execution.id, 'info', `Node ${nodeId} is waiting`, nodeInfo.waiting);
+        return;
+      }
+
+      // Mark as completed
       nodeInfo.status = 'completed';
-      nodeInfo.lastResult = result;
+      nodeInfo.runs.push({ seq: ++execution.sequence, outputs });
 
       this.log(execution.id, 'debug', `Node ${nodeId} completed`, {
         duration: nodeInfo.duration,
-        outputs: Object.keys(result || {}),
+        outputs: Object.keys(outputs),
       });
 
       // Emitir evento de nodo completado
-      eventBus.publish('node.completed', new NodeCompleted(nodeId, execution.id, result));
+      eventBus.publish('node.completed', new NodeCompleted(nodeId, execution.id, outputs));
 
-      // Execute connected nodes
-      const connectedResults = await this.executeConnectedNodes(
-        execution,
-        workflow,
+      execution.results.push({
         nodeId,
-        result,
-      );
-
-      return {
-        nodeId,
-        result,
-        connectedResults,
+        run: nodeInfo.runs.length - 1,
+        outputs,
+        startTime: nodeInfo.startTime,
+        endTime: nodeInfo.endTime,
         duration: nodeInfo.duration,
-      };
-    } catch (error) {
+      });
+    } catch (caught) {
+      const error = toError(caught);
       nodeInfo.endTime = new Date();
       nodeInfo.duration = nodeInfo.endTime - nodeInfo.startTime;
+
+      if (execution.abortController.signal.aborted) {
+        nodeInfo.status = 'cancelled';
+        this.log(execution.id, 'warn', `Node ${nodeId} cancelled`, { reason: error.message });
+        return;
+      }
+
       nodeInfo.status = 'failed';
       nodeInfo.error = error.message;
+      nodeInfo.failure = error;
+      this.recordNodeError(execution, nodeId, error);
 
-      this.log(execution.id, 'error', `Node ${nodeId} failed`, {
-        error: error.message,
-        duration: nodeInfo.duration,
-      });
+      // The "stop" policy fails the whole workflow and cancels the other branches
+      if (this.getNodeSettings(nodeInfo).onError === 'stop') {
+        execution.failedNodeId = nodeId;
+        execution.abortController.abort(error);
+      }
+    } finally {
+      cleanup();
+    }
+  }
 
-      execution.errors.push({
-        nodeId,
-        error: error.message,
-        timestamp: new Date(),
-      });
+  // Runs a node once per item of its primary input ("perItem") or once for the
+  // whole batch, pairing every output item with the input item it came from.
+  async runNode(execution, workflow, nodeId, inputItems, sources) {
+    const nodeInfo = execution.nodes.get(nodeId);
+    const { instance } = nodeInfo;
+    const port = instance.inputs?.[0]?.name || 'input';
+    const items = inputItems[port] || [];
+    const itemSources = sources[port] || [];
+    const outputs = {};
+
+    if (instance.executionMode === 'perItem' && items.length > 0) {
+      for (let index = 0; index < items.length; index++) {
+        nodeInfo.signal.throwIfAborted();
+        const current = { port, index, item: items[index] };
+        const context = this.createExecutionContext(
+          execution,
+          workflow,
+          nodeId,
+          inputItems,
+          current,
+          sources,
+        );
+        await this.invokeNode(execution, nodeId, context, outputs, () => itemSources[index]);
+      }
+      return outputs;
+    }
 
-      throw error;
+    const context = this.createExecutionContext(
+      execution,
+      workflow,
+      nodeId,
+      inputItems,
+      null,
+      sources,
+    );
+    await this.invokeNode(execution, nodeId, context, outputs, (index, count) => {
+      if (items.length === 1) return itemSources[0];
+      if (items.length === count) return itemSources[index];
+      return undefined;
+    });
+    return outputs;
+  }
+
+  // Executes the node with its retry settings and applies its error policy:
+  //   stop         - rethrow, failing the workflow (default)
+  //   continue     - record the error and produce no output for this run/item
+  //   error-output - record the error and emit it as an item on the `error` port
+  async invokeNode(execution, nodeId, context, outputs, pairing) {
+    const nodeInfo = execution.nodes.get(nodeId);
+    const settings = this.getNodeSettings(nodeInfo);
+
+    try {
+      this.resolveProperties(execution, nodeId, context);
+      const result = await this.executeWithRetry(execution, nodeId, context, settings.retry);
+      this.collectOutputs(outputs, result, pairing);
+    } catch (caught) {
+      const error = toError(caught);
+      if (nodeInfo.signal.aborted || settings.onError === 'stop') throw error;
+
+      this.recordNodeError(execution, nodeId, error);
+      if (settings.onError === 'error-output') {
+        const json = {
+          message: error.message,
+          name: error.name,
+          code: error.code,
+          details: error.details,
+          nodeId,
+          timestamp: new Date().toISOString(),
+        };
+        this.collectOutputs(outputs, { error: { json } }, pairing);
+      }
+    } finally {
+      nodeInfo.instance.resolvedData = null;
     }
   }
 
-  createExecutionContext(execution, workflow, nodeId, inputData) {
+  // Resolves {{ }} expressions in the node's properties for this run (or item);
+  // properties declared with `expressions: false` are passed through untouched
+  resolveProperties(execution, nodeId, context) {
+    const { instance } = execution.nodes.get(nodeId);
+    const properties = instance.getProperties();
+    if (!JSON.stringify(properties).includes('{{')) return;
+
+    const scope = createExpressionContext(this.getExpressionScope(execution, nodeId, context));
+    const resolved = {};
+    for (const [key, value] of Object.entries(properties)) {
+      resolved[key] =
+        instance.properties?.[key]?.expressions === false
+          ? value
+          : resolveValue(value, scope, { nodeId, property: key });
+    }
+
+    context.properties = resolved;
+    instance.resolvedData = resolved;
+  }
+
+  getExpressionScope(execution, nodeId, context) {
+    const { instance } = execution.nodes.get(nodeId);
+    const port = instance.inputs?.[0]?.name || 'input';
+    const items = context.getInputItems(port);
+    const json = items.map((item) => item.json);
+
     return {
-      executionId: execution.id,
+      $json: context.item ? context.item.json : (json[0] ?? context.getInputData(port)),
+      // $input.all(), first() and last() are defined over the items (see expressions.js)
+      $input: { item: context.item || items[0], items: json },
+      $itemIndex: context.itemIndex ?? 0,
+      $node: this.getNodeOutputs(execution),
+      $vars: Object.fromEntries(execution.variables.entries()),
+      $execution: {
+        id: execution.id,
+        workflowId: execution.workflowId,
+        mode: execution.mode,
+        resumeUrl: getResumeUrl(execution.id),
+      },
+      $workflow: { id: execution.workflow.id, name: execution.workflow.name },
+    };
+  }
+
+  // Outputs of the last run of every node, by node id and by name:
+  // $node["Http"].data is the json of its main output (a value, or an array for several items)
+  getNodeOutputs(execution) {
+    const nodes = {};
+    for (const [nodeId, nodeInfo] of execution.nodes.entries()) {
+      const run = nodeInfo.runs[nodeInfo.runs.length - 1];
+      if (!run) continue;
+
+      const mainPort = nodeInfo.instance.outputs?.[0]?.name || 'output';
+      const items = run.outputs[mainPort] || Object.values(run.outputs)[0] || [];
+      const entry = {
+        data: unwrapItems(items),
+        json: items[0]?.json,
+        items: items.map((item) => item.json),
+        outputs: Object.fromEntries(
+          Object.entries(run.outputs).map(([port, portItems]) => [
+            port,
+            portItems.map((item) => item.json),
+          ]),
+        ),
+        runs: nodeInfo.runs.length,
+      };
+
+      nodes[nodeId] = entry;
+      const name = nodeInfo.data.name || nodeInfo.data.data?.name;
+      if (name && !(name in nodes)) nodes[name] = entry;
+    }
+    return nodes;
+  }
+
+  async executeWithRetry(execution, nodeId, context, retry = {}) {
+    const nodeInfo = execution.nodes.get(nodeId);
+    const attempts = Math.max(0, retry.count || 0) + 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await nodeInfo.instance.execute(context);
+      } catch (error) {
+        if (attempt >= attempts || nodeInfo.signal.aborted) throw error;
+
+        const delay = this.getRetryDelay(retry, attempt);
+        this.log(execution.id, 'warn', `Node ${nodeId} failed, retrying in ${delay}ms`, {
+          attempt,
+          attempts,
+          error: toError(error).message,
+        });
+        await sleep(delay, nodeInfo.signal);
+      }
+    }
+  }
+
+  getRetryDelay(retry, attempt) {
+    const base = retry.delay ?? 1000;
+    let delay = retry.backoff === 'exponential' ? base * 2 ** (attempt - 1) : base;
+    if (retry.maxDelay) delay = Math.min(delay, retry.maxDelay);
+
+    // "Equal jitter": keep half of the delay, randomize the other half
+    if (retry.jitter) delay = delay / 2 + Math.random() * (delay / 2);
+    return Math.round(delay);
+  }
+
+  // Engine settings declared by the node, overridden by the workflow node's settings
+  getNodeSettings(nodeInfo) {
+    const settings = { ...nodeInfo.instance.defineSettings(), ...nodeInfo.data.settings };
+    return { ...settings, onError: settings.onError || 'stop' };
+  }
+
+  recordNodeError(execution, nodeId, error) {
+    this.log(execution.id, 'error', `Node ${nodeId} failed`, { error: error.message });
+    execution.errors.push({
       nodeId,
-      getInputData: (port = 'input') => {
-        // Get data from connected input nodes
-        const connections = this.getIncomingConnections(workflow, nodeId);
-        const connection = connections.find((c) => c.targetPort === port);
-
-        if (connection) {
-          const sourceNode = execution.nodes.get(connection.source);
-          if (sourceNode && sourceNode.lastResult) {
-            return sourceNode.lastResult[connection.sourcePort];
-          }
-        }
+      error: error.message,
+      code: error.code,
+      timestamp: new Date(),
+    });
+  }
+
+  collectOutputs(outputs, result, pairing) {
+    for (const [port, value] of Object.entries(result || {})) {
+      const items = toItems(value);
+      if (!outputs[port]) outputs[port] = [];
 
-        // Fallback to provided input data
-        return inputData[port] || inputData;
+      items.forEach((item, index) => {
+        const pairedItem = item.pairedItem || pairing(index, items.length);
+        outputs[port].push(pairedItem ? { ...item, pairedItem } : item);
+      });
+    }
+  }
+
+  createExecutionContext(execution, workflow, nodeId, inputItems, current = null, sources = {}) {
+    const nodeInfo = execution.nodes.get(nodeId);
+    const isRoot = this.getIncomingConnections(workflow, nodeId).length === 0;
+
+    const getInputItems = (port = 'input') =>
+      current && port === current.port ? [current.item] : inputItems[port] || [];
+
+    const getInputData = (port = 'input') => {
+      // Triggers and unconnected nodes receive the raw trigger data
+      if (isRoot) return execution.triggerData[port] || execution.triggerData;
+
+      // Connected nodes read the json of the joined items on the requested port
+      return unwrapItems(getInputItems(port));
+    };
+
+    const context = {
+      executionId: execution.id,
+      nodeId,
+      inputs: isRoot
+        ? execution.triggerData
+        : Object.fromEntries(Object.keys(inputItems).map((port) => [port, getInputData(port)])),
+      properties: nodeInfo.instance.getProperties(),
+      signal: nodeInfo.signal,
+      item: current?.item,
+      itemIndex: current?.index,
+      getInputData,
+      getInputItems,
+      // Lineage of the input items ({ node, run, item }), for nodes that combine items
+      getInputSources: (port = 'input') => sources[port] || [],
+      executeWorkflow: (child, data, options) =>
+        this.executeChildWorkflow(execution, nodeId, child, data, options),
+      // State kept across the runs of this node (e.g. a loop's remaining items), checkpointed
+      getNodeState: () => nodeInfo.state,
+      setNodeState: (state) => {
+        nodeInfo.state = state;
       },
+      // Suspends the execution once running nodes settle: { resumeAt?, webhook? }.
+      // The node runs again with the same input when the execution resumes.
+      putToWait: (waiting) => {
+        nodeInfo.waiting = waiting;
+      },
+      respondToWebhook: (response) => this.respondToWebhook(execution, nodeId, response),
       getVariable: (name) => execution.variables.get(name),
       setVariable: (name, value) => execution.variables.set(name, value),
       log: (level, message, data) =>
@@ -313,6 +1222,44 @@ class WorkflowEngine {
           ...data,
         }),
     };
+
+    // Values behind the expression variables ($json, $input, $node, $vars, ...), for nodes
+    // that evaluate user code themselves
+    context.getExpressionScope = () => this.getExpressionScope(execution, nodeId, context);
+    return context;
+  }
+
+  // Sends { statusCode, headers, body } as the response to the webhook that started the
+  // execution. Fails if there is no pending response or it was already sent.
+  respondToWebhook(execution, nodeId, response) {
+    const fail = (message) => {
+      const error = new Error(message);
+      error.code = 'WEBHOOK_RESPONSE_ERROR';
+      throw error;
+    };
+
+    if (execution.mode !== 'webhook') {
+      fail('The execution was not started by a webhook');
+    }
+    const pending = execution.webhookResponse;
+    if (!pending) {
+      const { responseMode } = execution.options.webhook || {};
+      fail(
+        responseMode === 'responseNode'
+          ? 'The webhook request is no longer waiting for a response'
+          : `The webhook does not wait for a Respond to Webhook node (responseMode: ${responseMode})`,
+      );
+    }
+    if (pending.sentBy) {
+      fail(`The webhook response was already sent by node ${pending.sentBy}`);
+    }
+
+    pending.sentBy = nodeId;
+    pending.respond(response);
+    this.log(execution.id, 'info', 'Sent webhook response', {
+      nodeId,
+      statusCode: response.statusCode,
+    });
   }
 
   getIncomingConnections(workflow, nodeId) {
@@ -323,79 +1270,291 @@ class WorkflowEngine {
     return workflow.connections.filter((c) => c.source === nodeId);
   }
 
-  async executeConnectedNodes(execution, workflow, sourceNodeId, sourceResult) {
-    const outgoingConnections = this.getOutgoingConnections(workflow, sourceNodeId);
-    const results = [];
-
-    // Group connections by target node to avoid duplicate executions
-    const targetNodes = new Map();
-    for (const connection of outgoingConnections) {
-      if (!targetNodes.has(connection.target)) {
-        targetNodes.set(connection.target, []);
-      }
-      targetNodes.get(connection.target).push(connection);
-    }
+  async cleanupExecution(execution, workflow) {
+    clearTimeout(execution.timeoutTimer);
 
-    // Execute each target node once with all connected data
-    for (const [targetNodeId, connections] of targetNodes.entries()) {
+    // Cleanup all node instances
+    for (const [nodeId, nodeInfo] of execution.nodes.entries()) {
       try {
-        // Check if we have output data for any of the connections
-        const hasValidOutput = connections.some(
-          (conn) => sourceResult && sourceResult[conn.sourcePort] !== undefined,
-        );
-
-        if (hasValidOutput) {
-          // Prepare input data from all connections
-          const inputData = {};
-          for (const connection of connections) {
-            if (sourceResult && sourceResult[connection.sourcePort] !== undefined) {
-              inputData[connection.targetPort] = sourceResult[connection.sourcePort];
-            }
-          }
-
-          const result = await this.executeFromNode(execution, workflow, targetNodeId, inputData);
-          results.push(result);
-        }
+        await nodeInfo.instance.cleanup();
       } catch (error) {
-        // Log error but continue with other nodes
-        this.log(execution.id, 'error', `Failed to execute connected node ${targetNodeId}`, {
+        this.log(execution.id, 'warn', `Cleanup failed for node ${nodeId}`, {
           error: error.message,
         });
       }
     }
 
-    return results;
+    // Remove from active executions
+    this.activeExecutions.delete(execution.id);
   }
 
-  async cleanupExecution(execution, workflow) {
-    // Cleanup all node instances
-    for (const [nodeId, nodeInfo] of execution.nodes.entries()) {
+  shouldPause(execution, nodeId) {
+    const session = execution.debugger;
+    return Boolean(session && (session.stepping || session.breakpoints.has(nodeId)));
+  }
+
+  // Holds the scheduler before nodeId until a step/continue/abort command arrives.
+  // Nodes already running finish first, so the paused state is consistent.
+  async pauseBefore(execution, nodeId, inputItems, running) {
+    const session = execution.debugger;
+    const { signal } = execution.abortController;
+
+    await Promise.allSettled(running.values());
+    if (signal.aborted) return;
+
+    clearTimeout(execution.timeoutTimer);
+    const remaining = Math.max(0, execution.deadline - Date.now());
+
+    execution.status = 'paused';
+    session.pause = {
+      nodeId,
+      reason: session.breakpoints.has(nodeId) ? 'breakpoint' : 'step',
+      pausedAt: new Date(),
+      inputs: Object.fromEntries(
+        Object.entries(inputItems).map(([port, items]) => [port, unwrapItems(items)]),
+      ),
+    };
+    this.log(execution.id, 'info', `Paused before node ${nodeId}`, {
+      reason: session.pause.reason,
+    });
+    this.checkpoint(execution);
+    eventBus.publish(
+      'execution.paused',
+      new ExecutionPaused(execution.id, this.getDebugState(execution.id)),
+    );
+
+    const command = await new Promise((resolve) => {
+      const onAbort = () => resolve('abort');
+      signal.addEventListener('abort', onAbort, { once: true });
+      session.resume = (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      };
+    });
+
+    session.pause = null;
+    session.resume = null;
+    session.stepping = command === 'step';
+    if (command === 'abort') return;
+
+    execution.status = 'running';
+    this.startTimeout(execution, remaining);
+    this.log(execution.id, 'info', `Resumed before node ${nodeId}`, { command });
+    eventBus.publish('execution.resumed', new ExecutionResumed(execution.id, command));
+  }
+
+  // Paused state of a debugged execution: the next node, its pending inputs and the variables
+  getDebugState(executionId) {
+    const execution = this.activeExecutions.get(executionId);
+    const pause = execution?.debugger?.pause;
+    if (!pause) return null;
+
+    return {
+      executionId,
+      workflowId: execution.workflowId,
+      status: execution.status,
+      ...pause,
+      breakpoints: Array.from(execution.debugger.breakpoints),
+      variables: Object.fromEntries(execution.variables.entries()),
+      nodes: Array.from(execution.nodes.entries()).map(([id, info]) => ({
+        nodeId: id,
+        status: info.status,
+      })),
+    };
+  }
+
+  // Applies a debugger command to a paused execution; returns false if it is not paused
+  debugExecution(executionId, command) {
+    if (!DEBUG_COMMANDS.includes(command)) {
+      throw new Error(`Unknown debug command "${command}"`);
+    }
+
+    const execution = this.activeExecutions.get(executionId);
+    if (!execution?.debugger?.resume) return false;
+
+    if (command === 'abort') return this.stopExecution(executionId);
+    execution.debugger.resume(command);
+    return true;
+  }
+
+  // Persists the execution state after every node so it can resume after a restart.
+  // Checkpoints requested while one is written collapse into one write of the latest state.
+  checkpoint(execution) {
+    if (!this.repository) return;
+
+    execution.checkpointDirty = true;
+    if (execution.checkpointWriting) return;
+    execution.checkpointWriting = true;
+    execution.checkpointing = this.writeCheckpoints(execution);
+  }
+
+  async writeCheckpoints(execution) {
+    while (execution.checkpointDirty) {
+      execution.checkpointDirty = false;
+      // Snapshots are taken synchronously, so they are consistent
+      const snapshot = this.serializeExecution(execution);
+      const runs = this.repository.appendRuns ? this.takeUnsavedRuns(execution) : [];
       try {
-        await nodeInfo.instance.cleanup();
+        await this.repository.appendRuns?.(execution.id, runs);
+        await this.repository.save(snapshot);
       } catch (error) {
-        this.log(execution.id, 'warn', `Cleanup failed for node ${nodeId}`, {
-          error: error.message,
-        });
+        // Appended again with the next checkpoint
+        for (const { nodeId, index } of runs) {
+          const nodeInfo = execution.nodes.get(nodeId);
+          nodeInfo.savedRuns = Math.min(nodeInfo.savedRuns, index);
+        }
+        this.log(execution.id, 'warn', 'Failed to checkpoint execution', { error: error.message });
       }
     }
+    execution.checkpointWriting = false;
+  }
 
-    // Remove from active executions
-    this.activeExecutions.delete(execution.id);
+  // Runs not yet appended to the repository, which stores them once instead of with every
+  // checkpoint
+  takeUnsavedRuns(execution) {
+    const runs = [];
+    for (const [nodeId, nodeInfo] of execution.nodes.entries()) {
+      const saved = nodeInfo.savedRuns || 0;
+      nodeInfo.runs.slice(saved).forEach((run, offset) => {
+        runs.push({ nodeId, index: saved + offset, run });
+      });
+      nodeInfo.savedRuns = nodeInfo.runs.length;
+    }
+    return runs;
   }
 
-  moveToHistory(execution) {
-    // Add to history
-    this.executionHistory.unshift({
+  serializeExecution(execution) {
+    const nodes = {};
+    const pending = [];
+    const appendsRuns = Boolean(this.repository?.appendRuns);
+
+    for (const [nodeId, info] of execution.nodes.entries()) {
+      nodes[nodeId] = {
+        status: info.status,
+        executions: info.executions,
+        ...(appendsRuns ? { runCount: info.runs.length } : { runs: info.runs }),
+        consumed: Array.from(info.consumed),
+        startTime: info.startTime,
+        endTime: info.endTime,
+        duration: info.duration,
+        error: info.error,
+        lastInput: info.lastInput,
+        state: info.state,
+        waiting: info.waiting,
+        dataSource: info.dataSource,
+      };
+      if (info.activation) pending.push({ nodeId, consumes: info.activation.consumes });
+    }
+
+    return {
       id: execution.id,
       workflowId: execution.workflowId,
+      workflow: execution.workflow,
+      mode: execution.mode,
       status: execution.status,
       startTime: execution.startTime,
       endTime: execution.endTime,
       duration: execution.duration,
-      nodeCount: execution.nodes.size,
-      errorCount: execution.errors.length,
+      waitTill: execution.waitTill,
+      updatedAt: new Date(),
+      triggerData: execution.triggerData,
+      options: execution.options,
+      sequence: execution.sequence,
+      variables: Object.fromEntries(execution.variables.entries()),
+      // Outputs of results are those of the runs
+      results: appendsRuns
+        ? execution.results.map(({ outputs, ...result }) => result)
+        : execution.results,
+      errors: execution.errors,
       error: execution.error,
-    });
+      failedNodeId: execution.failedNodeId,
+      nodes,
+      pending,
+    };
+  }
+
+  restoreCheckpoint(execution, checkpoint) {
+    execution.sequence = checkpoint.sequence;
+    execution.variables = new Map(Object.entries(checkpoint.variables || {}));
+    execution.results = checkpoint.results || [];
+    execution.errors = checkpoint.errors || [];
+
+    for (const [nodeId, saved] of Object.entries(checkpoint.nodes || {})) {
+      const nodeInfo = execution.nodes.get(nodeId);
+      if (!nodeInfo) continue;
+
+      Object.assign(nodeInfo, {
+        status: saved.status,
+        executions: saved.executions,
+        runs: saved.runs,
+        savedRuns: saved.runs.length,
+        consumed: new Set(saved.consumed),
+        startTime: saved.startTime && new Date(saved.startTime),
+        endTime: saved.endTime && new Date(saved.endTime),
+        duration: saved.duration,
+        error: saved.error,
+        lastInput: saved.lastInput,
+        state: saved.state,
+        dataSource: saved.dataSource,
+      });
+    }
+
+    // Nodes interrupted mid-run go back to the queue with the input they had claimed
+    for (const { nodeId, consumes } of checkpoint.pending || []) {
+      const nodeInfo = execution.nodes.get(nodeId);
+      if (!nodeInfo) continue;
+      if (consumes) nodeInfo.consumed.delete(consumes);
+      nodeInfo.status = nodeInfo.runs.length > 0 ? 'completed' : 'initialized';
+      nodeInfo.executions = Math.max(0, nodeInfo.executions - 1);
+    }
+  }
+
+  // Records an execution that can not be resumed after a restart
+  async markCrashed(checkpoint, reason) {
+    const execution = {
+      ...checkpoint,
+      status: 'crashed',
+      endTime: new Date(),
+      error: reason,
+      pending: [],
+    };
+    execution.duration = execution.endTime - new Date(execution.startTime);
+
+    await this.repository.save(execution);
+    this.executionHistory.unshift(this.summarize(execution));
+    return execution;
+  }
+
+  // Restores the execution history from the repository, most recent first
+  async loadHistory() {
+    const summaries = this.repository.findSummaries
+      ? await this.repository.findSummaries()
+      : (await this.repository.findAll()).map((execution) => this.summarize(execution));
+    this.executionHistory = summaries
+      .filter((summary) => !['running', 'paused'].includes(summary.status))
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+      .slice(0, this.maxHistorySize);
+  }
+
+  // Payload of the workflow.failed event, handed to the error workflow's ErrorTrigger
+  describeFailure(execution, workflow, error) {
+    const nodeInfo = execution.nodes.get(execution.failedNodeId);
+    return {
+      executionId: execution.id,
+      workflowId: workflow.id,
+      workflowName: workflow.name,
+      errorWorkflowId: workflow.errorWorkflowId,
+      mode: execution.mode,
+      failedNode: nodeInfo ? { id: execution.failedNodeId, type: nodeInfo.data.type } : null,
+      error: { message: error.message, code: error.code, stack: error.stack },
+      lastInput: nodeInfo ? nodeInfo.lastInput : null,
+    };
+  }
+
+  moveToHistory(execution) {
+    // Add to history, replacing the entry of an execution that waited and resumed
+    this.executionHistory = this.executionHistory.filter((entry) => entry.id !== execution.id);
+    this.executionHistory.unshift(this.summarize(execution));
 
     // Trim history
     if (this.executionHistory.length > this.maxHistorySize) {
@@ -403,14 +1562,36 @@ class WorkflowEngine {
     }
   }
 
+  summarize(execution) {
+    return {
+      id: execution.id,
+      workflowId: execution.workflowId,
+      mode: execution.mode,
+      parentExecutionId: execution.options?.parentExecutionId,
+      status: execution.status,
+      startTime: execution.startTime,
+      endTime: execution.endTime,
+      duration: execution.duration,
+      waitTill: execution.waitTill,
+      nodeCount:
+        execution.nodes instanceof Map
+          ? execution.nodes.size
+          : Object.keys(execution.nodes || {}).length,
+      errorCount: execution.errors.length,
+      error: execution.error,
+    };
+  }
+
   getExecutionResult(execution) {
     return {
       executionId: execution.id,
       workflowId: execution.workflowId,
+      parentExecutionId: execution.options.parentExecutionId,
       status: execution.status,
       startTime: execution.startTime,
       endTime: execution.endTime,
       duration: execution.duration,
+      waitTill: execution.waitTill,
       results: execution.results,
       errors: execution.errors,
       nodeExecutions: Array.from(execution.nodes.entries()).map(([id, info]) => ({
@@ -418,13 +1599,32 @@ class WorkflowEngine {
         type: info.instance.type,
         status: info.status,
         executions: info.executions,
+        startTime: info.startTime,
+        endTime: info.endTime,
         duration: info.duration,
         error: info.error,
+        dataSource: info.dataSource,
       })),
+      timeline: this.getTimeline(execution),
       variables: Object.fromEntries(execution.variables.entries()),
     };
   }
 
+  // Per-node start/end times ordered by start, so overlapping branches are visible
+  getTimeline(execution) {
+    return Array.from(execution.nodes.entries())
+      .filter(([, info]) => info.startTime)
+      .map(([id, info]) => ({
+        nodeId: id,
+        status: info.status,
+        startTime: info.startTime,
+        endTime: info.endTime,
+        offset: info.startTime - execution.startTime,
+        duration: info.duration,
+      }))
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
   // Logging
   log(executionId, level, message, data = {}) {
     const logEntry = {
@@ -445,6 +1645,12 @@ class WorkflowEngine {
     }
   }
 
+  getWaitingNodes(execution) {
+    return Array.from(execution.nodes.entries()).filter(
+      ([, nodeInfo]) => nodeInfo.status === 'waiting',
+    );
+  }
+
   // Management methods
   getActiveExecutions() {
     return Array.from(this.activeExecutions.values()).map((exec) => ({
@@ -461,22 +1667,19 @@ class WorkflowEngine {
     return this.executionHistory.slice(0, limit);
   }
 
-  async stopExecution(executionId) {
+  // Aborts in-flight nodes; executeWorkflow then marks the execution as stopped
+  // and the nodes that never ran as cancelled.
+  stopExecution(executionId) {
     const execution = this.activeExecutions.get(executionId);
     if (!execution) {
       return false;
     }
 
-    execution.status = 'stopped';
-    execution.endTime = new Date();
-    execution.duration = execution.endTime - execution.startTime;
-
-    await this.cleanupExecution(execution, null);
-    this.moveToHistory(execution);
-
-    this.log(executionId, 'info', 'Execution stopped by user');
+    execution.abortController.abort(new DOMException('Execution stopped by user', 'AbortError'));
     return true;
   }
 }
 
-export default WorkflowEngine;
+const workflowEngine = new WorkflowEngine();
+export { WorkflowEngine };
+export default workflowEngine;
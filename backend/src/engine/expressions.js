@@ -0,0 +1,159 @@
+// Expression engine for node properties: resolves {{ ... }} templates against the
+// current item ($json), other nodes' outputs ($node), variables ($vars) and the execution.
+// Expressions run in a vm context that holds no host objects (like the sandbox worker, see
+// sandboxWorker.js): the scope arrives as JSON and results leave as JSON copies.
+import vm from 'vm';
+import { types } from 'util';
+
+const TEMPLATE = /\{\{([\s\S]+?)\}\}/g;
+const SINGLE_TEMPLATE = /^\s*\{\{([\s\S]+?)\}\}\s*$/;
+const EVALUATION_TIMEOUT = 1000;
+
+// Compiled expressions, least recently used first
+const MAX_SCRIPTS = 1000;
+const scripts = new Map();
+
+export function isExpression(value) {
+  return typeof value === 'string' && value.includes('{{') && value.includes('}}');
+}
+
+const $isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && Object.keys(value).length === 0);
+
+// Helper functions available in every expression. They only use their arguments (and
+// $isEmpty), so their source also works in the sandbox (see HELPERS_SOURCE).
+const helpers = {
+  $if: (condition, whenTrue, whenFalse) => (condition ? whenTrue : whenFalse),
+  $isEmpty,
+  $ifEmpty: (value, fallback) => ($isEmpty(value) ? fallback : value),
+  $lower: (value) => String(value ?? '').toLowerCase(),
+  $upper: (value) => String(value ?? '').toUpperCase(),
+  $trim: (value) => String(value ?? '').trim(),
+  $number: (value) => Number(value),
+  $string: (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value ?? '')),
+  $get: (object, path, fallback) => {
+    const value = String(path)
+      .split('.')
+      .reduce((current, key) => current?.[key], object);
+    return value === undefined ? fallback : value;
+  },
+};
+
+// The helpers as declarations, for user code running in the sandbox (Code node)
+export const HELPERS_SOURCE = Object.entries(helpers)
+  .map(([name, helper]) => `const ${name} = ${helper};`)
+  .join('\n');
+
+// Runs first in every context: declares the helpers, parses the scope and defines the
+// $input functions over its items. Results are exported as [json] by __export.
+const SETUP = new vm.Script(`${HELPERS_SOURCE}
+const $now = new Date();
+const __export = ((stringify) => (value) =>
+  value !== null && typeof value === 'object' ? [stringify(value) ?? 'null'] : value)(
+  JSON.stringify,
+);
+(() => {
+  const { names, scope } = JSON.parse(globalThis.__scope);
+  delete globalThis.__scope;
+  // Names whose value is undefined are not in the JSON
+  for (const name of names) globalThis[name] = scope[name];
+  const items = scope.$input?.items || [];
+  globalThis.$input = {
+    item: scope.$input?.item,
+    all: () => items,
+    first: () => items[0],
+    last: () => items[items.length - 1],
+  };
+})();`);
+
+function compile(expression) {
+  let script = scripts.get(expression);
+  if (script) {
+    scripts.delete(expression);
+  } else {
+    script = new vm.Script(`__export((${expression}\n))`);
+    if (scripts.size >= MAX_SCRIPTS) scripts.delete(scripts.keys().next().value);
+  }
+  scripts.set(expression, script);
+  return script;
+}
+
+// Creates the vm context of a scope once, so every property of a node invocation shares it.
+// The scope is plain data; `$input: { item, items }` becomes $input.item/all()/first()/last().
+export function createExpressionContext(scope) {
+  const sandbox = Object.create(null);
+  sandbox.__scope = JSON.stringify({ names: Object.keys(scope), scope });
+  const context = vm.createContext(sandbox, {
+    codeGeneration: { strings: false, wasm: false },
+    // Promise callbacks run within the evaluation timeout
+    microtaskMode: 'afterEvaluate',
+  });
+  SETUP.runInContext(context, { timeout: EVALUATION_TIMEOUT });
+  return context;
+}
+
+export function evaluateExpression(expression, context) {
+  const result = compile(expression.trim()).runInContext(context, {
+    timeout: EVALUATION_TIMEOUT,
+  });
+  if (typeof result === 'function') return undefined;
+  if (result === null || typeof result !== 'object') return result;
+
+  // Only an [json] array made by __export is read: a descriptor never runs context code
+  const exported = !types.isProxy(result) && Object.getOwnPropertyDescriptor(result, 0);
+  if (typeof exported?.value !== 'string') {
+    throw new Error('Expression did not return a value');
+  }
+  return JSON.parse(exported.value);
+}
+
+// Resolves one template string. A string that is a single {{ }} keeps the type of
+// its result; otherwise results are interpolated as text.
+export function resolveTemplate(template, context) {
+  const single = template.match(SINGLE_TEMPLATE);
+  if (single) return evaluateExpression(single[1], context);
+
+  return template.replace(TEMPLATE, (match, expression) => {
+    const value = evaluateExpression(expression, context);
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+// Resolves every template in a property value (strings, arrays and plain objects),
+// reporting failures with the node and property path they came from
+export function resolveValue(value, context, location) {
+  if (isExpression(value)) {
+    try {
+      return resolveTemplate(value, context);
+    } catch (cause) {
+      const error = new Error(
+        `Expression error in node "${location.nodeId}", property "${location.property}": ${cause.message}`,
+      );
+      error.code = 'EXPRESSION_ERROR';
+      error.details = { nodeId: location.nodeId, property: location.property, expression: value };
+      throw error;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((entry, index) =>
+      resolveValue(entry, context, { ...location, property: `${location.property}[${index}]` }),
+    );
+  }
+
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [
+        key,
+        resolveValue(entry, context, { ...location, property: `${location.property}.${key}` }),
+      ]),
+    );
+  }
+
+  return value;
+}
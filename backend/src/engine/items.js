@@ -0,0 +1,29 @@
+// Item helpers - every port carries an array of items: { json, binary?, pairedItem? }
+// `pairedItem` points at the upstream output item an item was produced from:
+// { node, run, item }.
+
+const ITEM_KEYS = new Set(['json', 'binary', 'pairedItem']);
+
+export function isItem(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    'json' in value &&
+    Object.keys(value).every((key) => ITEM_KEYS.has(key))
+  );
+}
+
+// Normalizes whatever a node returned on a port into an item list
+export function toItems(value) {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.map((entry) => (isItem(entry) ? { ...entry } : { json: entry }));
+}
+
+// Legacy view of an item list: one item unwraps to its json, several to an array
+export function unwrapItems(items) {
+  if (!items || items.length === 0) return undefined;
+  if (items.length === 1) return items[0].json;
+  return items.map((item) => item.json);
+}
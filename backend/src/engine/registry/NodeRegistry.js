@@ -1,19 +1,74 @@
 // NodeRegistry - Plugin-ready, event-driven
+// Accepts BaseNode subclasses and plugin node definitions ({ id, run(ctx) }) and
+// exposes both through the BaseNode execute(context) contract.
+import ManualTrigger from '../../nodes/triggers/ManualTrigger.js';
+import ErrorTrigger from '../../nodes/triggers/ErrorTrigger.js';
+import WebhookTrigger from '../../nodes/triggers/WebhookTrigger.js';
+import ScheduleTrigger from '../../nodes/triggers/ScheduleTrigger.js';
+import PollingTrigger from '../../nodes/triggers/PollingTrigger.js';
+import HttpRequest from '../../nodes/data/HttpRequest.js';
+import HttpRequestPro from '../../nodes/data/HttpRequestPro.js';
+import Code from '../../nodes/data/Code.js';
+import PythonCode from '../../nodes/data/PythonCode.js';
+import IfElse from '../../nodes/logic/IfElse.js';
+import Switch from '../../nodes/logic/Switch.js';
+import Merge from '../../nodes/logic/Merge.js';
+import Wait from '../../nodes/logic/Wait.js';
+import ExecuteWorkflow from '../../nodes/logic/ExecuteWorkflow.js';
+import SplitInBatches from '../../nodes/logic/SplitInBatches.js';
+import SetVariable from '../../nodes/data/SetVariable.js';
+import ConsoleOutput from '../../nodes/actions/ConsoleOutput.js';
+import RespondToWebhook from '../../nodes/actions/RespondToWebhook.js';
+import PluginNode from './PluginNode.js';
+import logger from '../../observability/logger.js';
+
+const REQUIRED_CLASS_METHODS = ['execute', 'defineInputs', 'defineOutputs', 'defineProperties'];
+
 class NodeRegistry {
   constructor() {
     this.nodes = new Map();
+    this.categories = new Map();
     this.plugins = [];
     this.initialized = false;
   }
 
   initialize() {
     if (this.initialized) return;
-    // All core nodes and plugins are loaded via PluginLoader
+    // Core class nodes; plugin nodes are loaded via PluginLoader
+    this.registerNode('ManualTrigger', ManualTrigger);
+    this.registerNode('ErrorTrigger', ErrorTrigger);
+    this.registerNode('WebhookTrigger', WebhookTrigger);
+    this.registerNode('ScheduleTrigger', ScheduleTrigger);
+    this.registerNode('PollingTrigger', PollingTrigger);
+    this.registerNode('HttpRequest', HttpRequest);
+    this.registerNode('HttpRequestPro', HttpRequestPro);
+    this.registerNode('Code', Code);
+    this.registerNode('PythonCode', PythonCode);
+    this.registerNode('IfElse', IfElse);
+    this.registerNode('Switch', Switch);
+    this.registerNode('Merge', Merge);
+    this.registerNode('Wait', Wait);
+    this.registerNode('ExecuteWorkflow', ExecuteWorkflow);
+    this.registerNode('SplitInBatches', SplitInBatches);
+    this.registerNode('SetVariable', SetVariable);
+    this.registerNode('ConsoleOutput', ConsoleOutput);
+    this.registerNode('RespondToWebhook', RespondToWebhook);
     this.initialized = true;
   }
 
-  registerNode(type, nodeClass) {
-    this.nodes.set(type, nodeClass);
+  registerNode(type, node) {
+    const metadata = this.isNodeClass(node)
+      ? this.describeClass(type, node)
+      : this.describePlugin(type, node);
+
+    if (this.nodes.has(type)) {
+      logger.warn(`Node type "${type}" already registered, overwriting`);
+      this.removeFromCategory(this.nodes.get(type).category, type);
+    }
+
+    this.nodes.set(type, metadata);
+    this.addToCategory(metadata.category, type);
+    return metadata;
   }
 
   registerPlugin(plugin) {
@@ -26,13 +81,152 @@ class NodeRegistry {
     if (plugin.hooks && plugin.hooks.onLoad) plugin.hooks.onLoad();
   }
 
+  unregisterNode(type) {
+    const metadata = this.nodes.get(type);
+    if (!metadata) return false;
+    this.nodes.delete(type);
+    this.removeFromCategory(metadata.category, type);
+    return true;
+  }
+
+  isNodeClass(node) {
+    return typeof node === 'function' && typeof node.prototype?.execute === 'function';
+  }
+
+  describeClass(type, nodeClass) {
+    const sample = new nodeClass();
+    for (const method of REQUIRED_CLASS_METHODS) {
+      if (typeof sample[method] !== 'function') {
+        throw new Error(`Invalid node class for type "${type}": missing method ${method}`);
+      }
+    }
+    if (!sample.category) {
+      throw new Error(`Invalid node class for type "${type}": missing category`);
+    }
+
+    return {
+      id: type,
+      type,
+      kind: 'class',
+      class: nodeClass,
+      category: sample.category,
+      executionMode: sample.executionMode,
+      manualStart: sample.manualStart !== false,
+      // Triggers with activate/deactivate hooks run while their workflow is active
+      activatable: typeof sample.activate === 'function',
+      acceptsBackEdges: sample.acceptsBackEdges === true,
+      name: sample.name === sample.type ? type : sample.name,
+      description: sample.description,
+      icon: sample.icon,
+      color: sample.color,
+      inputs: sample.inputs,
+      outputs: sample.outputs,
+      properties: sample.properties,
+      version: sample.version,
+    };
+  }
+
+  describePlugin(type, definition) {
+    if (!definition || typeof definition.run !== 'function') {
+      throw new Error(`Invalid plugin node for type "${type}": missing run(ctx)`);
+    }
+    if (!definition.category) {
+      throw new Error(`Invalid plugin node for type "${type}": missing category`);
+    }
+
+    const sample = new PluginNode({ ...definition, id: type });
+    return {
+      id: type,
+      type,
+      kind: 'plugin',
+      definition: { ...definition, id: type },
+      category: sample.category,
+      executionMode: sample.executionMode,
+      manualStart: definition.manualStart !== false,
+      activatable: typeof definition.activate === 'function',
+      acceptsBackEdges: definition.acceptsBackEdges === true,
+      name: sample.name,
+      description: sample.description,
+      icon: sample.icon,
+      color: sample.color,
+      inputs: sample.inputs,
+      outputs: sample.outputs,
+      properties: sample.properties,
+      version: sample.version,
+    };
+  }
+
+  createNode(type, config = {}) {
+    this.initialize();
+    const metadata = this.nodes.get(type);
+    if (!metadata) {
+      throw new Error(`Unknown node type: ${type}`);
+    }
+
+    try {
+      return metadata.kind === 'class'
+        ? new metadata.class(config)
+        : new PluginNode(metadata.definition, config);
+    } catch (error) {
+      throw new Error(`Failed to create node "${type}": ${error.message}`);
+    }
+  }
+
   getNode(type) {
     return this.nodes.get(type);
   }
 
+  getNodeMetadata(type) {
+    this.initialize();
+    return this.nodes.get(type);
+  }
+
+  getNodeTypes() {
+    this.initialize();
+    return Array.from(this.nodes.keys());
+  }
+
   getAllNodes() {
+    this.initialize();
     return Array.from(this.nodes.values());
   }
+
+  // Categories
+  addToCategory(category, type) {
+    if (!this.categories.has(category)) {
+      this.categories.set(category, []);
+    }
+    const types = this.categories.get(category);
+    if (!types.includes(type)) types.push(type);
+  }
+
+  removeFromCategory(category, type) {
+    const types = this.categories.get(category);
+    if (!types) return;
+    const index = types.indexOf(type);
+    if (index > -1) types.splice(index, 1);
+    if (types.length === 0) this.categories.delete(category);
+  }
+
+  getCategories() {
+    this.initialize();
+    return Array.from(this.categories.keys());
+  }
+
+  getNodesByCategory(category) {
+    this.initialize();
+    const types = this.categories.get(category) || [];
+    return types.map((type) => this.nodes.get(type)).filter(Boolean);
+  }
+
+  getCategoriesWithNodes() {
+    this.initialize();
+    const result = {};
+    for (const category of this.categories.keys()) {
+      result[category] = this.getNodesByCategory(category);
+    }
+    return result;
+  }
 }
 
 const nodeRegistry = new NodeRegistry();
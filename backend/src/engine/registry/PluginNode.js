@@ -0,0 +1,75 @@
+// PluginNode - adapts plugin node definitions ({ id, run(ctx) }) to the BaseNode contract
+import BaseNode from '../../nodes/base/BaseNode.js';
+
+class PluginNode extends BaseNode {
+  constructor(definition, config = {}) {
+    super(definition.id, {
+      ...config,
+      category: definition.category,
+      executionMode: definition.executionMode,
+      icon: definition.icon,
+      description: definition.description,
+    });
+    this.definition = definition;
+    this.name = config.name || definition.name || definition.id;
+    this.version = definition.version || this.version;
+
+    // BaseNode calls the define* methods before the definition is attached
+    this.inputs = this.defineInputs();
+    this.outputs = this.defineOutputs();
+    this.properties = this.defineProperties();
+  }
+
+  defineInputs() {
+    return this.definition?.inputs || [];
+  }
+
+  defineOutputs() {
+    return this.definition?.outputs || [];
+  }
+
+  defineProperties() {
+    return this.definition?.properties || {};
+  }
+
+  async initialize() {
+    if (typeof this.definition.initialize === 'function') {
+      await this.definition.initialize(this);
+    }
+    return true;
+  }
+
+  // Plugin triggers receive the execution's trigger data, as class triggers do through
+  // context.getInputData()
+  async execute(context) {
+    return this.definition.run({
+      ...context,
+      input: context.getInputData('input'),
+      triggerData: this.category === 'trigger' ? context.getInputData() : undefined,
+      properties: context.properties || this.getProperties(),
+      node: this,
+    });
+  }
+
+  // Activation hooks of plugin triggers receive the activation context and the node
+  async activate(context) {
+    await this.definition.activate?.({ ...context, properties: this.getProperties(), node: this });
+  }
+
+  async deactivate(context) {
+    await this.definition.deactivate?.({
+      ...context,
+      properties: this.getProperties(),
+      node: this,
+    });
+  }
+
+  async cleanup() {
+    if (typeof this.definition.cleanup === 'function') {
+      await this.definition.cleanup(this);
+    }
+    return true;
+  }
+}
+
+export default PluginNode;
@@ -0,0 +1,238 @@
+// File-backed ExecutionRepository: one JSON checkpoint per execution, so runs survive restarts
+// (replace with DB-backed in production). Node runs are appended once to `<id>.runs.jsonl`
+// instead of being rewritten by every checkpoint, an index of execution summaries answers
+// status queries without reading every checkpoint, and finished executions are pruned.
+import { appendFile, mkdir, readFile, unlink } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FileRepository } from './FileRepository.js';
+
+const DEFAULT_DIRECTORY = fileURLToPath(new URL('../../data/executions', import.meta.url));
+const INDEX_FILE = '.index';
+const DAY = 24 * 60 * 60 * 1000;
+
+const FINISHED_STATUSES = new Set(['completed', 'failed', 'stopped', 'crashed']);
+
+// Header values never written to disk, e.g. those of webhook trigger data
+const SENSITIVE_HEADERS = new Set([
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'x-auth-token',
+  'x-access-token',
+  'x-csrf-token',
+]);
+
+function redactHeaders(key, value) {
+  if (key !== 'headers' || !value || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([name, header]) => [
+      name,
+      SENSITIVE_HEADERS.has(name.toLowerCase()) ? '[redacted]' : header,
+    ]),
+  );
+}
+
+const positiveNumber = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+
+export class ExecutionRepository extends FileRepository {
+  constructor(
+    directory = process.env.EXECUTIONS_DIR || DEFAULT_DIRECTORY,
+    {
+      maxCount = positiveNumber(process.env.EXECUTIONS_MAX_COUNT, 1000),
+      maxAgeDays = positiveNumber(process.env.EXECUTIONS_MAX_AGE_DAYS, 14),
+    } = {},
+  ) {
+    super(directory, 'Execution');
+    // Retention of finished executions
+    this.maxCount = maxCount;
+    this.maxAge = maxAgeDays * DAY;
+    // Promise of the index (id → summary), loaded on first use
+    this.index = null;
+    this.indexWrite = null;
+    this.indexDirty = false;
+  }
+
+  runsPath(id) {
+    return path.join(this.directory, `${encodeURIComponent(id)}.runs.jsonl`);
+  }
+
+  serialize(entity) {
+    return JSON.stringify(entity, redactHeaders);
+  }
+
+  async save(execution) {
+    await super.save(execution);
+    const index = await this.loadIndex();
+    index.set(execution.id, this.summarize(execution));
+    if (FINISHED_STATUSES.has(execution.status)) await this.prune(index);
+    await this.writeIndex();
+    return execution;
+  }
+
+  // Appends node runs ({ nodeId, index, run }) to the runs file of an execution; checkpoints
+  // only store how many runs each node has (runCount)
+  async appendRuns(id, runs) {
+    if (runs.length === 0) return;
+    await mkdir(this.directory, { recursive: true });
+    // Every line starts with a newline, so a line cut by a crash never swallows the next one
+    await appendFile(this.runsPath(id), runs.map((entry) => `\n${this.serialize(entry)}`).join(''));
+  }
+
+  async findById(id) {
+    const execution = await super.findById(id);
+    if (!execution) return null;
+
+    const nodes = execution.nodes || {};
+    if (Object.values(nodes).every((node) => node.runs !== undefined)) return execution;
+
+    const runs = await this.readRuns(id);
+    for (const [nodeId, node] of Object.entries(nodes)) {
+      if (node.runs !== undefined) continue;
+      // Without the holes of runs lost with a crash
+      node.runs = (runs.get(nodeId) || []).slice(0, node.runCount || 0).filter(Boolean);
+    }
+    for (const result of execution.results || []) {
+      result.outputs ??= nodes[result.nodeId]?.runs?.[result.run]?.outputs;
+    }
+    return execution;
+  }
+
+  // nodeId → runs by index; a run appended again (after a resume) replaces the earlier one
+  async readRuns(id) {
+    let text;
+    try {
+      text = await readFile(this.runsPath(id), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Map();
+      throw error;
+    }
+
+    const runs = new Map();
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // Cut by a crash
+      }
+      if (!runs.has(entry.nodeId)) runs.set(entry.nodeId, []);
+      runs.get(entry.nodeId)[entry.index] = entry.run;
+    }
+    return runs;
+  }
+
+  async delete(id) {
+    const deleted = await this.deleteFiles(id);
+    const index = await this.loadIndex();
+    if (index.delete(id)) await this.writeIndex();
+    return deleted;
+  }
+
+  async deleteFiles(id) {
+    try {
+      await unlink(this.runsPath(id));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return super.delete(id);
+  }
+
+  // Summaries of the indexed executions, optionally only those with a status
+  async findSummaries(status) {
+    const summaries = Array.from((await this.loadIndex()).values());
+    return status ? summaries.filter((summary) => summary.status === status) : summaries;
+  }
+
+  async findByStatus(status) {
+    const executions = [];
+    for (const { id } of await this.findSummaries(status)) {
+      const execution = await this.findById(id);
+      if (execution?.status === status) executions.push(execution);
+    }
+    return executions;
+  }
+
+  summarize(execution) {
+    return {
+      id: execution.id,
+      workflowId: execution.workflowId,
+      mode: execution.mode,
+      parentExecutionId: execution.options?.parentExecutionId,
+      status: execution.status,
+      startTime: execution.startTime,
+      endTime: execution.endTime,
+      duration: execution.duration,
+      waitTill: execution.waitTill,
+      nodeCount: Object.keys(execution.nodes || {}).length,
+      errorCount: execution.errors?.length || 0,
+      error: execution.error,
+    };
+  }
+
+  // Deletes the finished executions beyond maxCount or older than maxAge, oldest first
+  async prune(index) {
+    const cutoff = Date.now() - this.maxAge;
+    const finished = Array.from(index.values())
+      .filter(({ status }) => FINISHED_STATUSES.has(status))
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+
+    for (const [position, summary] of finished.entries()) {
+      const finishedAt = new Date(summary.endTime || summary.startTime).getTime();
+      if (position < this.maxCount && finishedAt >= cutoff) continue;
+      index.delete(summary.id);
+      await this.deleteFiles(summary.id);
+    }
+  }
+
+  loadIndex() {
+    this.index ??= this.readIndex();
+    return this.index;
+  }
+
+  async readIndex() {
+    try {
+      const saved = JSON.parse(await readFile(path.join(this.directory, INDEX_FILE), 'utf8'));
+      return new Map(Object.entries(saved));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+    }
+
+    // Missing or unreadable index: rebuilt once from the checkpoints
+    const index = new Map();
+    for (const execution of await super.findAll()) {
+      index.set(execution.id, this.summarize(execution));
+    }
+    return index;
+  }
+
+  // Writes the index; writes requested while one is in flight are collapsed into one more
+  writeIndex() {
+    this.indexDirty = true;
+    this.indexWrite ??= this.flushIndex();
+    return this.indexWrite;
+  }
+
+  async flushIndex() {
+    try {
+      while (this.indexDirty) {
+        this.indexDirty = false;
+        const index = await this.index;
+        await this.writeFileAtomic(
+          path.join(this.directory, INDEX_FILE),
+          JSON.stringify(Object.fromEntries(index)),
+        );
+      }
+    } finally {
+      this.indexWrite = null;
+    }
+  }
+}
+
+const executionRepository = new ExecutionRepository();
+export default executionRepository;
@@ -0,0 +1,72 @@
+// File-backed repository base: one JSON file per entity in a directory, written through a
+// temporary file so a crash never leaves a half-written entity
+import { randomUUID } from 'crypto';
+import { mkdir, readdir, readFile, rename, unlink, writeFile } from 'fs/promises';
+import path from 'path';
+import { Repository } from './Repository.js';
+
+export class FileRepository extends Repository {
+  constructor(directory, entityName = 'Entity') {
+    super();
+    this.directory = directory;
+    this.entityName = entityName;
+  }
+
+  filePath(id) {
+    return path.join(this.directory, `${encodeURIComponent(id)}.json`);
+  }
+
+  async findById(id) {
+    try {
+      return JSON.parse(await readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(entity) {
+    if (!entity.id) throw new Error(`${this.entityName} must have an id`);
+    await this.writeFileAtomic(this.filePath(entity.id), this.serialize(entity));
+    return entity;
+  }
+
+  serialize(entity) {
+    return JSON.stringify(entity);
+  }
+
+  async writeFileAtomic(target, text) {
+    await mkdir(this.directory, { recursive: true });
+    // Concurrent writes of one file each write their own temporary file
+    const temporary = `${target}.${randomUUID()}.tmp`;
+    await writeFile(temporary, text);
+    await rename(temporary, target);
+  }
+
+  async findAll() {
+    let files;
+    try {
+      files = await readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entities = [];
+    for (const file of files.filter((name) => name.endsWith('.json'))) {
+      const entity = await this.findById(decodeURIComponent(path.basename(file, '.json')));
+      if (entity) entities.push(entity);
+    }
+    return entities;
+  }
+
+  async delete(id) {
+    try {
+      await unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,20 @@
+// File-backed PollStateRepository: the seen ids or cursor of every polling trigger, one JSON file
+// per `<workflowId>:<nodeId>`, so restarts don't emit old items again (replace with DB-backed in
+// production)
+import { fileURLToPath } from 'url';
+import { FileRepository } from './FileRepository.js';
+
+const DEFAULT_DIRECTORY = fileURLToPath(new URL('../../data/polls', import.meta.url));
+
+class PollStateRepository extends FileRepository {
+  constructor(directory = process.env.POLL_STATE_DIR || DEFAULT_DIRECTORY) {
+    super(directory, 'Poll state');
+  }
+
+  async findByWorkflow(workflowId) {
+    return (await this.findAll()).filter((state) => state.workflowId === workflowId);
+  }
+}
+
+const pollStateRepository = new PollStateRepository();
+export default pollStateRepository;
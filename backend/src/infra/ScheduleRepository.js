@@ -0,0 +1,19 @@
+// File-backed ScheduleRepository: last and next run of every schedule trigger, one JSON file
+// per `<workflowId>:<nodeId>`, so schedules survive restarts (replace with DB-backed in production)
+import { fileURLToPath } from 'url';
+import { FileRepository } from './FileRepository.js';
+
+const DEFAULT_DIRECTORY = fileURLToPath(new URL('../../data/schedules', import.meta.url));
+
+class ScheduleRepository extends FileRepository {
+  constructor(directory = process.env.SCHEDULES_DIR || DEFAULT_DIRECTORY) {
+    super(directory, 'Schedule');
+  }
+
+  async findByWorkflow(workflowId) {
+    return (await this.findAll()).filter((schedule) => schedule.workflowId === workflowId);
+  }
+}
+
+const scheduleRepository = new ScheduleRepository();
+export default scheduleRepository;
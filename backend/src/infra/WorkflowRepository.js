@@ -1,24 +1,17 @@
-// In-memory WorkflowRepository (replace with DB-backed in production)
-import { Repository } from './Repository.js';
+// File-backed WorkflowRepository: one JSON file per workflow, so active workflows are
+// re-activated on boot (replace with DB-backed in production)
+import { fileURLToPath } from 'url';
+import { FileRepository } from './FileRepository.js';
 
-class WorkflowRepository extends Repository {
-  constructor() {
-    super();
-    this.workflows = new Map();
-  }
-
-  async findById(id) {
-    return this.workflows.get(id) || null;
-  }
+const DEFAULT_DIRECTORY = fileURLToPath(new URL('../../data/workflows', import.meta.url));
 
-  async save(workflow) {
-    if (!workflow.id) throw new Error('Workflow must have an id');
-    this.workflows.set(workflow.id, workflow);
-    return workflow;
+class WorkflowRepository extends FileRepository {
+  constructor(directory = process.env.WORKFLOWS_DIR || DEFAULT_DIRECTORY) {
+    super(directory, 'Workflow');
   }
 
-  async findAll() {
-    return Array.from(this.workflows.values());
+  async findActive() {
+    return (await this.findAll()).filter((workflow) => workflow.active);
   }
 }
 
@@ -8,6 +8,7 @@ class ConsoleOutput extends BaseNode {
     super('ConsoleOutput', {
       ...config,
       category: 'action',
+      executionMode: 'perItem',
       icon: 'terminal',
       description: 'Output data to console for debugging',
     });
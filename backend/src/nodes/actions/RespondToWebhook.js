@@ -0,0 +1,181 @@
+// ↩️ Respond to Webhook Node
+// Sends the HTTP response of a webhook whose WebhookTrigger uses responseMode "responseNode"
+
+import BaseNode from '../base/BaseNode.js';
+import storageRepository from '../../infra/StorageRepository.js';
+
+const RESPOND_WITH = [
+  'firstIncomingItem',
+  'allIncomingItems',
+  'json',
+  'text',
+  'binary',
+  'redirect',
+  'noData',
+];
+
+class RespondToWebhook extends BaseNode {
+  constructor(config = {}) {
+    super('RespondToWebhook', {
+      ...config,
+      category: 'action',
+      icon: 'corner-down-left',
+      description: 'Send the response of the webhook that started the workflow',
+    });
+  }
+
+  defineInputs() {
+    return [
+      {
+        name: 'input',
+        type: 'any',
+        required: false,
+        description: 'Items available to the response',
+      },
+    ];
+  }
+
+  defineOutputs() {
+    return [
+      {
+        name: 'output',
+        type: 'any',
+        description: 'The input items, unchanged',
+      },
+    ];
+  }
+
+  defineProperties() {
+    return {
+      respondWith: {
+        type: 'select',
+        displayName: 'Respond With',
+        description: 'What the response body contains',
+        default: 'firstIncomingItem',
+        options: [
+          { value: 'firstIncomingItem', label: 'First incoming item' },
+          { value: 'allIncomingItems', label: 'All incoming items' },
+          { value: 'json', label: 'JSON' },
+          { value: 'text', label: 'Text' },
+          { value: 'binary', label: 'Binary file from storage' },
+          { value: 'redirect', label: 'Redirect' },
+          { value: 'noData', label: 'No data' },
+        ],
+      },
+      responseBody: {
+        type: 'json',
+        displayName: 'Response Body',
+        description: 'JSON body, or the text of a text response',
+        placeholder: '{{ $json }}',
+      },
+      storageKey: {
+        type: 'string',
+        displayName: 'Storage Key',
+        description: 'Key of the file in storage sent as a binary response',
+        placeholder: '{{ $json.fileKey }}',
+      },
+      redirectUrl: {
+        type: 'string',
+        displayName: 'Redirect URL',
+        placeholder: 'https://example.com/thanks',
+      },
+      responseCode: {
+        type: 'number',
+        displayName: 'Response Code',
+        description: 'Status code (defaults to 200, or 302 for redirects)',
+      },
+      headers: {
+        type: 'object',
+        displayName: 'Headers',
+        description: 'Response headers',
+        default: {},
+      },
+    };
+  }
+
+  async execute(context) {
+    const items = context.getInputItems('input');
+    const respondWith = this.getProperty('respondWith', 'firstIncomingItem');
+    if (!RESPOND_WITH.includes(respondWith)) {
+      throw this.createError(`Unknown respond with option: ${respondWith}`, 'RESPOND_ERROR');
+    }
+
+    const response = await this.buildResponse(respondWith, items);
+    try {
+      context.respondToWebhook(response);
+    } catch (error) {
+      throw this.createError(error.message, 'RESPOND_ERROR');
+    }
+
+    this.log('info', 'Responded to webhook', { respondWith, statusCode: response.statusCode });
+    return { output: items.map(({ json, binary }) => (binary ? { json, binary } : { json })) };
+  }
+
+  async buildResponse(respondWith, items) {
+    const headers = { ...this.getProperty('headers', {}) };
+    const statusCode = Number(
+      this.getProperty('responseCode', respondWith === 'redirect' ? 302 : 200),
+    );
+    if (!Number.isInteger(statusCode) || statusCode < 100 || statusCode > 599) {
+      throw this.createError(`Invalid response code: ${statusCode}`, 'RESPOND_ERROR');
+    }
+
+    switch (respondWith) {
+      case 'firstIncomingItem':
+        return { statusCode, headers, body: items[0]?.json ?? {} };
+
+      case 'allIncomingItems':
+        return { statusCode, headers, body: items.map(({ json }) => json) };
+
+      case 'json': {
+        let body = this.getProperty('responseBody', {});
+        if (typeof body === 'string') {
+          try {
+            body = JSON.parse(body);
+          } catch (error) {
+            throw this.createError(
+              `Response body is not valid JSON: ${error.message}`,
+              'RESPOND_ERROR',
+            );
+          }
+        }
+        return { statusCode, headers, body };
+      }
+
+      case 'text': {
+        const body = this.getProperty('responseBody', '');
+        return {
+          statusCode,
+          headers: { 'Content-Type': 'text/plain; charset=utf-8', ...headers },
+          body: typeof body === 'string' ? body : JSON.stringify(body),
+        };
+      }
+
+      case 'binary': {
+        const key = this.getProperty('storageKey', '');
+        const data = key ? await storageRepository.getFile(key) : null;
+        if (data === null) {
+          throw this.createError(`File not found in storage: "${key}"`, 'RESPOND_ERROR');
+        }
+        return {
+          statusCode,
+          headers: { 'Content-Type': 'application/octet-stream', ...headers },
+          body: Buffer.isBuffer(data) ? data : Buffer.from(data),
+        };
+      }
+
+      case 'redirect': {
+        const url = this.getProperty('redirectUrl', '');
+        if (!url) {
+          throw this.createError('A redirect URL is required', 'RESPOND_ERROR');
+        }
+        return { statusCode, headers: { ...headers, Location: url }, body: null };
+      }
+
+      default:
+        return { statusCode, headers, body: null };
+    }
+  }
+}
+
+export default RespondToWebhook;
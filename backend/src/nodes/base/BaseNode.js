@@ -9,6 +9,7 @@ class BaseNode {
     this.type = type;
     this.name = config.name || type;
     this.category = config.category || 'utility';
+    this.executionMode = config.executionMode || 'batch'; // 'batch' or 'perItem'
     this.position = config.position || { x: 0, y: 0 };
     this.data = config.data || {};
     this.inputs = this.defineInputs();
@@ -33,6 +34,11 @@ class BaseNode {
     return {};
   }
 
+  // Default engine settings (onError, retry, timeout); workflow node settings override them
+  defineSettings() {
+    return {};
+  }
+
   async execute(context) {
     throw new Error(`Execute method not implemented for ${this.type}`);
   }
@@ -90,8 +96,20 @@ class BaseNode {
     return this;
   }
 
+  // Reads the expression-resolved value while the engine runs the node
   getProperty(key, defaultValue = null) {
-    return this.data?.[key] ?? defaultValue;
+    return (this.resolvedData || this.data)?.[key] ?? defaultValue;
+  }
+
+  // Property defaults overlaid with the configured node data
+  getProperties() {
+    const defaults = {};
+    for (const [key, definition] of Object.entries(this.properties || {})) {
+      if (definition && definition.default !== undefined) {
+        defaults[key] = definition.default;
+      }
+    }
+    return { ...defaults, ...this.data };
   }
 
   // Connection management
@@ -0,0 +1,184 @@
+// 💻 Code Node
+// Runs user JavaScript over the input items in the sandbox (worker thread + vm context)
+
+import BaseNode from '../base/BaseNode.js';
+import { getSandbox } from '../../shared/sandbox.js';
+import { HELPERS_SOURCE } from '../../engine/expressions.js';
+
+const DEFAULT_TIMEOUT = 10000;
+const MAX_TIMEOUT = 60000;
+const DEFAULT_MEMORY_MB = 64;
+const MEMORY_LIMITS = [32, 64, 128, 256];
+
+// Wraps the user code in an async function with the expression variables and helpers in
+// scope. The result leaves the sandbox as JSON.
+function buildSource(code) {
+  return `(async function () {
+  'use strict';
+  const __scope = JSON.parse(__input);
+  const $json = __scope.json;
+  const $itemIndex = __scope.itemIndex;
+  const $vars = __scope.vars;
+  const $node = __scope.node;
+  const $execution = __scope.execution;
+  const $workflow = __scope.workflow;
+  const $now = new Date();
+  const $input = {
+    item: { json: __scope.json },
+    all: () => __scope.items,
+    first: () => __scope.items[0],
+    last: () => __scope.items[__scope.items.length - 1],
+  };
+  ${HELPERS_SOURCE}
+  const __result = await (async () => {
+${code}
+  })();
+  return JSON.stringify(__result === undefined ? null : __result);
+})()`;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class Code extends BaseNode {
+  constructor(config = {}) {
+    super('Code', {
+      ...config,
+      category: 'data',
+      // The engine runs perItem nodes once for every input item
+      executionMode: config.data?.mode === 'runOnceForEachItem' ? 'perItem' : 'batch',
+      icon: 'code',
+      description: 'Run custom JavaScript over the input items',
+    });
+  }
+
+  defineInputs() {
+    return [
+      {
+        name: 'input',
+        type: 'any',
+        required: false,
+        description: 'Items available to the code',
+      },
+    ];
+  }
+
+  defineOutputs() {
+    return [
+      {
+        name: 'output',
+        type: 'array',
+        description: 'Items returned by the code',
+      },
+    ];
+  }
+
+  defineProperties() {
+    return {
+      mode: {
+        type: 'select',
+        displayName: 'Mode',
+        description: 'Run the code once with all items, or once for every item',
+        default: 'runOnceForAllItems',
+        options: [
+          { value: 'runOnceForAllItems', label: 'Run once for all items' },
+          { value: 'runOnceForEachItem', label: 'Run once for each item' },
+        ],
+      },
+      code: {
+        type: 'code',
+        language: 'javascript',
+        displayName: 'JavaScript',
+        description:
+          'Return an array of objects (all items) or an object (each item). Use $input.all(), $json, $node, $vars and console.log',
+        default: 'return $input.all().map((json) => ({ ...json }));',
+        // Runs only in the sandbox, never by the property expression engine
+        expressions: false,
+      },
+      timeout: {
+        type: 'number',
+        displayName: 'Timeout (ms)',
+        description: `Fail the node when a run of the code takes longer (at most ${MAX_TIMEOUT}ms)`,
+        default: DEFAULT_TIMEOUT,
+      },
+      memoryMb: {
+        type: 'select',
+        displayName: 'Memory Limit (MB)',
+        description: 'Heap available to the code',
+        default: DEFAULT_MEMORY_MB,
+        options: MEMORY_LIMITS.map((limit) => ({ value: limit, label: `${limit} MB` })),
+      },
+    };
+  }
+
+  async execute(context) {
+    const code = this.getProperty('code', '');
+    if (!String(code).trim()) {
+      throw this.createError('Code is required', 'CODE_ERROR');
+    }
+
+    const timeout = Number(this.getProperty('timeout', DEFAULT_TIMEOUT)) || DEFAULT_TIMEOUT;
+    if (timeout < 0 || timeout > MAX_TIMEOUT) {
+      throw this.createError(`Timeout must be between 0 and ${MAX_TIMEOUT}ms`, 'CODE_ERROR');
+    }
+    const memoryMb = Number(this.getProperty('memoryMb', DEFAULT_MEMORY_MB));
+    if (!MEMORY_LIMITS.includes(memoryMb)) {
+      throw this.createError(
+        `Memory limit must be one of ${MEMORY_LIMITS.join(', ')} MB`,
+        'CODE_ERROR',
+      );
+    }
+
+    const scope = context.getExpressionScope();
+    const input = {
+      json: scope.$json ?? null,
+      items: scope.$input.items,
+      itemIndex: scope.$itemIndex,
+      vars: scope.$vars,
+      node: scope.$node,
+      execution: scope.$execution,
+      workflow: scope.$workflow,
+    };
+
+    let run;
+    try {
+      run = await getSandbox(memoryMb).execute(buildSource(code), input, {
+        timeout,
+        signal: context.signal,
+      });
+    } catch (error) {
+      if (context.signal?.aborted) throw error;
+
+      this.writeLogs(context, error.logs);
+      throw this.createError(`Code failed: ${error.message}`, 'CODE_ERROR', {
+        reason: error.code,
+      });
+    }
+
+    this.writeLogs(context, run.logs);
+    return { output: this.toOutput(JSON.parse(run.result)) };
+  }
+
+  // Objects become one item each; { json, binary? } entries are kept as items
+  toOutput(result) {
+    if (result === null) return [];
+
+    const entries = Array.isArray(result) ? result : [result];
+    if (!entries.every(isObject)) {
+      throw this.createError('Code must return an object or an array of objects', 'CODE_ERROR', {
+        returned: Array.isArray(result) ? 'array' : typeof result,
+      });
+    }
+    return entries;
+  }
+
+  // console output of the code goes to the execution log
+  writeLogs(context, logs = []) {
+    for (const { level, message } of logs) {
+      context.log(level, message, { source: 'console' });
+    }
+  }
+}
+
+export default Code;
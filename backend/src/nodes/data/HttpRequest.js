@@ -2,12 +2,14 @@
 // Makes HTTP requests to external APIs
 
 import BaseNode from '../base/BaseNode.js';
+import { withTimeout } from '../../shared/abort.js';
 
 class HttpRequest extends BaseNode {
   constructor(config = {}) {
     super('HttpRequest', {
       ...config,
       category: 'data',
+      executionMode: 'perItem',
       icon: 'globe',
       description: 'Send HTTP requests to external APIs',
     });
@@ -97,6 +99,7 @@ class HttpRequest extends BaseNode {
   }
 
   async execute(context) {
+    let abort;
     try {
       const inputData = context.getInputData('input') || {};
       const url = this.getProperty('url');
@@ -110,11 +113,12 @@ class HttpRequest extends BaseNode {
         throw new Error('URL is required for HTTP request');
       }
 
-      // Build request options
+      // Build request options; the execution signal cancels the request as well
+      abort = withTimeout(context.signal, timeout, 'Request timeout exceeded');
       const requestOptions = {
         method,
         headers: { ...headers },
-        signal: AbortSignal.timeout(timeout),
+        signal: abort.signal,
       };
 
       // Add authentication
@@ -173,6 +177,8 @@ class HttpRequest extends BaseNode {
       }
 
       throw this.createError(`HTTP request failed: ${error.message}`, 'REQUEST_ERROR');
+    } finally {
+      abort?.cleanup();
     }
   }
 
@@ -2,12 +2,22 @@
 // Advanced HTTP client with AI assistance and extensive configuration options
 
 import BaseNode from '../base/BaseNode.js';
+import { withTimeout } from '../../shared/abort.js';
+
+// Headers are a keyvalue list ([{ key, value }]) in the editor, or a plain object
+function toHeaders(headers) {
+  if (!Array.isArray(headers)) return headers || {};
+  return Object.fromEntries(
+    headers.filter((header) => header?.key).map(({ key, value }) => [key, value ?? '']),
+  );
+}
 
 class HttpRequest extends BaseNode {
   constructor(config = {}) {
     super('HttpRequest', {
       ...config,
       category: 'data',
+      executionMode: 'perItem',
       icon: 'globe',
       description: 'Professional HTTP client with AI assistance and advanced features',
       version: '2.0.0',
@@ -325,6 +335,17 @@ class HttpRequest extends BaseNode {
     };
   }
 
+  // Failed requests are retried by the engine, then stop the workflow like any other node
+  // unless `settings.onError` is 'error-output', which sends them to the error port
+  defineSettings() {
+    return {
+      retry: {
+        count: this.getProperty('retries', 0),
+        delay: this.getProperty('retryDelay', 1000),
+      },
+    };
+  }
+
   async execute(context) {
     const startTime = Date.now();
     const { inputs, properties } = context;
@@ -341,8 +362,9 @@ class HttpRequest extends BaseNode {
       // 📊 Log request details
       this.logRequest(requestConfig, properties.logLevel);
 
-      // 🚀 Execute Request with Retries
-      const response = await this.executeWithRetries(requestConfig, properties);
+      // 🚀 Execute Request
+      requestConfig.signal = context.signal;
+      const response = await this.makeHttpRequest(requestConfig);
 
       // ⏱️ Calculate timing
       const responseTime = Date.now() - startTime;
@@ -362,7 +384,7 @@ class HttpRequest extends BaseNode {
     } catch (error) {
       const responseTime = Date.now() - startTime;
       this.logError(error, responseTime, properties.logLevel);
-      return this.createErrorOutput(error, responseTime);
+      throw error;
     }
   }
 
@@ -404,7 +426,7 @@ class HttpRequest extends BaseNode {
       method: properties.method || 'GET',
       url: inputs.url || properties.url,
       timeout: properties.timeout || 30000,
-      headers: { ...properties.headers, ...inputs.headers },
+      headers: { ...toHeaders(properties.headers), ...toHeaders(inputs.headers) },
       maxRedirects: properties.followRedirects ? properties.maxRedirects || 5 : 0,
     };
 
@@ -426,51 +448,31 @@ class HttpRequest extends BaseNode {
     return config;
   }
 
-  // 🚀 Execute with Retry Logic
-  async executeWithRetries(config, properties) {
-    const maxRetries = properties.retries || 0;
-    let lastError;
-
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        const response = await this.makeHttpRequest(config);
-        return response;
-      } catch (error) {
-        lastError = error;
-
-        if (attempt < maxRetries) {
-          const delay = properties.retryDelay || 1000;
-          console.log(
-            `🔄 Retry attempt ${attempt + 1}/${maxRetries} in ${delay}ms - HttpRequestPro.js:441`,
-          );
-          await new Promise((resolve) => setTimeout(resolve, delay));
-        }
-      }
-    }
-
-    throw lastError;
-  }
-
   // 🌐 Make HTTP Request
   async makeHttpRequest(config) {
-    const response = await fetch(config.url, {
-      method: config.method,
-      headers: config.headers,
-      body: config.body ? JSON.stringify(config.body) : undefined,
-      signal: AbortSignal.timeout(config.timeout),
-    });
-
-    const data = await this.parseResponseData(response);
-
-    return {
-      status: response.status,
-      statusText: response.statusText,
-      headers: Object.fromEntries(response.headers.entries()),
-      data,
-      ok: response.ok,
-      url: response.url,
-      redirected: response.redirected,
-    };
+    const abort = withTimeout(config.signal, config.timeout);
+    try {
+      const response = await fetch(config.url, {
+        method: config.method,
+        headers: config.headers,
+        body: config.body ? JSON.stringify(config.body) : undefined,
+        signal: abort.signal,
+      });
+
+      const data = await this.parseResponseData(response);
+
+      return {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers.entries()),
+        data,
+        ok: response.ok,
+        url: response.url,
+        redirected: response.redirected,
+      };
+    } finally {
+      abort.cleanup();
+    }
   }
 
   // 📋 Parse Response Data
@@ -505,19 +507,6 @@ class HttpRequest extends BaseNode {
     };
   }
 
-  // ❌ Create Error Output
-  createErrorOutput(error, responseTime) {
-    return {
-      error: {
-        message: error.message,
-        type: error.name,
-        responseTime,
-        timestamp: new Date().toISOString(),
-        details: error.cause || error.stack,
-      },
-    };
-  }
-
   // 🔐 Add Authentication
   addAuthentication(config, properties) {
     const { authentication, authDetails } = properties;
@@ -0,0 +1,157 @@
+// 🐍 Python Code Node
+// Runs a Python snippet over the input items in a child process of the local interpreter.
+// The process is limited in time, memory and CPU but not sandboxed: it can read and write
+// files and use the network as the backend's user, so only trusted code belongs in it.
+
+import BaseNode from '../base/BaseNode.js';
+import {
+  runPython,
+  DEFAULT_MEMORY_MB,
+  DEFAULT_TIMEOUT,
+  MAX_TIMEOUT,
+} from '../../shared/pythonProcess.js';
+
+const MEMORY_LIMITS = [128, 256, 512, 1024];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class PythonCode extends BaseNode {
+  constructor(config = {}) {
+    super('PythonCode', {
+      ...config,
+      category: 'data',
+      // The engine runs perItem nodes once for every input item
+      executionMode: config.data?.mode === 'runOnceForEachItem' ? 'perItem' : 'batch',
+      icon: 'code',
+      description:
+        'Run a Python snippet over the input items. Not sandboxed: the code has the file and network access of the backend, so run trusted code only',
+    });
+  }
+
+  defineInputs() {
+    return [
+      {
+        name: 'input',
+        type: 'any',
+        required: false,
+        description: 'Items available to the code',
+      },
+    ];
+  }
+
+  defineOutputs() {
+    return [
+      {
+        name: 'output',
+        type: 'array',
+        description: 'Items returned by the code',
+      },
+    ];
+  }
+
+  defineProperties() {
+    return {
+      mode: {
+        type: 'select',
+        displayName: 'Mode',
+        description: 'Run the code once with all items, or once for every item',
+        default: 'runOnceForAllItems',
+        options: [
+          { value: 'runOnceForAllItems', label: 'Run once for all items' },
+          { value: 'runOnceForEachItem', label: 'Run once for each item' },
+        ],
+      },
+      code: {
+        type: 'code',
+        language: 'python',
+        displayName: 'Python',
+        description:
+          'Return a list of dicts (all items) or a dict (each item). Use _input.all(), _json, _node, _vars and print()',
+        default: 'return [dict(item) for item in _input.all()]',
+        // Runs only in the Python process, never by the property expression engine
+        expressions: false,
+      },
+      timeout: {
+        type: 'number',
+        displayName: 'Timeout (ms)',
+        description: `Kill the Python process when a run takes longer (at most ${MAX_TIMEOUT}ms)`,
+        default: DEFAULT_TIMEOUT,
+      },
+      memoryMb: {
+        type: 'select',
+        displayName: 'Memory Limit (MB)',
+        description: 'Address space available to the Python process',
+        default: DEFAULT_MEMORY_MB,
+        options: MEMORY_LIMITS.map((limit) => ({ value: limit, label: `${limit} MB` })),
+      },
+    };
+  }
+
+  async execute(context) {
+    const code = this.getProperty('code', '');
+    if (!String(code).trim()) {
+      throw this.createError('Code is required', 'CODE_ERROR');
+    }
+    const timeout = Number(this.getProperty('timeout', DEFAULT_TIMEOUT)) || DEFAULT_TIMEOUT;
+    if (timeout < 0 || timeout > MAX_TIMEOUT) {
+      throw this.createError(`Timeout must be between 0 and ${MAX_TIMEOUT}ms`, 'CODE_ERROR');
+    }
+    const memoryMb = Number(this.getProperty('memoryMb', DEFAULT_MEMORY_MB));
+    if (!MEMORY_LIMITS.includes(memoryMb)) {
+      throw this.createError(
+        `Memory limit must be one of ${MEMORY_LIMITS.join(', ')} MB`,
+        'CODE_ERROR',
+      );
+    }
+
+    const scope = context.getExpressionScope();
+    const input = {
+      json: scope.$json ?? null,
+      items: scope.$input.items,
+      itemIndex: scope.$itemIndex,
+      vars: scope.$vars,
+      node: scope.$node,
+      execution: scope.$execution,
+      workflow: scope.$workflow,
+    };
+
+    let run;
+    try {
+      run = await runPython(code, input, { timeout, memoryMb, signal: context.signal });
+    } catch (error) {
+      if (context.signal?.aborted) throw error;
+
+      this.writeLogs(context, error.details?.printed);
+      throw this.createError(`Python code failed: ${error.message}`, 'CODE_ERROR', {
+        reason: error.code,
+        traceback: error.details?.traceback,
+      });
+    }
+
+    this.writeLogs(context, run.printed);
+    return { output: this.toOutput(run.result) };
+  }
+
+  toOutput(result) {
+    if (result === null) return [];
+
+    const entries = Array.isArray(result) ? result : [result];
+    if (!entries.every(isObject)) {
+      throw this.createError('Python code must return a dict or a list of dicts', 'CODE_ERROR', {
+        returned: Array.isArray(result) ? 'list' : typeof result,
+      });
+    }
+    return entries;
+  }
+
+  // print() output goes to the execution log, one entry per line
+  writeLogs(context, printed = '') {
+    for (const line of printed.split('\n').filter(Boolean)) {
+      context.log('info', line, { source: 'print' });
+    }
+  }
+}
+
+export default PythonCode;
@@ -8,6 +8,7 @@ class SetVariable extends BaseNode {
     super('SetVariable', {
       ...config,
       category: 'data',
+      executionMode: 'perItem',
       icon: 'settings',
       description: 'Set and manipulate workflow variables',
     });
@@ -0,0 +1,184 @@
+// 🔁 Execute Workflow Node
+// Runs another saved workflow as a child execution and returns its final outputs
+
+import BaseNode from '../base/BaseNode.js';
+import workflowRepository from '../../infra/WorkflowRepository.js';
+
+class ExecuteWorkflow extends BaseNode {
+  constructor(config = {}) {
+    super('ExecuteWorkflow', {
+      ...config,
+      category: 'logic',
+      executionMode: 'perItem',
+      icon: 'workflow',
+      description: 'Run another workflow and use its results',
+    });
+  }
+
+  defineInputs() {
+    return [
+      {
+        name: 'input',
+        type: 'any',
+        required: false,
+        description: 'Data mapped to the sub-workflow trigger',
+      },
+    ];
+  }
+
+  defineOutputs() {
+    return [
+      {
+        name: 'output',
+        type: 'array',
+        description: 'Final outputs of the sub-workflow, or its execution id when not waiting',
+      },
+    ];
+  }
+
+  defineProperties() {
+    return {
+      workflowId: {
+        type: 'string',
+        displayName: 'Workflow ID',
+        description: 'Saved workflow to run',
+        required: true,
+      },
+      waitForCompletion: {
+        type: 'boolean',
+        displayName: 'Wait For Completion',
+        description: 'Wait for the sub-workflow and output its results, or fire and forget',
+        default: true,
+      },
+      inputs: {
+        type: 'array',
+        displayName: 'Inputs',
+        description: 'Trigger data for the sub-workflow; the whole input item is passed when empty',
+        default: [],
+        items: {
+          name: {
+            type: 'string',
+            displayName: 'Name',
+            required: true,
+          },
+          path: {
+            type: 'string',
+            displayName: 'Input Path',
+            description: 'Dot path in the input item, e.g. "user.id"',
+          },
+          value: {
+            type: 'string',
+            displayName: 'Value',
+            description: 'Fixed value used when no input path is set',
+          },
+          type: {
+            type: 'select',
+            displayName: 'Type',
+            default: 'string',
+            options: [
+              { value: 'string', label: 'String' },
+              { value: 'number', label: 'Number' },
+              { value: 'boolean', label: 'Boolean' },
+              { value: 'object', label: 'Object' },
+              { value: 'array', label: 'Array' },
+              { value: 'any', label: 'Any' },
+            ],
+          },
+        },
+      },
+    };
+  }
+
+  async execute(context) {
+    const workflowId = this.getProperty('workflowId');
+    const waitForCompletion = this.getProperty('waitForCompletion', true);
+
+    if (!workflowId) {
+      throw this.createError('Workflow ID is required', 'VALIDATION_ERROR');
+    }
+
+    const workflow = await workflowRepository.findById(workflowId);
+    if (!workflow) {
+      throw this.createError(`Workflow ${workflowId} not found`, 'WORKFLOW_NOT_FOUND');
+    }
+
+    const triggerData = this.mapInputs(context.getInputData('input') || {});
+
+    this.log('info', `Executing sub-workflow ${workflowId}`, { waitForCompletion });
+
+    const result = await context.executeWorkflow(workflow, triggerData, { waitForCompletion });
+
+    if (!waitForCompletion) {
+      return { output: { executionId: result.executionId, workflowId, status: result.status } };
+    }
+
+    if (result.status !== 'completed') {
+      throw this.createError(`Sub-workflow ${workflowId} ${result.status}`, 'SUBWORKFLOW_ERROR', {
+        executionId: result.executionId,
+      });
+    }
+
+    return { output: result.items };
+  }
+
+  // Builds the child's trigger data from the typed input mappings
+  mapInputs(inputData) {
+    const mappings = this.getProperty('inputs', []);
+    if (mappings.length === 0) return inputData;
+
+    const triggerData = {};
+    for (const mapping of mappings) {
+      if (!mapping.name) continue;
+      const raw = mapping.path ? this.readPath(inputData, mapping.path) : mapping.value;
+      triggerData[mapping.name] = this.convert(raw, mapping.type || 'string', mapping.name);
+    }
+    return triggerData;
+  }
+
+  readPath(data, path) {
+    return path.split('.').reduce((value, key) => value?.[key], data);
+  }
+
+  convert(value, type, name) {
+    if (value === undefined || value === null || type === 'any') return value;
+
+    switch (type) {
+      case 'string':
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+      case 'number': {
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+          throw this.createError(`Input "${name}" is not a number`, 'INVALID_INPUT', { value });
+        }
+        return number;
+      }
+
+      case 'boolean':
+        return value === true || value === 'true' || value === 1 || value === '1';
+
+      case 'object':
+      case 'array': {
+        const parsed = typeof value === 'string' ? this.parseJson(value, name) : value;
+        const valid = type === 'array' ? Array.isArray(parsed) : typeof parsed === 'object';
+        if (!valid) {
+          throw this.createError(`Input "${name}" is not an ${type}`, 'INVALID_INPUT', { value });
+        }
+        return parsed;
+      }
+
+      default:
+        return value;
+    }
+  }
+
+  parseJson(value, name) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw this.createError(`Input "${name}" is not valid JSON`, 'INVALID_INPUT', { value });
+    }
+  }
+}
+
+export default ExecuteWorkflow;
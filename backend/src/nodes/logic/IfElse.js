@@ -2,12 +2,15 @@
 // Conditional branching for workflows
 
 import BaseNode from '../base/BaseNode.js';
+import { getSandbox } from '../../shared/sandbox.js';
+import { OPERATORS, evaluateGroup } from './conditions.js';
 
 class IfElse extends BaseNode {
   constructor(config = {}) {
     super('IfElse', {
       ...config,
       category: 'logic',
+      executionMode: 'perItem',
       icon: 'git-branch',
       description: 'Conditional logic with if/else branching',
     });
@@ -59,8 +62,30 @@ class IfElse extends BaseNode {
           { value: 'is_number', label: 'Is number' },
           { value: 'is_string', label: 'Is string' },
           { value: 'custom', label: 'Custom expression' },
+          { value: 'rules', label: 'Rule groups' },
         ],
       },
+      rules: {
+        type: 'conditions',
+        displayName: 'Rules',
+        description: 'Nested AND/OR rule groups, used when the condition is "Rule groups"',
+        default: { combinator: 'and', rules: [] },
+        combinators: ['and', 'or'],
+        operators: OPERATORS,
+        placeholder: {
+          combinator: 'and',
+          rules: [
+            { field: 'status', type: 'string', operator: 'equals', value: 'active' },
+            {
+              combinator: 'or',
+              rules: [
+                { field: 'total', type: 'number', operator: 'gt', value: 100 },
+                { field: 'tags', type: 'array', operator: 'contains_any', value: ['vip'] },
+              ],
+            },
+          ],
+        },
+      },
       field: {
         type: 'string',
         displayName: 'Field Path',
@@ -76,8 +101,11 @@ class IfElse extends BaseNode {
       customExpression: {
         type: 'string',
         displayName: 'Custom Expression',
-        description: 'JavaScript expression to evaluate (use "data" variable)',
+        description:
+          'JavaScript expression to evaluate (use "data" variable), run in a sandbox without process, require or filesystem access',
         placeholder: 'data.value > 100 && data.status === "active"',
+        // Evaluated only in the sandbox, never by the property expression engine
+        expressions: false,
       },
       passThrough: {
         type: 'boolean',
@@ -95,6 +123,7 @@ class IfElse extends BaseNode {
       const field = this.getProperty('field', '');
       const compareValue = this.getProperty('value', '');
       const customExpression = this.getProperty('customExpression', '');
+      const rules = this.getProperty('rules', { combinator: 'and', rules: [] });
       const passThrough = this.getProperty('passThrough', true);
 
       this.log('info', `Evaluating condition: ${condition}`, { field, compareValue });
@@ -109,6 +138,7 @@ class IfElse extends BaseNode {
         compareValue,
         customExpression,
         inputData,
+        rules,
       );
 
       this.log('info', `Condition result: ${conditionResult}`, { fieldValue, compareValue });
@@ -131,6 +161,7 @@ class IfElse extends BaseNode {
         return { false: outputData };
       }
     } catch (error) {
+      if (error?.error?.code) throw error; // Already a node error
       this.log('error', 'Condition evaluation failed', { error: error.message });
       throw this.createError(`If/Else execution failed: ${error.message}`, 'CONDITION_ERROR');
     }
@@ -155,7 +186,7 @@ class IfElse extends BaseNode {
     }
   }
 
-  async evaluateCondition(condition, fieldValue, compareValue, customExpression, fullData) {
+  async evaluateCondition(condition, fieldValue, compareValue, customExpression, fullData, rules) {
     switch (condition) {
       case 'exists':
         return fieldValue !== null && fieldValue !== undefined;
@@ -198,6 +229,9 @@ class IfElse extends BaseNode {
       case 'custom':
         return this.evaluateCustomExpression(customExpression, fullData);
 
+      case 'rules':
+        return evaluateGroup(rules, fullData);
+
       default:
         throw new Error(`Unknown condition type: ${condition}`);
     }
@@ -244,16 +278,22 @@ class IfElse extends BaseNode {
     }
   }
 
-  evaluateCustomExpression(expression, data) {
+  // Runs in the shared sandbox (1s CPU time, 32MB heap); time and memory
+  // violations and runtime errors fail the node with CONDITION_ERROR
+  async evaluateCustomExpression(expression, data) {
+    if (!expression || !expression.trim()) {
+      throw this.createError('Custom expression is required', 'CONDITION_ERROR');
+    }
+
+    const source = `(function (data) { 'use strict'; return Boolean(${expression}\n); })(JSON.parse(__input))`;
     try {
-      // Simple and safe expression evaluator
-      // In production, consider using a proper expression parser
-      const Function = eval;
-      const func = new Function('data', `return ${expression}`);
-      return Boolean(func(data));
+      return await getSandbox().run(source, data);
     } catch (error) {
       this.log('warn', 'Custom expression evaluation failed', { expression, error: error.message });
-      return false;
+      throw this.createError(`Custom expression failed: ${error.message}`, 'CONDITION_ERROR', {
+        reason: error.code,
+        expression,
+      });
     }
   }
 }
@@ -0,0 +1,229 @@
+// 🔗 Merge Logic Node
+// Combines the items of several branches once all of them have settled
+
+import BaseNode from '../base/BaseNode.js';
+import { getFieldValue } from './conditions.js';
+
+const DEFAULT_NUMBER_INPUTS = 2;
+const JOIN_TYPES = ['inner', 'left', 'outer'];
+
+class Merge extends BaseNode {
+  constructor(config = {}) {
+    super('Merge', {
+      ...config,
+      category: 'logic',
+      icon: 'git-merge',
+      description: 'Merge the items of several branches',
+    });
+  }
+
+  // input1 .. inputN; the default wait-for-all join makes the node run once every branch settled
+  defineInputs() {
+    return Array.from({ length: this.getInputCount() }, (_, index) => ({
+      name: `input${index + 1}`,
+      type: 'any',
+      required: false,
+      description: `Items of branch ${index + 1}`,
+    }));
+  }
+
+  defineOutputs() {
+    return [
+      {
+        name: 'output',
+        type: 'array',
+        description: 'Merged items',
+      },
+    ];
+  }
+
+  defineProperties() {
+    return {
+      mode: {
+        type: 'select',
+        displayName: 'Mode',
+        description: 'How the items of the inputs are combined',
+        default: 'append',
+        options: [
+          { value: 'append', label: 'Append' },
+          { value: 'join', label: 'Join on key' },
+          { value: 'position', label: 'Merge by position' },
+          { value: 'chooseBranch', label: 'Choose branch' },
+        ],
+      },
+      numberInputs: {
+        type: 'number',
+        displayName: 'Number Of Inputs',
+        description: 'Inputs of the node (at least 2)',
+        default: DEFAULT_NUMBER_INPUTS,
+      },
+      joinType: {
+        type: 'select',
+        displayName: 'Join Type',
+        description: 'Which items to keep when joining on a key',
+        default: 'inner',
+        options: [
+          { value: 'inner', label: 'Inner - matching items only' },
+          { value: 'left', label: 'Left - all items of the first input' },
+          { value: 'outer', label: 'Outer - all items of every input' },
+        ],
+      },
+      joinKey: {
+        type: 'string',
+        displayName: 'Key Path',
+        description: 'Path of the key in the items of the first input',
+        placeholder: 'customer.id',
+      },
+      joinKey2: {
+        type: 'string',
+        displayName: 'Other Inputs Key Path',
+        description: 'Path of the key in the items of the other inputs (defaults to the key path)',
+        placeholder: 'customerId',
+      },
+      includeUnpaired: {
+        type: 'boolean',
+        displayName: 'Include Unpaired Items',
+        description: 'When merging by position, keep the extra items of longer inputs',
+        default: false,
+      },
+      branch: {
+        type: 'number',
+        displayName: 'Branch',
+        description: 'Input whose items are output in "Choose branch" mode (1 for input1)',
+        default: 1,
+      },
+    };
+  }
+
+  getInputCount() {
+    const count = Number(this.data?.numberInputs ?? DEFAULT_NUMBER_INPUTS);
+    return Number.isInteger(count) && count >= 2 ? count : DEFAULT_NUMBER_INPUTS;
+  }
+
+  async execute(context) {
+    const mode = this.getProperty('mode', 'append');
+
+    // Items of every input, with their lineage so merged items point at all their sources
+    const inputs = this.inputs.map(({ name }) => {
+      const sources = context.getInputSources(name);
+      return context.getInputItems(name).map((item, index) => ({
+        json: item.json,
+        binary: item.binary,
+        pairedItem: sources[index],
+      }));
+    });
+
+    this.log('info', `Merging ${inputs.length} inputs`, {
+      mode,
+      items: inputs.map((items) => items.length),
+    });
+
+    switch (mode) {
+      case 'append':
+        return { output: inputs.flat().map(toItem) };
+
+      case 'join':
+        return { output: this.join(inputs).map(toItem) };
+
+      case 'position':
+        return { output: this.mergeByPosition(inputs).map(toItem) };
+
+      case 'chooseBranch': {
+        const branch = Number(this.getProperty('branch', 1));
+        if (!Number.isInteger(branch) || branch < 1 || branch > inputs.length) {
+          throw this.createError(`Branch must be between 1 and ${inputs.length}`, 'MERGE_ERROR', {
+            branch,
+          });
+        }
+        return { output: inputs[branch - 1].map(toItem) };
+      }
+
+      default:
+        throw this.createError(`Unknown merge mode: ${mode}`, 'MERGE_ERROR');
+    }
+  }
+
+  // Joins the inputs left to right: input1 with input2, the result with input3, ...
+  join(inputs) {
+    const joinType = this.getProperty('joinType', 'inner');
+    const joinKey = this.getProperty('joinKey', '');
+    const joinKey2 = this.getProperty('joinKey2', '') || joinKey;
+
+    if (!JOIN_TYPES.includes(joinType)) {
+      throw this.createError(`Unknown join type: ${joinType}`, 'MERGE_ERROR');
+    }
+    if (!joinKey) {
+      throw this.createError('A key path is required to join items', 'MERGE_ERROR');
+    }
+
+    return inputs
+      .slice(1)
+      .reduce((left, right) => joinItems(left, right, joinKey, joinKey2, joinType), inputs[0]);
+  }
+
+  mergeByPosition(inputs) {
+    const includeUnpaired = this.getProperty('includeUnpaired', false);
+    const lengths = inputs.map((items) => items.length);
+    const length = includeUnpaired ? Math.max(...lengths) : Math.min(...lengths);
+
+    return Array.from({ length }, (_, index) =>
+      inputs
+        .map((items) => items[index])
+        .filter(Boolean)
+        .reduce(combine),
+    );
+  }
+}
+
+// Keys are compared as text, so 42 matches "42"; items without a key never match
+function keyOf(entry, path) {
+  const value = getFieldValue(entry.json, path);
+  if (value === undefined || value === null) return undefined;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function joinItems(left, right, leftKey, rightKey, joinType) {
+  const index = new Map();
+  for (const entry of right) {
+    const key = keyOf(entry, rightKey);
+    if (key === undefined) continue;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(entry);
+  }
+
+  const matched = new Set();
+  const joined = [];
+  for (const entry of left) {
+    const matches = index.get(keyOf(entry, leftKey)) || [];
+    for (const match of matches) {
+      matched.add(match);
+      joined.push(combine(entry, match));
+    }
+    if (matches.length === 0 && joinType !== 'inner') joined.push(entry);
+  }
+
+  if (joinType === 'outer') {
+    joined.push(...right.filter((entry) => !matched.has(entry)));
+  }
+  return joined;
+}
+
+// Later inputs win on conflicting fields
+function combine(first, second) {
+  return {
+    json: { ...first.json, ...second.json },
+    binary: first.binary || second.binary ? { ...first.binary, ...second.binary } : undefined,
+    pairedItem: [first.pairedItem, second.pairedItem].flat().filter(Boolean),
+  };
+}
+
+function toItem({ json, binary, pairedItem }) {
+  const item = { json };
+  if (binary) item.binary = binary;
+  if (pairedItem && (!Array.isArray(pairedItem) || pairedItem.length > 0)) {
+    item.pairedItem = pairedItem;
+  }
+  return item;
+}
+
+export default Merge;
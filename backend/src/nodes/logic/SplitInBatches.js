@@ -0,0 +1,101 @@
+// 🔄 Split In Batches Node
+// Loops over its input items in batches; the loop body connects back to its input
+
+import BaseNode from '../base/BaseNode.js';
+
+class SplitInBatches extends BaseNode {
+  constructor(config = {}) {
+    super('SplitInBatches', {
+      ...config,
+      category: 'logic',
+      icon: 'repeat',
+      description: 'Process items in batches by looping over them',
+    });
+
+    // Validation accepts cycles closed by a connection back into this node
+    this.acceptsBackEdges = true;
+  }
+
+  defineInputs() {
+    return [
+      {
+        name: 'input',
+        type: 'any',
+        required: true,
+        // Runs for the initial items and again for every batch returned by the loop body
+        join: 'pass-through',
+        description: 'Items to loop over, and the items returned by the loop body',
+      },
+    ];
+  }
+
+  defineOutputs() {
+    return [
+      {
+        name: 'loop',
+        type: 'array',
+        description: 'Next batch of items, connect the loop body here',
+      },
+      {
+        name: 'done',
+        type: 'array',
+        description: 'All items returned by the loop body, once every batch is processed',
+      },
+    ];
+  }
+
+  defineProperties() {
+    return {
+      batchSize: {
+        type: 'number',
+        displayName: 'Batch Size',
+        description: 'Number of items in each batch',
+        default: 10,
+      },
+      maxIterations: {
+        type: 'number',
+        displayName: 'Max Iterations',
+        description: 'Fail the loop after this many batches',
+        default: 1000,
+      },
+    };
+  }
+
+  async execute(context) {
+    const batchSize = Math.max(1, Number(this.getProperty('batchSize', 10)) || 1);
+    const maxIterations = this.getProperty('maxIterations', 1000);
+    const items = context.getInputItems('input');
+    let state = context.getNodeState();
+
+    if (state) {
+      // Items coming back from the loop body
+      state.processed.push(...items);
+    } else {
+      state = { queue: [...items], processed: [], iteration: 0 };
+      this.log('info', `Looping over ${items.length} items`, { batchSize });
+    }
+
+    if (state.queue.length === 0) {
+      context.setNodeState(null);
+      this.log('info', `Loop done after ${state.iteration} iterations`, {
+        items: state.processed.length,
+      });
+      return { done: state.processed };
+    }
+
+    if (state.iteration >= maxIterations) {
+      context.setNodeState(null);
+      throw this.createError(`Loop exceeded ${maxIterations} iterations`, 'LOOP_LIMIT', {
+        remaining: state.queue.length,
+      });
+    }
+
+    state.iteration++;
+    const batch = state.queue.splice(0, batchSize);
+    context.setNodeState(state);
+
+    return { loop: batch };
+  }
+}
+
+export default SplitInBatches;
@@ -0,0 +1,171 @@
+// 🔀 Switch Logic Node
+// Routes each item to one of several outputs by ordered rules or an output index
+
+import BaseNode from '../base/BaseNode.js';
+import { OPERATORS, evaluateGroup } from './conditions.js';
+
+const DEFAULT_NUMBER_OUTPUTS = 4;
+
+class Switch extends BaseNode {
+  constructor(config = {}) {
+    super('Switch', {
+      ...config,
+      category: 'logic',
+      executionMode: 'perItem',
+      icon: 'git-fork',
+      description: 'Route items to one of several outputs',
+    });
+  }
+
+  defineInputs() {
+    return [
+      {
+        name: 'input',
+        type: 'any',
+        required: true,
+        description: 'Items to route',
+      },
+    ];
+  }
+
+  // One output per rule (or `numberOutputs` in expression mode), plus the fallback
+  defineOutputs() {
+    const rules = Array.isArray(this.data?.rules) ? this.data.rules : [];
+    const outputs =
+      this.data?.mode === 'expression'
+        ? Array.from({ length: this.getOutputCount() }, (_, index) => ({
+            name: `output${index}`,
+            type: 'any',
+            description: `Items whose output index is ${index}`,
+          }))
+        : rules.map((rule, index) => ({
+            name: `output${index}`,
+            type: 'any',
+            description: rule?.label || `Items matching rule ${index + 1}`,
+          }));
+
+    return [
+      ...outputs,
+      {
+        name: 'fallback',
+        type: 'any',
+        description: 'Items no rule matched',
+      },
+    ];
+  }
+
+  defineProperties() {
+    return {
+      mode: {
+        type: 'select',
+        displayName: 'Mode',
+        description: 'How the output of an item is chosen',
+        default: 'rules',
+        options: [
+          { value: 'rules', label: 'Rules' },
+          { value: 'expression', label: 'Expression' },
+        ],
+      },
+      rules: {
+        type: 'switchRules',
+        displayName: 'Routing Rules',
+        description:
+          'Ordered rules, each a rule group with its own output (output0, output1, ...). Used in "Rules" mode',
+        default: [],
+        combinators: ['and', 'or'],
+        operators: OPERATORS,
+        placeholder: [
+          {
+            label: 'Paid',
+            conditions: {
+              combinator: 'and',
+              rules: [{ field: 'status', type: 'string', operator: 'equals', value: 'paid' }],
+            },
+          },
+          {
+            label: 'Large',
+            conditions: {
+              combinator: 'and',
+              rules: [{ field: 'total', type: 'number', operator: 'gte', value: 1000 }],
+            },
+          },
+        ],
+      },
+      sendToAll: {
+        type: 'boolean',
+        displayName: 'Send To All Matching Outputs',
+        description: 'Send items to every matching rule instead of only the first one',
+        default: false,
+      },
+      numberOutputs: {
+        type: 'number',
+        displayName: 'Number Of Outputs',
+        description: 'Outputs available in "Expression" mode',
+        default: DEFAULT_NUMBER_OUTPUTS,
+      },
+      outputIndex: {
+        type: 'string',
+        displayName: 'Output Index',
+        description:
+          'Expression returning the index of the output to use in "Expression" mode; other values go to the fallback',
+        placeholder: '{{ $json.priority === "high" ? 0 : 1 }}',
+      },
+    };
+  }
+
+  getOutputCount() {
+    const count = Number(this.data?.numberOutputs ?? DEFAULT_NUMBER_OUTPUTS);
+    return Number.isInteger(count) && count >= 0 ? count : DEFAULT_NUMBER_OUTPUTS;
+  }
+
+  async execute(context) {
+    const inputData = context.getInputData('input');
+    const mode = this.getProperty('mode', 'rules');
+
+    const ports = mode === 'expression' ? this.routeByIndex() : this.routeByRules(inputData);
+    if (ports.length === 0) return { fallback: inputData };
+
+    return Object.fromEntries(ports.map((port) => [port, inputData]));
+  }
+
+  routeByRules(inputData) {
+    const rules = this.getProperty('rules', []);
+    if (!Array.isArray(rules)) {
+      throw this.createError('Routing rules must be an array', 'CONDITION_ERROR');
+    }
+    const sendToAll = this.getProperty('sendToAll', false);
+
+    const ports = [];
+    for (const [index, rule] of rules.entries()) {
+      let matched;
+      try {
+        matched = evaluateGroup(rule?.conditions || { rules: [] }, inputData);
+      } catch (error) {
+        throw this.createError(
+          `Switch rule ${index + 1} failed: ${error.message}`,
+          'CONDITION_ERROR',
+          { rule: index },
+        );
+      }
+
+      if (!matched) continue;
+      ports.push(`output${index}`);
+      if (!sendToAll) break;
+    }
+    return ports;
+  }
+
+  // The engine resolves the {{ }} expression per item before execute runs
+  routeByIndex() {
+    const value = this.getProperty('outputIndex', null);
+    const index = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+    if (!Number.isInteger(index) || index < 0 || index >= this.getOutputCount()) {
+      this.log('warn', 'Output index out of range, using fallback', { outputIndex: value });
+      return [];
+    }
+    return [`output${index}`];
+  }
+}
+
+export default Switch;
@@ -0,0 +1,198 @@
+// ⏸️ Wait Node
+// Pauses the execution for a duration, until a date or until its resume URL is called.
+// Long waits are persisted with the execution instead of keeping a timer (see WaitTracker).
+
+import BaseNode from '../base/BaseNode.js';
+import { sleep } from '../../shared/abort.js';
+
+const UNITS = {
+  seconds: 1000,
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+};
+
+// Shorter waits sleep in memory rather than suspending the execution
+const IN_MEMORY_LIMIT = 65 * 1000;
+
+const UNIT_OPTIONS = [
+  { value: 'seconds', label: 'Seconds' },
+  { value: 'minutes', label: 'Minutes' },
+  { value: 'hours', label: 'Hours' },
+  { value: 'days', label: 'Days' },
+];
+
+class Wait extends BaseNode {
+  constructor(config = {}) {
+    super('Wait', {
+      ...config,
+      category: 'logic',
+      icon: 'pause',
+      description: 'Wait for a duration, until a date or until a webhook call',
+    });
+  }
+
+  defineInputs() {
+    return [
+      {
+        name: 'input',
+        type: 'any',
+        required: true,
+        description: 'Items to hold while waiting',
+      },
+    ];
+  }
+
+  defineOutputs() {
+    return [
+      {
+        name: 'output',
+        type: 'any',
+        description: 'The input items, or the resume request when resumed by webhook',
+      },
+    ];
+  }
+
+  defineProperties() {
+    return {
+      resume: {
+        type: 'select',
+        displayName: 'Resume',
+        description: 'When the execution continues',
+        default: 'timeInterval',
+        options: [
+          { value: 'timeInterval', label: 'After a time interval' },
+          { value: 'specificTime', label: 'At a specified time' },
+          { value: 'webhook', label: 'On a webhook call' },
+        ],
+      },
+      amount: {
+        type: 'number',
+        displayName: 'Amount',
+        description: 'How long to wait',
+        default: 1,
+      },
+      unit: {
+        type: 'select',
+        displayName: 'Unit',
+        default: 'hours',
+        options: UNIT_OPTIONS,
+      },
+      dateTime: {
+        type: 'string',
+        displayName: 'Date and Time',
+        description: 'ISO 8601 date to wait for, e.g. 2026-01-31T09:00:00Z',
+        placeholder: '{{ $json.sendAt }}',
+      },
+      httpMethod: {
+        type: 'select',
+        displayName: 'HTTP Method',
+        description: 'Method of the call to the resume URL ($execution.resumeUrl)',
+        default: 'POST',
+        options: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'].map((method) => ({
+          value: method,
+          label: method,
+        })),
+      },
+      limitWaitTime: {
+        type: 'boolean',
+        displayName: 'Limit Wait Time',
+        description: 'Continue with the input items if the resume URL is not called in time',
+        default: false,
+      },
+      limitAmount: {
+        type: 'number',
+        displayName: 'Limit Amount',
+        default: 1,
+      },
+      limitUnit: {
+        type: 'select',
+        displayName: 'Limit Unit',
+        default: 'days',
+        options: UNIT_OPTIONS,
+      },
+    };
+  }
+
+  async execute(context) {
+    const items = context
+      .getInputItems('input')
+      .map(({ json, binary }) => (binary ? { json, binary } : { json }));
+    const state = context.getNodeState();
+
+    // Running again after the execution resumed
+    if (state) {
+      if (state.received) {
+        context.setNodeState(null);
+        this.log('info', 'Resumed by webhook');
+        return { output: state.received };
+      }
+      if (state.resumeAt && Date.now() >= Date.parse(state.resumeAt)) {
+        context.setNodeState(null);
+        this.log('info', 'Wait time is over', { resumeAt: state.resumeAt });
+        return { output: items };
+      }
+
+      // Another node's wait ended first
+      context.putToWait(state);
+      return {};
+    }
+
+    const resume = this.getProperty('resume', 'timeInterval');
+    let resumeAt = null;
+    let webhook = null;
+
+    switch (resume) {
+      case 'timeInterval':
+        resumeAt = Date.now() + this.getDuration('amount', 'unit', 'hours');
+        break;
+
+      case 'specificTime': {
+        const dateTime = this.getProperty('dateTime', '');
+        resumeAt = Date.parse(dateTime);
+        if (Number.isNaN(resumeAt)) {
+          throw this.createError(`Invalid date and time: "${dateTime}"`, 'WAIT_ERROR');
+        }
+        break;
+      }
+
+      case 'webhook':
+        webhook = { method: String(this.getProperty('httpMethod', 'POST')).toUpperCase() };
+        if (this.getProperty('limitWaitTime', false)) {
+          resumeAt = Date.now() + this.getDuration('limitAmount', 'limitUnit', 'days');
+        }
+        break;
+
+      default:
+        throw this.createError(`Unknown resume mode: ${resume}`, 'WAIT_ERROR');
+    }
+
+    if (!webhook) {
+      const delay = resumeAt - Date.now();
+      if (delay <= IN_MEMORY_LIMIT) {
+        if (delay > 0) await sleep(delay, context.signal);
+        return { output: items };
+      }
+    }
+
+    const waiting = { resumeAt: resumeAt ? new Date(resumeAt).toISOString() : null, webhook };
+    context.setNodeState(waiting);
+    context.putToWait(waiting);
+    this.log('info', 'Putting the execution to wait', waiting);
+    return {};
+  }
+
+  getDuration(amountKey, unitKey, defaultUnit) {
+    const amount = Number(this.getProperty(amountKey, 1));
+    const unit = this.getProperty(unitKey, defaultUnit);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw this.createError(`Invalid wait amount: ${amount}`, 'WAIT_ERROR');
+    }
+    if (!UNITS[unit]) {
+      throw this.createError(`Unknown wait unit: ${unit}`, 'WAIT_ERROR');
+    }
+    return amount * UNITS[unit];
+  }
+}
+
+export default Wait;
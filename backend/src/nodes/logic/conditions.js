@@ -0,0 +1,284 @@
+// Condition rules shared by the logic nodes (IfElse rule groups, Switch rules)
+//
+// A group is { combinator: 'and' | 'or', rules: [rule | group] } and a rule is
+// { field, type, operator, value?, value2?, unit?, caseSensitive? }, where `field`
+// is a dot path in the item and `type` selects the operators below.
+import vm from 'vm';
+
+const DURATION_UNITS = {
+  seconds: 1000,
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+  weeks: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Operator catalogue, also served to the frontend to render the rule builder.
+// `values` is how many compare values the operator takes.
+export const OPERATORS = {
+  string: [
+    { value: 'equals', label: 'Equals', values: 1 },
+    { value: 'not_equals', label: 'Does not equal', values: 1 },
+    { value: 'contains', label: 'Contains', values: 1 },
+    { value: 'not_contains', label: 'Does not contain', values: 1 },
+    { value: 'starts_with', label: 'Starts with', values: 1 },
+    { value: 'ends_with', label: 'Ends with', values: 1 },
+    { value: 'regex', label: 'Matches regex', values: 1 },
+    { value: 'not_regex', label: 'Does not match regex', values: 1 },
+    { value: 'is_empty', label: 'Is empty', values: 0 },
+    { value: 'is_not_empty', label: 'Is not empty', values: 0 },
+  ],
+  number: [
+    { value: 'equals', label: 'Equals', values: 1 },
+    { value: 'not_equals', label: 'Does not equal', values: 1 },
+    { value: 'gt', label: 'Greater than', values: 1 },
+    { value: 'gte', label: 'Greater than or equal', values: 1 },
+    { value: 'lt', label: 'Less than', values: 1 },
+    { value: 'lte', label: 'Less than or equal', values: 1 },
+    { value: 'between', label: 'Between', values: 2 },
+    { value: 'is_empty', label: 'Is empty', values: 0 },
+    { value: 'is_not_empty', label: 'Is not empty', values: 0 },
+  ],
+  date: [
+    { value: 'equals', label: 'Is equal to', values: 1 },
+    { value: 'before', label: 'Is before', values: 1 },
+    { value: 'after', label: 'Is after', values: 1 },
+    { value: 'between', label: 'Is between', values: 2 },
+    // value is an amount of `unit` (seconds, minutes, hours, days, weeks) around now
+    { value: 'within', label: 'Is within', values: 1 },
+    { value: 'is_empty', label: 'Is empty', values: 0 },
+    { value: 'is_not_empty', label: 'Is not empty', values: 0 },
+  ],
+  boolean: [
+    { value: 'is_true', label: 'Is true', values: 0 },
+    { value: 'is_false', label: 'Is false', values: 0 },
+    { value: 'equals', label: 'Equals', values: 1 },
+    { value: 'exists', label: 'Exists', values: 0 },
+  ],
+  array: [
+    { value: 'contains', label: 'Contains', values: 1 },
+    { value: 'not_contains', label: 'Does not contain', values: 1 },
+    { value: 'contains_any', label: 'Contains any of', values: 1 },
+    { value: 'contains_all', label: 'Contains all of', values: 1 },
+    { value: 'length_equals', label: 'Length equals', values: 1 },
+    { value: 'length_gt', label: 'Length greater than', values: 1 },
+    { value: 'length_lt', label: 'Length less than', values: 1 },
+    { value: 'is_empty', label: 'Is empty', values: 0 },
+    { value: 'is_not_empty', label: 'Is not empty', values: 0 },
+  ],
+};
+
+export function getFieldValue(data, fieldPath) {
+  if (!fieldPath) return data;
+  return String(fieldPath)
+    .split('.')
+    .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+export function isGroup(entry) {
+  return Boolean(entry) && Array.isArray(entry.rules);
+}
+
+// Evaluates a rule group; an empty group is true
+export function evaluateGroup(group, data) {
+  const rules = group.rules || [];
+  const combinator = String(group.combinator || 'and').toLowerCase();
+  if (combinator !== 'and' && combinator !== 'or') {
+    throw new Error(`Unknown combinator "${group.combinator}"`);
+  }
+
+  const evaluate = (entry) =>
+    isGroup(entry) ? evaluateGroup(entry, data) : evaluateRule(entry, data);
+  return combinator === 'and' ? rules.every(evaluate) : rules.some(evaluate);
+}
+
+export function evaluateRule(rule, data) {
+  const type = rule.type || 'string';
+  const evaluator = EVALUATORS[type];
+  if (!evaluator) throw new Error(`Unknown rule type "${type}"`);
+  if (!OPERATORS[type].some((operator) => operator.value === rule.operator)) {
+    throw new Error(`Unknown ${type} operator "${rule.operator}"`);
+  }
+
+  return evaluator(getFieldValue(data, rule.field), rule);
+}
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === '' ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === 'object' && Object.keys(value).length === 0)
+  );
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return NaN;
+  return Number(value);
+}
+
+function toTime(value) {
+  if (value === null || value === undefined || value === '') return NaN;
+  return (value instanceof Date ? value : new Date(value)).getTime();
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',').map((entry) => entry.trim());
+  return [value];
+}
+
+// Patterns come from the workflow and can backtrack for a very long time, so they are
+// tested in an empty vm context that interrupts them after REGEX_TIMEOUT
+const REGEX_TIMEOUT = 250;
+const regexContext = vm.createContext(Object.create(null), {
+  codeGeneration: { strings: false, wasm: false },
+});
+const regexTest = new vm.Script('new RegExp(__pattern, __flags).test(__text)');
+
+function testRegExp(pattern, text, caseSensitive) {
+  Object.assign(regexContext, {
+    __pattern: String(pattern),
+    __flags: caseSensitive ? '' : 'i',
+    __text: text,
+  });
+  try {
+    return regexTest.runInContext(regexContext, { timeout: REGEX_TIMEOUT });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      const timeout = new Error(
+        `Regular expression "${pattern}" timed out after ${REGEX_TIMEOUT}ms`,
+      );
+      timeout.code = 'REGEX_TIMEOUT';
+      throw timeout;
+    }
+    throw new Error(`Invalid regular expression "${pattern}": ${error.message}`);
+  }
+}
+
+const EVALUATORS = {
+  string(fieldValue, { operator, value, caseSensitive = true }) {
+    if (operator === 'is_empty') return isEmpty(fieldValue);
+    if (operator === 'is_not_empty') return !isEmpty(fieldValue);
+    if (operator === 'regex') return testRegExp(value, String(fieldValue ?? ''), caseSensitive);
+    if (operator === 'not_regex')
+      return !testRegExp(value, String(fieldValue ?? ''), caseSensitive);
+
+    const normalize = (text) =>
+      caseSensitive ? String(text ?? '') : String(text ?? '').toLowerCase();
+    const actual = normalize(fieldValue);
+    const expected = normalize(value);
+
+    switch (operator) {
+      case 'equals':
+        return actual === expected;
+      case 'not_equals':
+        return actual !== expected;
+      case 'contains':
+        return actual.includes(expected);
+      case 'not_contains':
+        return !actual.includes(expected);
+      case 'starts_with':
+        return actual.startsWith(expected);
+      case 'ends_with':
+        return actual.endsWith(expected);
+    }
+  },
+
+  number(fieldValue, { operator, value, value2 }) {
+    if (operator === 'is_empty') return Number.isNaN(toNumber(fieldValue));
+    if (operator === 'is_not_empty') return !Number.isNaN(toNumber(fieldValue));
+
+    const actual = toNumber(fieldValue);
+    const expected = toNumber(value);
+    if (Number.isNaN(actual)) return false;
+
+    switch (operator) {
+      case 'equals':
+        return actual === expected;
+      case 'not_equals':
+        return actual !== expected;
+      case 'gt':
+        return actual > expected;
+      case 'gte':
+        return actual >= expected;
+      case 'lt':
+        return actual < expected;
+      case 'lte':
+        return actual <= expected;
+      case 'between':
+        return actual >= expected && actual <= toNumber(value2);
+    }
+  },
+
+  date(fieldValue, { operator, value, value2, unit = 'days' }) {
+    if (operator === 'is_empty') return Number.isNaN(toTime(fieldValue));
+    if (operator === 'is_not_empty') return !Number.isNaN(toTime(fieldValue));
+
+    const actual = toTime(fieldValue);
+    if (Number.isNaN(actual)) return false;
+
+    switch (operator) {
+      case 'equals':
+        return actual === toTime(value);
+      case 'before':
+        return actual < toTime(value);
+      case 'after':
+        return actual > toTime(value);
+      case 'between':
+        return actual >= toTime(value) && actual <= toTime(value2);
+      case 'within': {
+        if (!DURATION_UNITS[unit]) throw new Error(`Unknown duration unit "${unit}"`);
+        return Math.abs(Date.now() - actual) <= toNumber(value) * DURATION_UNITS[unit];
+      }
+    }
+  },
+
+  boolean(fieldValue, { operator, value }) {
+    const toBoolean = (entry) => entry === true || entry === 'true' || entry === 1 || entry === '1';
+
+    switch (operator) {
+      case 'is_true':
+        return toBoolean(fieldValue);
+      case 'is_false':
+        return !toBoolean(fieldValue);
+      case 'equals':
+        return toBoolean(fieldValue) === toBoolean(value);
+      case 'exists':
+        return fieldValue !== undefined && fieldValue !== null;
+    }
+  },
+
+  array(fieldValue, { operator, value, caseSensitive = true }) {
+    if (operator === 'is_empty') return !Array.isArray(fieldValue) || fieldValue.length === 0;
+    if (operator === 'is_not_empty') return Array.isArray(fieldValue) && fieldValue.length > 0;
+    if (!Array.isArray(fieldValue)) return false;
+
+    const normalize = (entry) =>
+      !caseSensitive && typeof entry === 'string' ? entry.toLowerCase() : entry;
+    const has = (expected) =>
+      fieldValue.some((entry) =>
+        typeof entry === 'object' && entry !== null
+          ? JSON.stringify(entry) === JSON.stringify(expected)
+          : normalize(entry) === normalize(expected),
+      );
+
+    switch (operator) {
+      case 'contains':
+        return has(value);
+      case 'not_contains':
+        return !has(value);
+      case 'contains_any':
+        return toList(value).some(has);
+      case 'contains_all':
+        return toList(value).every(has);
+      case 'length_equals':
+        return fieldValue.length === toNumber(value);
+      case 'length_gt':
+        return fieldValue.length > toNumber(value);
+      case 'length_lt':
+        return fieldValue.length < toNumber(value);
+    }
+  },
+};
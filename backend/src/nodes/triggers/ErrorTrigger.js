@@ -0,0 +1,62 @@
+// 🚨 Error Trigger Node
+// Starts an error workflow when a workflow that names it in `errorWorkflowId` fails
+
+import BaseNode from '../base/BaseNode.js';
+
+class ErrorTrigger extends BaseNode {
+  constructor(config = {}) {
+    super('ErrorTrigger', {
+      ...config,
+      category: 'trigger',
+      icon: 'alert-triangle',
+      description: 'Starts this workflow when another workflow fails',
+    });
+
+    // Only fired by failed executions, never by a manual run
+    this.manualStart = false;
+  }
+
+  defineInputs() {
+    return []; // Triggers don't have inputs
+  }
+
+  defineOutputs() {
+    return [
+      {
+        name: 'output',
+        type: 'object',
+        description: 'Failed execution id, failing node, error message, stack and last input',
+      },
+    ];
+  }
+
+  defineProperties() {
+    return {
+      description: {
+        type: 'string',
+        displayName: 'Description',
+        description: 'Description of this trigger',
+        default: 'Error trigger',
+      },
+    };
+  }
+
+  async execute(context) {
+    const failure = context.getInputData();
+
+    this.log('info', 'Error trigger executed', {
+      executionId: failure.executionId,
+      workflowId: failure.workflowId,
+    });
+
+    return {
+      output: {
+        trigger: 'error',
+        timestamp: new Date().toISOString(),
+        ...failure,
+      },
+    };
+  }
+}
+
+export default ErrorTrigger;
@@ -48,7 +48,9 @@ class ManualTrigger extends BaseNode {
     try {
       this.log('info', 'Manual trigger executed');
 
-      const triggerData = this.getProperty('triggerData', {});
+      // Data passed to the execution (API triggerData, or a parent's ExecuteWorkflow inputs)
+      // extends the configured trigger data
+      const triggerData = { ...this.getProperty('triggerData', {}), ...context.getInputData() };
       const description = this.getProperty('description', 'Manual trigger');
 
       const output = {
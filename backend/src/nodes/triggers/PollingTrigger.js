@@ -0,0 +1,152 @@
+// 🔁 Polling Trigger Node
+// Requests an HTTP endpoint on an interval while the workflow is active and starts the workflow
+// with the items it has not seen before (see PollingService)
+
+import BaseNode from '../base/BaseNode.js';
+import HttpRequestPro from '../data/HttpRequestPro.js';
+import { INTERVAL_UNITS } from './ScheduleTrigger.js';
+import { getFieldValue } from '../logic/conditions.js';
+
+// Request properties shared with the HTTP Request Pro node
+const REQUEST_PROPERTIES = [
+  'url',
+  'method',
+  'headers',
+  'authentication',
+  'authDetails',
+  'bodyType',
+  'body',
+  'rawBody',
+  'timeout',
+];
+
+class PollingTrigger extends BaseNode {
+  constructor(config = {}) {
+    super('PollingTrigger', {
+      ...config,
+      category: 'trigger',
+      icon: 'refresh',
+      description: 'Starts this workflow with new items of a polled HTTP endpoint',
+    });
+    // Only fired by its poller (or a run naming it in options.triggerNodeId), never by a manual run
+    this.manualStart = false;
+  }
+
+  defineInputs() {
+    return []; // Triggers don't have inputs
+  }
+
+  defineOutputs() {
+    return [
+      {
+        name: 'output',
+        type: 'object',
+        description: 'The new items, one per execution item',
+      },
+    ];
+  }
+
+  defineProperties() {
+    const requestProperties = HttpRequestPro.prototype.defineProperties.call(this);
+    return {
+      ...Object.fromEntries(REQUEST_PROPERTIES.map((key) => [key, requestProperties[key]])),
+      pollInterval: {
+        type: 'number',
+        displayName: 'Poll Every',
+        default: 5,
+      },
+      pollUnit: {
+        type: 'select',
+        displayName: 'Poll Interval Unit',
+        default: 'minutes',
+        options: Object.keys(INTERVAL_UNITS).map((unit) => ({
+          value: unit,
+          label: unit[0].toUpperCase() + unit.slice(1),
+        })),
+      },
+      itemsPath: {
+        type: 'string',
+        displayName: 'Items Path',
+        description: 'Dotted path to the list of items in the response; empty for the whole body',
+        placeholder: 'data.items',
+      },
+      dedupeBy: {
+        type: 'select',
+        displayName: 'New Items By',
+        default: 'id',
+        options: [
+          { value: 'id', label: 'Unseen id' },
+          { value: 'cursor', label: 'Cursor greater than the last one' },
+        ],
+      },
+      idField: {
+        type: 'string',
+        displayName: 'Id Field',
+        description: 'Dotted path to the id of an item; items without one are compared whole',
+        default: 'id',
+        conditional: { field: 'dedupeBy', value: ['id', 'cursor'] },
+      },
+      cursorField: {
+        type: 'string',
+        displayName: 'Cursor Field',
+        description:
+          'Dotted path to an increasing number or date, e.g. updatedAt; items sharing the last cursor are told apart by Id Field',
+        placeholder: 'updatedAt',
+        conditional: { field: 'dedupeBy', value: ['cursor'] },
+      },
+      emitExisting: {
+        type: 'boolean',
+        displayName: 'Emit Existing Items',
+        description: 'Start the workflow with the items already there on the first poll',
+        default: false,
+      },
+    };
+  }
+
+  // Activation lifecycle (see ActiveWorkflowManager): polls while the workflow is active
+  async activate(context) {
+    await context.startPolling(this);
+  }
+
+  async deactivate(context) {
+    await context.stopPolling();
+  }
+
+  // Requests the endpoint and returns the items of the response
+  async fetchItems(properties = this.getProperties(), signal) {
+    const http = new HttpRequestPro({ id: this.id, data: properties });
+    const config = await http.buildRequestConfig({}, properties);
+    config.signal = signal;
+    const response = await http.makeHttpRequest(config);
+    if (!response.ok) {
+      throw this.createError(
+        `Poll request failed with status ${response.status}`,
+        'POLLING_ERROR',
+        { status: response.status, url: response.url },
+      );
+    }
+
+    const items = getFieldValue(response.data, properties.itemsPath);
+    if (items === undefined || items === null) {
+      throw this.createError(`Response has no items at "${properties.itemsPath}"`, 'POLLING_ERROR');
+    }
+    return (Array.isArray(items) ? items : [items]).map((item) =>
+      item !== null && typeof item === 'object' ? item : { value: item },
+    );
+  }
+
+  async execute(context) {
+    // Polls pass their new items; a run started from this node polls once and outputs every item
+    const { items } = context.getInputData();
+    if (Array.isArray(items)) return { output: items };
+
+    const polled = await this.fetchItems(
+      context.properties || this.getProperties(),
+      context.signal,
+    );
+    this.log('info', 'Polled items', { count: polled.length });
+    return { output: polled };
+  }
+}
+
+export default PollingTrigger;
@@ -0,0 +1,114 @@
+// ⏰ Schedule Trigger Node
+// Starts its workflow on a cron expression or a fixed interval while the workflow is active
+// (see ScheduleService)
+
+import BaseNode from '../base/BaseNode.js';
+
+export const INTERVAL_UNITS = {
+  seconds: 1000,
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+};
+
+class ScheduleTrigger extends BaseNode {
+  constructor(config = {}) {
+    super('ScheduleTrigger', {
+      ...config,
+      category: 'trigger',
+      icon: 'clock',
+      description: 'Starts this workflow on a schedule',
+    });
+  }
+
+  defineInputs() {
+    return []; // Triggers don't have inputs
+  }
+
+  defineOutputs() {
+    return [
+      {
+        name: 'output',
+        type: 'object',
+        description: 'Time of the run: timestamp, scheduledTime and timezone',
+      },
+    ];
+  }
+
+  defineProperties() {
+    return {
+      mode: {
+        type: 'select',
+        displayName: 'Trigger On',
+        default: 'cron',
+        options: [
+          { value: 'cron', label: 'Cron expression' },
+          { value: 'interval', label: 'Fixed interval' },
+        ],
+      },
+      cronExpression: {
+        type: 'string',
+        displayName: 'Cron Expression',
+        description: 'minute hour day-of-month month day-of-week, with optional leading seconds',
+        default: '0 * * * *',
+        placeholder: '0 9 * * MON-FRI',
+      },
+      interval: {
+        type: 'number',
+        displayName: 'Interval',
+        default: 1,
+      },
+      intervalUnit: {
+        type: 'select',
+        displayName: 'Interval Unit',
+        default: 'hours',
+        options: Object.keys(INTERVAL_UNITS).map((unit) => ({
+          value: unit,
+          label: unit[0].toUpperCase() + unit.slice(1),
+        })),
+      },
+      timezone: {
+        type: 'string',
+        displayName: 'Timezone',
+        description: 'IANA timezone of the cron expression (defaults to the server timezone)',
+        placeholder: 'Europe/Berlin',
+      },
+      preventOverlap: {
+        type: 'boolean',
+        displayName: 'Prevent Overlapping Runs',
+        description: 'Skip a run while the execution of the previous one is still running',
+        default: false,
+      },
+    };
+  }
+
+  // Activation lifecycle (see ActiveWorkflowManager): scheduled while the workflow is active
+  async activate(context) {
+    await context.startSchedule();
+  }
+
+  async deactivate(context) {
+    await context.stopSchedule();
+  }
+
+  async execute(context) {
+    // Scheduled runs pass the time of the run; a manual run fires now
+    const run = context.getInputData();
+    const timestamp = run.timestamp || new Date().toISOString();
+    const timezone =
+      run.timezone ||
+      this.getProperty('timezone', '') ||
+      Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    this.log('info', 'Schedule trigger fired', { timestamp, timezone });
+    return {
+      output: {
+        timestamp,
+        scheduledTime: run.scheduledTime || timestamp,
+        timezone,
+      },
+    };
+  }
+}
+
+export default ScheduleTrigger;
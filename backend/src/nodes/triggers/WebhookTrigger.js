@@ -0,0 +1,88 @@
+// 🪝 Webhook Trigger Node
+// Starts its active workflow when an HTTP request reaches /webhook/<path> (see WebhookService)
+
+import BaseNode from '../base/BaseNode.js';
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'];
+
+class WebhookTrigger extends BaseNode {
+  constructor(config = {}) {
+    super('WebhookTrigger', {
+      ...config,
+      category: 'trigger',
+      icon: 'webhook',
+      description: 'Starts this workflow when its webhook URL is called',
+    });
+
+    // Only fired by requests to the webhook URL, never by a manual run
+    this.manualStart = false;
+  }
+
+  defineInputs() {
+    return []; // Triggers don't have inputs
+  }
+
+  defineOutputs() {
+    return [
+      {
+        name: 'output',
+        type: 'object',
+        description: 'The request: method, headers, params, query, body and rawBody',
+      },
+    ];
+  }
+
+  defineProperties() {
+    return {
+      path: {
+        type: 'string',
+        displayName: 'Path',
+        description: 'Path of the webhook URL, after /webhook/',
+        placeholder: 'orders/new',
+        required: true,
+      },
+      httpMethods: {
+        type: 'array',
+        displayName: 'HTTP Methods',
+        description: 'Methods the webhook accepts',
+        default: ['POST'],
+        options: HTTP_METHODS.map((method) => ({ value: method, label: method })),
+      },
+      responseMode: {
+        type: 'select',
+        displayName: 'Respond',
+        description: 'When and with what the request is answered',
+        default: 'onReceived',
+        options: [
+          { value: 'onReceived', label: 'Immediately' },
+          { value: 'lastNode', label: 'When the workflow finishes, with its last items' },
+          { value: 'responseNode', label: 'Using a Respond to Webhook node' },
+        ],
+      },
+      responseCode: {
+        type: 'number',
+        displayName: 'Response Code',
+        description: 'Status code of immediate and last-node responses',
+        default: 200,
+      },
+    };
+  }
+
+  // Activation lifecycle (see ActiveWorkflowManager): served while the workflow is active
+  async activate(context) {
+    context.registerWebhook();
+  }
+
+  async deactivate(context) {
+    context.unregisterWebhook();
+  }
+
+  async execute(context) {
+    // The execution's trigger data is the request the WebhookService received
+    const request = context.getInputData();
+    this.log('info', 'Webhook called', { method: request.method, path: request.path });
+    return { output: request };
+  }
+}
+
+export default WebhookTrigger;
@@ -15,8 +15,18 @@ const manualTriggerNode = {
       description: 'Description of this trigger',
     },
   },
+  // Same output as the ManualTrigger class node: the configured trigger data extended by the
+  // data passed to the execution
   async run(ctx) {
-    return { output: ctx.properties.triggerData };
+    return {
+      output: {
+        trigger: 'manual',
+        timestamp: new Date().toISOString(),
+        description: ctx.properties.description,
+        data: { ...ctx.properties.triggerData, ...ctx.triggerData },
+        executionId: ctx.executionId,
+      },
+    };
   },
 };
 
@@ -0,0 +1,64 @@
+// Abort helpers shared by the engine and nodes
+
+// Derives a signal that aborts with its parent or after `ms` milliseconds.
+// Call cleanup() once the guarded work is done to release the timer and listener.
+export function withTimeout(parent, ms, message = `Operation timed out after ${ms}ms`) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(parent.reason);
+
+  if (parent?.aborted) {
+    controller.abort(parent.reason);
+  } else if (parent) {
+    parent.addEventListener('abort', onAbort, { once: true });
+  }
+
+  const timer =
+    ms > 0
+      ? setTimeout(() => controller.abort(new DOMException(message, 'TimeoutError')), ms)
+      : null;
+
+  return {
+    signal: controller.signal,
+    cleanup() {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+// Rejects as soon as the signal aborts, even if the wrapped work ignores it
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      },
+    );
+  });
+}
+
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,186 @@
+// Cron expressions evaluated in an IANA timezone.
+// Five fields (minute hour day-of-month month day-of-week) or six with leading seconds;
+// lists, ranges, steps, month and weekday names and the @hourly/@daily/... macros.
+// Around DST changes, times skipped by the clock run right after the gap (02:30 becomes 03:30)
+// and times the clock passes twice run once, at the first occurrence.
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = 'JAN FEB MAR APR MAY JUN JUL AUG SEP OCT NOV DEC'.split(' ');
+const DAY_NAMES = 'SUN MON TUE WED THU FRI SAT'.split(' ');
+
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+// Enough steps to find a yearly run; expressions that never match (e.g. 30 February) give up
+const MAX_STEPS = 200000;
+
+function cronError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CRON';
+  return error;
+}
+
+function parseValue(value, field) {
+  const index = field.names?.indexOf(value.toUpperCase()) ?? -1;
+  const number = index >= 0 ? index + field.offset : Number(value);
+  if (!/^\w+$/.test(value) || !Number.isInteger(number)) {
+    throw cronError(`Invalid ${field.name} value: "${value}"`);
+  }
+  if (number < field.min || number > field.max) {
+    throw cronError(`${field.name} must be between ${field.min} and ${field.max}, got ${number}`);
+  }
+  return number;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      throw cronError(`Invalid ${field.name} step: "${part}"`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*' && range !== '?') {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field);
+      // "5/15" means from 5 to the end in steps of 15
+      to = end !== undefined ? parseValue(end, field) : stepText !== undefined ? field.max : from;
+    }
+    if (from > to) throw cronError(`Invalid ${field.name} range: "${range}"`);
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+// Parses an expression into the set of matching values of every field
+export function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const parts = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length === 5) parts.unshift('0');
+  if (parts.length !== 6) {
+    throw cronError(`Cron expression must have 5 or 6 fields: "${text}"`);
+  }
+
+  const [second, minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) =>
+    parseField(part, FIELDS[index]),
+  );
+  // 7 is Sunday too
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+
+  return {
+    second,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // With both day fields restricted a day matches either of them, as in classic cron
+    anyDay: !['*', '?'].includes(parts[3]) && !['*', '?'].includes(parts[5]),
+  };
+}
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+
+// Wall clock time of an instant in the timezone, as a UTC timestamp with the same fields
+function toWallTime(instant, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      }),
+    );
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timezone).formatToParts(instant)) {
+    parts[type] = Number(value);
+  }
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+function getOffset(instant, timezone) {
+  const floored = Math.floor(instant / 1000) * 1000;
+  return toWallTime(floored, timezone) - floored;
+}
+
+// Instant of a wall clock time: the earlier one when the time occurs twice, and shifted by
+// the length of the gap when the clock skips it
+function toInstant(wallTime, timezone) {
+  const day = 24 * 60 * 60 * 1000;
+  const before = getOffset(wallTime - day, timezone);
+  const after = getOffset(wallTime + day, timezone);
+  const candidates = [wallTime - before, wallTime - after].filter(
+    (instant) => toWallTime(instant, timezone) === wallTime,
+  );
+  return candidates.length > 0 ? Math.min(...candidates) : wallTime - before;
+}
+
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+  return schedule.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+// Next run strictly after `after` (a Date), or null if the expression never matches
+export function getNextRun(expression, after = new Date(), timezone = 'UTC') {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const from = new Date(after).getTime();
+  // Walks the wall clock field by field, from the second after `after`
+  const wall = new Date(Math.floor(toWallTime(from, timezone) / 1000) * 1000 + 1000);
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    if (!schedule.month.has(wall.getUTCMonth() + 1)) {
+      wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+      wall.setUTCHours(0, 0, 0);
+    } else if (!matchesDay(schedule, wall)) {
+      wall.setUTCDate(wall.getUTCDate() + 1);
+      wall.setUTCHours(0, 0, 0);
+    } else if (!schedule.hour.has(wall.getUTCHours())) {
+      wall.setUTCHours(wall.getUTCHours() + 1, 0, 0);
+    } else if (!schedule.minute.has(wall.getUTCMinutes())) {
+      wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0);
+    } else if (!schedule.second.has(wall.getUTCSeconds())) {
+      wall.setUTCSeconds(wall.getUTCSeconds() + 1);
+    } else {
+      const instant = toInstant(wall.getTime(), timezone);
+      // Repeated wall times map to their first occurrence, which may already be past
+      if (instant > from) return new Date(instant);
+      wall.setUTCSeconds(wall.getUTCSeconds() + 1);
+    }
+  }
+  return null;
+}
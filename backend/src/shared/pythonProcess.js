@@ -0,0 +1,209 @@
+// Runs Python code in a child process of the local interpreter (PYTHON_PATH, default python3).
+// The input goes to the runner as JSON on stdin and the result comes back as JSON on stdout;
+// print() output is collected separately and tracebacks arrive on stderr. The process runs in
+// isolated mode with a minimal environment, memory and CPU rlimits, and its own process group,
+// which is killed when it exceeds its time limit or the run is aborted.
+import { spawn } from 'child_process';
+
+export const DEFAULT_TIMEOUT = 10000;
+export const MAX_TIMEOUT = 60000;
+export const DEFAULT_MEMORY_MB = 256;
+const MAX_OUTPUT = 16 * 1024 * 1024;
+const MAX_STDERR = 64 * 1024;
+// Process groups (and so killing what the code spawned) are POSIX only
+const OWN_PROCESS_GROUP = process.platform !== 'win32';
+
+// Wraps the user code in a function (keeping its line numbers) with the input in scope.
+// Tracebacks only show the frames of the user code.
+const RUNNER = `
+import ast, io, json, sys, traceback
+
+# Limits of this process and everything it spawns: address space (MB) and CPU time (seconds).
+# Hard limits too, so the code can not raise them again. No resource module on Windows.
+try:
+    import resource
+    for limit, value in ((resource.RLIMIT_AS, int(sys.argv[1]) * 1024 * 1024),
+                         (resource.RLIMIT_CPU, int(sys.argv[2]))):
+        try:
+            resource.setrlimit(limit, (value, value))
+        except (ValueError, OSError):
+            pass
+except ImportError:
+    pass
+
+class _Input:
+    def __init__(self, items, item):
+        self._items = items
+        self.item = item
+
+    def all(self):
+        return self._items
+
+    def first(self):
+        return self._items[0] if self._items else None
+
+    def last(self):
+        return self._items[-1] if self._items else None
+
+payload = json.load(sys.stdin)
+scope = {
+    '_json': payload['json'],
+    '_input': _Input(payload['items'], {'json': payload['json']}),
+    '_item_index': payload['itemIndex'],
+    '_vars': payload['vars'],
+    '_node': payload['node'],
+    '_execution': payload['execution'],
+    '_workflow': payload['workflow'],
+}
+
+def run():
+    lines = payload['code'].splitlines() or ['pass']
+    source = 'def __code():\\n' + ''.join('    ' + line + '\\n' for line in lines)
+    try:
+        tree = ast.parse(source, '<code>')
+    except SyntaxError as error:
+        error.lineno -= 1
+        if error.end_lineno:
+            error.end_lineno -= 1
+        raise
+    ast.increment_lineno(tree, -1)
+    exec(compile(tree, '<code>', 'exec'), scope)
+    return json.dumps(scope['__code']())
+
+stdout = sys.stdout
+sys.stdout = io.StringIO()
+output = {}
+try:
+    output['result'] = run()
+except BaseException as error:
+    frames = error.__traceback__
+    while frames is not None and frames.tb_frame.f_code.co_filename != '<code>':
+        frames = frames.tb_next
+    traceback.print_exception(type(error), error, frames)
+finally:
+    output['printed'] = sys.stdout.getvalue()
+    sys.stdout = stdout
+    json.dump(output, sys.stdout)
+sys.exit(0 if 'result' in output else 1)
+`;
+
+function pythonError(message, code, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+// Kills the process and, where it leads a process group, everything it spawned
+function killTree(child) {
+  if (OWN_PROCESS_GROUP && child.pid) {
+    try {
+      process.kill(-child.pid, 'SIGKILL');
+      return;
+    } catch {
+      // The group is gone already
+    }
+  }
+  child.kill('SIGKILL');
+}
+
+// Resolves { result, printed }; rejects with PYTHON_ERROR (details.traceback),
+// PYTHON_TIMEOUT or PYTHON_NOT_FOUND, or with the signal's reason when aborted.
+// `timeout` is capped at MAX_TIMEOUT; `memoryMb` limits the address space of the process.
+export function runPython(
+  code,
+  input,
+  { timeout = DEFAULT_TIMEOUT, memoryMb = DEFAULT_MEMORY_MB, signal } = {},
+) {
+  const python = process.env.PYTHON_PATH || 'python3';
+  timeout = Math.min(timeout, MAX_TIMEOUT);
+  const cpuSeconds = Math.ceil(timeout / 1000);
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+
+    const child = spawn(python, ['-I', '-c', RUNNER, String(memoryMb), String(cpuSeconds)], {
+      env: {
+        PATH: process.env.PATH,
+        HOME: process.env.HOME,
+        LANG: process.env.LANG || 'C.UTF-8',
+        PYTHONIOENCODING: 'utf-8',
+      },
+      stdio: ['pipe', 'pipe', 'pipe'],
+      detached: OWN_PROCESS_GROUP,
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let failure = null;
+
+    const kill = (error) => {
+      if (failure) return;
+      failure = error;
+      killTree(child);
+    };
+
+    const timer = setTimeout(
+      () => kill(pythonError(`Python code timed out after ${timeout}ms`, 'PYTHON_TIMEOUT')),
+      timeout,
+    );
+    const onAbort = () => kill(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      if (stdout.length > MAX_OUTPUT) {
+        kill(pythonError('Python output exceeds 16MB', 'PYTHON_ERROR'));
+      }
+    });
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-MAX_STDERR);
+    });
+
+    child.on('error', (error) => {
+      kill(
+        error.code === 'ENOENT'
+          ? pythonError(
+              `Python interpreter "${python}" not found (set PYTHON_PATH)`,
+              'PYTHON_NOT_FOUND',
+            )
+          : pythonError(error.message, 'PYTHON_ERROR'),
+      );
+    });
+
+    // Processes the code left behind would hold its output open
+    child.on('exit', () => {
+      if (!failure) killTree(child);
+    });
+
+    child.on('close', (exitCode, exitSignal) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (failure) return reject(failure);
+
+      let output = {};
+      try {
+        output = JSON.parse(stdout);
+      } catch {
+        // A crash before the runner wrote its output; stderr tells why
+      }
+
+      if (exitCode !== 0 || output.result === undefined) {
+        const traceback = stderr.trim();
+        const exit = exitCode === null ? `signal ${exitSignal}` : `code ${exitCode}`;
+        const lastLine = traceback.split('\n').pop() || `Python exited with ${exit}`;
+        return reject(
+          pythonError(lastLine, 'PYTHON_ERROR', { traceback, printed: output.printed || '' }),
+        );
+      }
+
+      resolve({ result: JSON.parse(output.result), printed: output.printed || '' });
+    });
+
+    // The process may exit before reading its input (e.g. a bad interpreter path)
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify({ ...input, code }));
+  });
+}
@@ -0,0 +1,158 @@
+// Sandbox for untrusted user code: runs in worker threads with a heap limit and a
+// CPU time limit, inside a vm context without process, require or filesystem access.
+// Each sandbox is a small pool: a job waits only while every worker is busy, and a
+// worker is replaced when it is killed.
+import { Worker } from 'worker_threads';
+
+const WORKER_URL = new URL('./sandboxWorker.js', import.meta.url);
+const DEFAULT_TIMEOUT = 1000;
+const DEFAULT_MEMORY_MB = 32;
+const POOL_SIZE = Number(process.env.SANDBOX_POOL_SIZE) || 4;
+// Extra time before the worker is terminated, for code the vm timeout can not interrupt
+const KILL_GRACE = 500;
+
+function sandboxError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class Sandbox {
+  constructor({ memoryMb = DEFAULT_MEMORY_MB, size = POOL_SIZE } = {}) {
+    this.memoryMb = memoryMb;
+    this.size = size;
+    // { worker, job } per worker; job is null while the worker is idle
+    this.slots = [];
+    this.queue = [];
+    this.nextId = 0;
+  }
+
+  // Runs `source` (a script whose completion value is the result; it reads its
+  // input with JSON.parse(__input)).
+  async run(source, input, options) {
+    const { result } = await this.execute(source, input, options);
+    return result;
+  }
+
+  // Like run(), resolving { result, logs } with the output of `console` in the sandbox.
+  // Errors carry the logs written before the failure as `error.logs`. Aborting `signal`
+  // drops the job from the queue or terminates its worker, rejecting with the reason.
+  execute(source, input, { timeout = DEFAULT_TIMEOUT, signal } = {}) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+
+    return new Promise((resolve, reject) => {
+      const job = { id: ++this.nextId, source, input, timeout, signal, resolve, reject };
+      job.onAbort = () => this.abort(job, signal.reason);
+      signal?.addEventListener('abort', job.onAbort, { once: true });
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const idle = this.slots.find((slot) => !slot.job);
+      if (!idle && this.slots.length >= this.size) return;
+      this.start(idle, this.queue.shift());
+    }
+  }
+
+  start(idle, job) {
+    job.timer = setTimeout(() => {
+      this.kill(
+        job.slot,
+        sandboxError(`Sandbox timed out after ${job.timeout}ms`, 'SANDBOX_TIMEOUT'),
+      );
+    }, job.timeout + KILL_GRACE);
+
+    const { id, source, input, timeout } = job;
+    try {
+      job.slot = idle || this.createSlot();
+      job.slot.job = job;
+      job.slot.worker.postMessage({ id, source, input, timeout });
+    } catch (error) {
+      this.finish(job, () => job.reject(sandboxError(error.message, 'SANDBOX_ERROR')));
+    }
+  }
+
+  finish(job, settle) {
+    clearTimeout(job.timer);
+    job.signal?.removeEventListener('abort', job.onAbort);
+    if (job.slot) job.slot.job = null;
+    settle();
+    this.dispatch();
+  }
+
+  abort(job, reason) {
+    if (job.slot) return this.kill(job.slot, reason);
+
+    this.queue.splice(this.queue.indexOf(job), 1);
+    this.finish(job, () => job.reject(reason));
+  }
+
+  createSlot() {
+    const worker = new Worker(WORKER_URL, {
+      env: {},
+      resourceLimits: { maxOldGenerationSizeMb: this.memoryMb, maxYoungGenerationSizeMb: 8 },
+    });
+    const slot = { worker, job: null };
+
+    worker.on('message', ({ id, result, logs = [], error }) => {
+      const job = slot.job;
+      if (!job || job.id !== id) return;
+
+      this.finish(job, () => {
+        if (!error) return job.resolve({ result, logs });
+        const failure = error.timeout
+          ? sandboxError(`Sandbox timed out after ${job.timeout}ms`, 'SANDBOX_TIMEOUT')
+          : sandboxError(error.message, 'SANDBOX_ERROR');
+        failure.logs = logs;
+        job.reject(failure);
+      });
+    });
+
+    // A killed or crashed worker fails the job it was running
+    worker.on('error', (error) => {
+      this.remove(
+        slot,
+        error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+          ? sandboxError(`Sandbox exceeded its ${this.memoryMb}MB memory limit`, 'SANDBOX_MEMORY')
+          : sandboxError(error.message, 'SANDBOX_ERROR'),
+      );
+    });
+
+    worker.on('exit', () => {
+      this.remove(slot, sandboxError('Sandbox worker exited', 'SANDBOX_ERROR'));
+    });
+
+    // An idle sandbox must not keep the process alive
+    worker.unref();
+    this.slots.push(slot);
+    return slot;
+  }
+
+  // Takes the worker out of the pool and fails its job, once
+  remove(slot, error) {
+    const index = this.slots.indexOf(slot);
+    if (index === -1) return;
+
+    this.slots.splice(index, 1);
+    const job = slot.job;
+    if (job) this.finish(job, () => job.reject(error));
+  }
+
+  kill(slot, error) {
+    this.remove(slot, error);
+    slot.worker.terminate();
+  }
+}
+
+const sandboxes = new Map();
+
+// Shared pool per memory limit
+export function getSandbox(memoryMb = DEFAULT_MEMORY_MB) {
+  if (!sandboxes.has(memoryMb)) sandboxes.set(memoryMb, new Sandbox({ memoryMb }));
+  return sandboxes.get(memoryMb);
+}
+
+export { Sandbox };
@@ -0,0 +1,56 @@
+// Worker side of the sandbox (see sandbox.js). Each job runs in a fresh vm context
+// that holds no host objects: its input arrives as a JSON string and is parsed
+// inside the context, so user code only ever sees sandbox-realm values.
+import { parentPort } from 'worker_threads';
+import vm from 'vm';
+
+const MAX_LOG_ENTRIES = 1000;
+const MAX_LOG_LENGTH = 10000;
+
+// Defines a `console` inside the context that records its output; returns the record
+const CONSOLE_SOURCE = `(() => {
+  const logs = [];
+  const format = (value) => {
+    if (typeof value === 'string') return value;
+    try {
+      return JSON.stringify(value) ?? String(value);
+    } catch {
+      return String(value);
+    }
+  };
+  const write = (level) => (...args) => {
+    if (logs.length >= ${MAX_LOG_ENTRIES}) return;
+    logs.push({ level, message: args.map(format).join(' ').slice(0, ${MAX_LOG_LENGTH}) });
+  };
+  globalThis.console = {
+    log: write('info'),
+    info: write('info'),
+    debug: write('debug'),
+    warn: write('warn'),
+    error: write('error'),
+  };
+  return logs;
+})()`;
+
+parentPort.on('message', async ({ id, source, input, timeout }) => {
+  let logs = [];
+  try {
+    const context = vm.createContext(Object.create(null), {
+      codeGeneration: { strings: false, wasm: false },
+    });
+    context.__input = JSON.stringify(input ?? null);
+    logs = vm.runInContext(CONSOLE_SOURCE, context);
+
+    const result = await vm.runInContext(source, context, { timeout });
+    parentPort.postMessage({ id, result, logs });
+  } catch (error) {
+    parentPort.postMessage({
+      id,
+      logs,
+      error: {
+        message: String(error?.message ?? error),
+        timeout: error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT',
+      },
+    });
+  }
+});
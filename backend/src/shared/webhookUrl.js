@@ -0,0 +1,17 @@
+// Public URLs of the webhook endpoints. WEBHOOK_URL sets the base URL when the backend
+// is reached through a proxy or another host name.
+
+export function getWebhookBaseUrl() {
+  const base = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 3003}`;
+  return base.replace(/\/+$/, '');
+}
+
+// Resume URL of an execution waiting in a Wait node
+export function getResumeUrl(executionId) {
+  return `${getWebhookBaseUrl()}/webhook-waiting/${executionId}`;
+}
+
+// URL of a WebhookTrigger path; test URLs serve the webhooks armed from the editor
+export function getWebhookUrl(path, test = false) {
+  return `${getWebhookBaseUrl()}/${test ? 'webhook-test' : 'webhook'}/${path}`;
+}
@@ -0,0 +1,145 @@
+// Workflow activation: the webhook, schedule and polling triggers of active workflows,
+// reactivation, rollback of a failed activation and activation on boot
+import './setup.js';
+import assert from 'assert';
+import http from 'http';
+import { once } from 'events';
+import activeWorkflowManager from '../src/app/ActiveWorkflowManager.js';
+import pollingService from '../src/app/PollingService.js';
+import scheduleService from '../src/app/ScheduleService.js';
+import workflowOrchestrator from '../src/app/WorkflowOrchestrator.js';
+import workflowRepository from '../src/infra/WorkflowRepository.js';
+import { buildWorkflow, callWebhook, registerTestNodes } from './helpers.js';
+
+describe('Workflow activation', () => {
+  let server;
+  let url;
+
+  // A webhook on `path`, an hourly schedule and a poller of the local endpoint
+  const triggerWorkflow = (id, path = id, extraNodes = []) =>
+    buildWorkflow(id, [
+      { id: 'hook', type: 'WebhookTrigger', data: { path } },
+      { id: 'schedule', type: 'ScheduleTrigger', data: { mode: 'interval', interval: 1 } },
+      { id: 'poll', type: 'PollingTrigger', data: { url, pollInterval: 1, pollUnit: 'hours' } },
+      ...extraNodes,
+    ]);
+
+  // Which triggers of the workflow are registered with their services
+  const registered = (id) => ({
+    active: activeWorkflowManager.isActive(id),
+    schedule: scheduleService.schedules.has(`${id}:schedule`),
+    poll: pollingService.pollers.has(`${id}:poll`),
+  });
+
+  before(async () => {
+    registerTestNodes();
+    server = http.createServer((req, res) => res.end('[]'));
+    server.listen(0);
+    await once(server, 'listening');
+    url = `http://127.0.0.1:${server.address().port}/items`;
+  });
+  after(() => server.close());
+  afterEach(async () => {
+    for (const workflowId of activeWorkflowManager.getActiveWorkflowIds()) {
+      await workflowOrchestrator.deactivateWorkflow(workflowId);
+    }
+  });
+
+  it('should register the triggers of an active workflow and remove them on deactivation', async () => {
+    await workflowOrchestrator.saveWorkflow({ ...triggerWorkflow('test-active'), active: true });
+
+    assert.deepStrictEqual(registered('test-active'), { active: true, schedule: true, poll: true });
+    assert.deepStrictEqual(activeWorkflowManager.getActiveWorkflowIds(), ['test-active']);
+    assert.strictEqual((await callWebhook('POST', 'test-active')).status, 200);
+
+    assert.ok(await workflowOrchestrator.deactivateWorkflow('test-active'));
+    assert.deepStrictEqual(registered('test-active'), {
+      active: false,
+      schedule: false,
+      poll: false,
+    });
+    assert.strictEqual((await callWebhook('POST', 'test-active')).status, 404);
+    assert.strictEqual((await workflowRepository.findById('test-active')).active, false);
+  });
+
+  it('should replace the active version when a workflow is activated again', async () => {
+    await workflowOrchestrator.saveWorkflow({
+      ...triggerWorkflow('test-reactivated', 'test-reactivated/v1'),
+      active: true,
+    });
+    const updated = triggerWorkflow('test-reactivated', 'test-reactivated/v2');
+    await workflowOrchestrator.saveWorkflow({ ...updated, active: true });
+
+    assert.strictEqual((await callWebhook('POST', 'test-reactivated/v1')).status, 404);
+    assert.strictEqual((await callWebhook('POST', 'test-reactivated/v2')).status, 200);
+    const schedule = scheduleService.schedules.get('test-reactivated:schedule');
+    assert.strictEqual(schedule.workflow.nodes[0].data.path, 'test-reactivated/v2');
+    assert.strictEqual(
+      [...scheduleService.schedules.keys()].filter((id) => id.startsWith('test-reactivated'))
+        .length,
+      1,
+    );
+  });
+
+  it('should roll back the started triggers and save the workflow inactive when one fails', async () => {
+    await workflowOrchestrator.saveWorkflow({ ...triggerWorkflow('test-owner'), active: true });
+
+    // Its webhook path is taken by test-owner, after the schedule and poller started
+    const conflicting = buildWorkflow('test-conflict', [
+      { id: 'schedule', type: 'ScheduleTrigger', data: { mode: 'interval', interval: 1 } },
+      { id: 'poll', type: 'PollingTrigger', data: { url, pollInterval: 1, pollUnit: 'hours' } },
+      { id: 'hook', type: 'WebhookTrigger', data: { path: 'test-owner' } },
+    ]);
+    await assert.rejects(
+      workflowOrchestrator.saveWorkflow({ ...conflicting, active: true }),
+      (error) => error.code === 'WEBHOOK_CONFLICT',
+    );
+    assert.deepStrictEqual(registered('test-conflict'), {
+      active: false,
+      schedule: false,
+      poll: false,
+    });
+    assert.strictEqual((await workflowRepository.findById('test-conflict')).active, false);
+
+    // An invalid trigger fails the activation the same way
+    const invalid = triggerWorkflow('test-invalid', 'test-invalid', [
+      { id: 'broken', type: 'ScheduleTrigger', data: { cronExpression: '61 * * * *' } },
+    ]);
+    await assert.rejects(
+      workflowOrchestrator.saveWorkflow({ ...invalid, active: true }),
+      (error) => error.code === 'SCHEDULE_INVALID',
+    );
+    assert.deepStrictEqual(registered('test-invalid'), {
+      active: false,
+      schedule: false,
+      poll: false,
+    });
+    assert.strictEqual((await callWebhook('POST', 'test-invalid')).status, 404);
+    assert.strictEqual((await workflowRepository.findById('test-invalid')).active, false);
+
+    // The workflow that owned the path was not touched
+    assert.strictEqual((await callWebhook('POST', 'test-owner')).status, 200);
+  });
+
+  it('should activate the workflows saved as active on boot and skip failing ones', async () => {
+    await workflowRepository.save({ ...triggerWorkflow('test-boot'), active: true });
+    await workflowRepository.save({
+      ...buildWorkflow('test-boot-broken', [
+        { id: 'schedule', type: 'ScheduleTrigger', data: { timezone: 'Mars/Olympus' } },
+      ]),
+      active: true,
+    });
+    await workflowRepository.save(triggerWorkflow('test-boot-inactive', 'test-boot-inactive'));
+
+    assert.strictEqual(await activeWorkflowManager.start(), 1);
+    assert.deepStrictEqual(activeWorkflowManager.getActiveWorkflowIds(), ['test-boot']);
+    assert.deepStrictEqual(registered('test-boot'), { active: true, schedule: true, poll: true });
+    assert.strictEqual((await callWebhook('POST', 'test-boot')).status, 200);
+    assert.strictEqual((await callWebhook('POST', 'test-boot-inactive')).status, 404);
+
+    await workflowRepository.save({
+      ...(await workflowRepository.findById('test-boot-broken')),
+      active: false,
+    });
+  });
+});
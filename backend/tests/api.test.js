@@ -1,8 +1,7 @@
-// Basic API tests for FlowForge backend
+// Basic API tests for FlowForge backend, run against a running server (`npm run test:api`)
 import assert from 'assert';
-import fetch from 'node-fetch';
 
-const BASE_URL = 'http://localhost:3001';
+const BASE_URL = process.env.API_URL || 'http://localhost:3003';
 
 describe('FlowForge API', () => {
   it('should return healthy status', async () => {
@@ -36,4 +35,87 @@ describe('FlowForge API', () => {
     assert.ok(data);
     assert.strictEqual(data.status, 'completed');
   });
+
+  it('should execute a workflow mixing class and plugin nodes', async () => {
+    const workflow = {
+      id: 'test-wf-mixed',
+      nodes: [
+        { id: '1', type: 'ManualTrigger', data: {}, position: { x: 0, y: 0 } },
+        { id: '2', type: 'console.output', data: {}, position: { x: 100, y: 0 } },
+        { id: '3', type: 'IfElse', data: { condition: 'exists' }, position: { x: 200, y: 0 } },
+      ],
+      connections: [
+        { source: '1', target: '2', sourcePort: 'output', targetPort: 'input' },
+        { source: '2', target: '3', sourcePort: 'output', targetPort: 'input' },
+      ],
+    };
+    const res = await fetch(`${BASE_URL}/api/workflows/execute`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ workflow }),
+    });
+    const data = await res.json();
+    assert.strictEqual(data.status, 'completed');
+    assert.ok(data.nodeExecutions.every((n) => n.status === 'completed'));
+  });
+
+  it('should return 404 when stopping an unknown execution', async () => {
+    const res = await fetch(`${BASE_URL}/api/executions/unknown-id/stop`, { method: 'POST' });
+    assert.strictEqual(res.status, 404);
+  });
+
+  it('should return 404 for the debug state of an execution that is not paused', async () => {
+    const res = await fetch(`${BASE_URL}/api/executions/unknown-id/debug`);
+    assert.strictEqual(res.status, 404);
+  });
+
+  it('should return 404 when resuming an execution that is not waiting', async () => {
+    const res = await fetch(`${BASE_URL}/webhook-waiting/unknown-id`, { method: 'POST' });
+    assert.strictEqual(res.status, 404);
+  });
+
+  it('should return 404 when activating an unknown workflow', async () => {
+    const res = await fetch(`${BASE_URL}/api/workflows/unknown-wf/activate`, { method: 'POST' });
+    assert.strictEqual(res.status, 404);
+  });
+
+  it('should list no schedules for a workflow without schedule triggers', async () => {
+    const res = await fetch(`${BASE_URL}/api/workflows/unknown-wf/schedules`);
+    const data = await res.json();
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(data.schedules, []);
+  });
+
+  it('should return 404 for a webhook path no active workflow serves', async () => {
+    const res = await fetch(`${BASE_URL}/webhook/unknown-path`, { method: 'POST' });
+    assert.strictEqual(res.status, 404);
+  });
+
+  it('should return 404 when arming the test webhooks of an unknown workflow', async () => {
+    const res = await fetch(`${BASE_URL}/api/workflows/unknown-wf/webhook-test`, {
+      method: 'POST',
+    });
+    assert.strictEqual(res.status, 404);
+  });
+
+  it('should return 404 for a test webhook that was not armed', async () => {
+    const res = await fetch(`${BASE_URL}/webhook-test/unknown-path`, { method: 'POST' });
+    assert.strictEqual(res.status, 404);
+  });
+
+  it('should save a workflow', async () => {
+    const workflow = {
+      id: 'test-error-wf',
+      nodes: [{ id: '1', type: 'ErrorTrigger', data: {}, position: { x: 0, y: 0 } }],
+      connections: [],
+    };
+    const res = await fetch(`${BASE_URL}/api/workflows`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(workflow),
+    });
+    const data = await res.json();
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(data.workflow.id, 'test-error-wf');
+  });
 });
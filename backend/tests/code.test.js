@@ -0,0 +1,164 @@
+// Code node and its sandbox: modes, console capture, isolation, limits, stopping and the
+// worker pool
+import './setup.js';
+import assert from 'assert';
+import { WorkflowEngine } from '../src/engine/WorkflowEngine.js';
+import { Sandbox } from '../src/shared/sandbox.js';
+import { buildWorkflow, memoryRepository, outputOf, registerTestNodes } from './helpers.js';
+
+const ENDLESS = 'for (;;) {}';
+
+const codeWorkflow = (data, items = [{ n: 1 }, { n: 2 }]) =>
+  buildWorkflow(
+    'test-code',
+    [
+      { id: 'trigger', type: 'ManualTrigger' },
+      { id: 'items', type: 'test.emit', data: { items } },
+      { id: 'code', type: 'Code', data },
+    ],
+    ['trigger->items', 'items->code'],
+  );
+
+describe('Code node', () => {
+  let engine;
+
+  before(registerTestNodes);
+  beforeEach(() => {
+    engine = new WorkflowEngine({ repository: memoryRepository() });
+  });
+
+  it('should run once with all items and output the returned objects', async () => {
+    const result = await engine.executeWorkflow(
+      codeWorkflow({
+        code: 'return $input.all().map((item) => ({ double: item.n * 2, name: $upper("x") }));',
+      }),
+    );
+
+    assert.deepStrictEqual(outputOf(result, 'code'), [
+      { double: 2, name: 'X' },
+      { double: 4, name: 'X' },
+    ]);
+  });
+
+  it('should run once for each item with $json and $itemIndex', async () => {
+    const result = await engine.executeWorkflow(
+      codeWorkflow({
+        mode: 'runOnceForEachItem',
+        code: 'return { n: $json.n, index: $itemIndex, from: $workflow.id };',
+      }),
+    );
+
+    assert.deepStrictEqual(outputOf(result, 'code'), [
+      { n: 1, index: 0, from: 'test-code' },
+      { n: 2, index: 1, from: 'test-code' },
+    ]);
+  });
+
+  it('should write console output to the execution log', async () => {
+    const logged = [];
+    const log = engine.log.bind(engine);
+    engine.log = (executionId, level, message, data) => {
+      if (data?.source === 'console') logged.push([level, message]);
+      return log(executionId, level, message, data);
+    };
+
+    await engine.executeWorkflow(
+      codeWorkflow({ code: 'console.log("items", $input.all().length); console.warn({ a: 1 });' }),
+    );
+
+    assert.deepStrictEqual(logged, [
+      ['info', 'items 2'],
+      ['warn', '{"a":1}'],
+    ]);
+  });
+
+  it('should fail on a return value that is not objects', async () => {
+    await assert.rejects(
+      engine.executeWorkflow(codeWorkflow({ code: 'return [1, 2];' })),
+      (error) => error.code === 'CODE_ERROR' && /must return an object/.test(error.message),
+    );
+  });
+
+  it('should not reach the host process', async () => {
+    const result = await engine.executeWorkflow(
+      codeWorkflow({ code: 'return { process: typeof process, require: typeof require };' }),
+    );
+    assert.deepStrictEqual(outputOf(result, 'code'), [
+      { process: 'undefined', require: 'undefined' },
+    ]);
+
+    await assert.rejects(
+      engine.executeWorkflow(
+        codeWorkflow({ code: "return $input.all.constructor('return process')();" }),
+      ),
+      (error) => error.code === 'CODE_ERROR' && /Code generation/.test(error.message),
+    );
+  });
+
+  it('should reject a timeout over the limit', async () => {
+    await assert.rejects(
+      engine.executeWorkflow(codeWorkflow({ code: 'return [];', timeout: 3600000 })),
+      /Timeout must be between 0 and 60000ms/,
+    );
+  });
+
+  it('should fail a run that takes longer than its timeout', async () => {
+    await assert.rejects(
+      engine.executeWorkflow(codeWorkflow({ code: ENDLESS, timeout: 100 })),
+      (error) => error.code === 'CODE_ERROR' && error.details.reason === 'SANDBOX_TIMEOUT',
+    );
+  });
+
+  it('should terminate the running code when the execution stops', async () => {
+    const run = engine.executeWorkflow(codeWorkflow({ code: ENDLESS, timeout: 60000 }));
+    const [executionId] = engine.activeExecutions.keys();
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    const started = Date.now();
+    engine.stopExecution(executionId);
+    const result = await run;
+
+    assert.strictEqual(result.status, 'stopped');
+    assert.ok(Date.now() - started < 1000);
+
+    // The pool replaced the terminated worker
+    const next = await engine.executeWorkflow(codeWorkflow({ code: 'return [{ ok: true }];' }));
+    assert.deepStrictEqual(outputOf(next, 'code'), [{ ok: true }]);
+  });
+
+  it('should not hold up other Code nodes behind a slow one', async function () {
+    this.timeout(5000);
+    const slow = engine
+      .executeWorkflow(codeWorkflow({ code: ENDLESS, timeout: 2000 }))
+      .catch((error) => error);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const started = Date.now();
+    const result = await engine.executeWorkflow(codeWorkflow({ code: 'return [{ ok: true }];' }));
+    assert.deepStrictEqual(outputOf(result, 'code'), [{ ok: true }]);
+    assert.ok(Date.now() - started < 1000);
+
+    assert.strictEqual((await slow).details.reason, 'SANDBOX_TIMEOUT');
+  });
+
+  describe('Sandbox', () => {
+    it('should queue jobs while every worker is busy and drop aborted ones', async () => {
+      const sandbox = new Sandbox({ size: 1 });
+      const busy = new AbortController();
+      const queued = new AbortController();
+
+      const first = sandbox.run(ENDLESS, null, { timeout: 60000, signal: busy.signal });
+      const second = sandbox.run('1', null, { signal: queued.signal });
+      const third = sandbox.run('"third"', null);
+      assert.strictEqual(sandbox.queue.length, 2);
+
+      queued.abort(new Error('not needed'));
+      await assert.rejects(second, /not needed/);
+      assert.strictEqual(sandbox.queue.length, 1);
+
+      busy.abort(new Error('stopped'));
+      await assert.rejects(first, /stopped/);
+      assert.strictEqual(await third, 'third');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+// Condition rules of the logic nodes: operators per type, groups, and regular expressions
+// that backtrack for too long
+import './setup.js';
+import assert from 'assert';
+import { evaluateGroup, evaluateRule, getFieldValue } from '../src/nodes/logic/conditions.js';
+
+const item = {
+  name: 'Ada Lovelace',
+  age: 36,
+  born: '1815-12-10',
+  active: 'true',
+  tags: ['math', 'Poetry'],
+  address: { city: 'London' },
+  empty: '',
+};
+
+const matches = (rule) => evaluateRule(rule, item);
+
+describe('Condition rules', () => {
+  it('should read dot paths and give undefined for missing ones', () => {
+    assert.strictEqual(getFieldValue(item, 'address.city'), 'London');
+    assert.strictEqual(getFieldValue(item, 'tags.1'), 'Poetry');
+    assert.strictEqual(getFieldValue(item, 'address.street.name'), undefined);
+    assert.strictEqual(getFieldValue(item, ''), item);
+  });
+
+  it('should compare strings, case sensitive by default', () => {
+    const rule = (operator, value, caseSensitive) => ({
+      field: 'name',
+      type: 'string',
+      operator,
+      value,
+      caseSensitive,
+    });
+
+    assert.ok(matches(rule('equals', 'Ada Lovelace')));
+    assert.ok(!matches(rule('equals', 'ada lovelace')));
+    assert.ok(matches(rule('equals', 'ada lovelace', false)));
+    assert.ok(matches(rule('contains', 'Love')));
+    assert.ok(matches(rule('not_contains', 'Byron')));
+    assert.ok(matches(rule('starts_with', 'Ada')));
+    assert.ok(matches(rule('ends_with', 'LACE', false)));
+    assert.ok(matches({ field: 'empty', type: 'string', operator: 'is_empty' }));
+    assert.ok(matches({ field: 'missing', type: 'string', operator: 'is_empty' }));
+  });
+
+  it('should compare numbers, dates, booleans and arrays', () => {
+    assert.ok(
+      matches({ field: 'age', type: 'number', operator: 'between', value: 30, value2: 40 }),
+    );
+    assert.ok(matches({ field: 'age', type: 'number', operator: 'gte', value: '36' }));
+    assert.ok(!matches({ field: 'name', type: 'number', operator: 'lt', value: 100 }));
+    assert.ok(matches({ field: 'born', type: 'date', operator: 'before', value: '1900-01-01' }));
+    assert.ok(
+      !matches({ field: 'born', type: 'date', operator: 'within', value: 1, unit: 'weeks' }),
+    );
+    assert.ok(matches({ field: 'active', type: 'boolean', operator: 'is_true' }));
+    assert.ok(matches({ field: 'tags', type: 'array', operator: 'contains', value: 'math' }));
+    assert.ok(
+      matches({
+        field: 'tags',
+        type: 'array',
+        operator: 'contains_all',
+        value: 'math, poetry',
+        caseSensitive: false,
+      }),
+    );
+    assert.ok(matches({ field: 'tags', type: 'array', operator: 'length_equals', value: 2 }));
+  });
+
+  it('should combine nested groups, an empty group being true', () => {
+    const group = {
+      combinator: 'or',
+      rules: [
+        { field: 'age', type: 'number', operator: 'lt', value: 18 },
+        {
+          combinator: 'and',
+          rules: [
+            { field: 'address.city', type: 'string', operator: 'equals', value: 'London' },
+            { field: 'tags', type: 'array', operator: 'is_not_empty' },
+          ],
+        },
+      ],
+    };
+
+    assert.ok(evaluateGroup(group, item));
+    assert.ok(evaluateGroup({ rules: [] }, item));
+    assert.ok(!evaluateGroup({ combinator: 'or', rules: [] }, item));
+  });
+
+  it('should reject unknown types, operators and combinators', () => {
+    assert.throws(
+      () => matches({ field: 'age', type: 'money', operator: 'equals' }),
+      /type "money"/,
+    );
+    assert.throws(() => matches({ field: 'age', type: 'number', operator: 'near' }), /"near"/);
+    assert.throws(() => evaluateGroup({ combinator: 'xor', rules: [] }, item), /"xor"/);
+  });
+
+  describe('Regular expressions', () => {
+    const regex = (value, operator = 'regex', field = 'name') => ({
+      field,
+      type: 'string',
+      operator,
+      value,
+    });
+
+    it('should test the field against the pattern', () => {
+      assert.ok(matches(regex('^Ada\\s+L')));
+      assert.ok(!matches(regex('^ada')));
+      assert.ok(matches({ ...regex('^ada'), caseSensitive: false }));
+      assert.ok(matches(regex('\\d', 'not_regex')));
+    });
+
+    it('should reject an invalid pattern', () => {
+      assert.throws(() => matches(regex('(unclosed')), /Invalid regular expression "\(unclosed"/);
+    });
+
+    it('should stop a pattern that backtracks for too long', () => {
+      const started = Date.now();
+      assert.throws(
+        () => evaluateRule(regex('^(a+)+$', 'regex', 'text'), { text: `${'a'.repeat(40)}!` }),
+        (error) => error.code === 'REGEX_TIMEOUT' && /timed out after 250ms/.test(error.message),
+      );
+      assert.ok(Date.now() - started < 1000);
+
+      // The context is still usable afterwards
+      assert.ok(matches(regex('Lovelace$')));
+    });
+  });
+});
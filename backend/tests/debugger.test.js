@@ -0,0 +1,133 @@
+// Step debugger: pausing before breakpoints, the step, continue and abort commands, and the
+// paused state
+import './setup.js';
+import assert from 'assert';
+import { WorkflowEngine } from '../src/engine/WorkflowEngine.js';
+import {
+  buildWorkflow,
+  memoryRepository,
+  nodeStatus,
+  outputOf,
+  registerTestNodes,
+  waitFor,
+} from './helpers.js';
+
+const ITEMS = [{ n: 1 }, { n: 2 }];
+
+const chain = buildWorkflow(
+  'test-debugger',
+  [
+    { id: 'trigger', type: 'ManualTrigger' },
+    { id: 'a', type: 'test.emit', data: { items: ITEMS } },
+    { id: 'b', type: 'test.sleep' },
+    { id: 'c', type: 'test.sleep' },
+    { id: 'd', type: 'test.sleep' },
+  ],
+  ['trigger->a', 'a->b', 'b->c', 'c->d'],
+);
+
+describe('Step debugger', () => {
+  let engine;
+  let run;
+  let executionId;
+
+  // Starts the chain under the debugger and resolves with the state of its first pause
+  async function debug(options = {}) {
+    run = engine.executeWorkflow(chain, {}, { debug: true, breakpoints: ['b', 'd'], ...options });
+    [executionId] = engine.activeExecutions.keys();
+    return waitFor(() => engine.getDebugState(executionId));
+  }
+
+  // Applies a command and resolves with the state of the next pause, before another node
+  async function command(name) {
+    const { nodeId } = engine.getDebugState(executionId);
+    assert.strictEqual(engine.debugExecution(executionId, name), true);
+    return waitFor(() => {
+      const state = engine.getDebugState(executionId);
+      return state?.nodeId !== nodeId && state;
+    });
+  }
+
+  before(registerTestNodes);
+  beforeEach(() => {
+    engine = new WorkflowEngine({ repository: memoryRepository() });
+  });
+
+  it('should pause before a breakpoint with the pending inputs', async () => {
+    const state = await debug();
+
+    assert.strictEqual(state.executionId, executionId);
+    assert.strictEqual(state.status, 'paused');
+    assert.strictEqual(state.nodeId, 'b');
+    assert.strictEqual(state.reason, 'breakpoint');
+    assert.deepStrictEqual(state.inputs, { input: ITEMS });
+    assert.deepStrictEqual(state.breakpoints, ['b', 'd']);
+    const statuses = Object.fromEntries(state.nodes.map((node) => [node.nodeId, node.status]));
+    assert.strictEqual(statuses.a, 'completed');
+    assert.notStrictEqual(statuses.b, 'completed');
+
+    const saved = [...engine.repository.executions.values()][0];
+    assert.strictEqual(saved.status, 'paused');
+  });
+
+  it('should run until the next breakpoint on continue', async () => {
+    await debug();
+    const state = await command('continue');
+    assert.strictEqual(state.nodeId, 'd');
+    assert.strictEqual(state.reason, 'breakpoint');
+
+    assert.strictEqual(engine.debugExecution(executionId, 'continue'), true);
+    const result = await run;
+    assert.strictEqual(result.status, 'completed');
+    assert.deepStrictEqual(outputOf(result, 'd'), ITEMS);
+  });
+
+  it('should run one node and pause again on step', async () => {
+    await debug();
+    const state = await command('step');
+    assert.strictEqual(state.nodeId, 'c');
+    assert.strictEqual(state.reason, 'step');
+    const b = state.nodes.find((node) => node.nodeId === 'b');
+    assert.strictEqual(b.status, 'completed');
+
+    assert.strictEqual((await command('step')).nodeId, 'd');
+    assert.strictEqual(engine.debugExecution(executionId, 'continue'), true);
+    assert.strictEqual((await run).status, 'completed');
+  });
+
+  it('should stop the execution on abort', async () => {
+    await debug();
+    assert.strictEqual(engine.debugExecution(executionId, 'abort'), true);
+
+    const result = await run;
+    assert.strictEqual(result.status, 'stopped');
+    assert.strictEqual(nodeStatus(result, 'a'), 'completed');
+    assert.strictEqual(nodeStatus(result, 'b'), 'cancelled');
+    assert.strictEqual(nodeStatus(result, 'c'), 'cancelled');
+    assert.strictEqual(engine.getDebugState(executionId), null);
+  });
+
+  it('should not run the workflow timeout while paused', async () => {
+    await debug({ timeout: 100 });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    await command('continue');
+    assert.strictEqual(engine.debugExecution(executionId, 'continue'), true);
+    assert.strictEqual((await run).status, 'completed');
+  });
+
+  it('should reject unknown commands and ignore executions that are not paused', async () => {
+    assert.throws(
+      () => engine.debugExecution('unknown-id', 'jump'),
+      /Unknown debug command "jump"/,
+    );
+    assert.strictEqual(engine.debugExecution('unknown-id', 'step'), false);
+    assert.strictEqual(engine.getDebugState('unknown-id'), null);
+
+    // Running, not paused
+    const result = engine.executeWorkflow(chain);
+    const [running] = engine.activeExecutions.keys();
+    assert.strictEqual(engine.debugExecution(running, 'continue'), false);
+    assert.strictEqual((await result).status, 'completed');
+  });
+});
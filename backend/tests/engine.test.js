@@ -0,0 +1,465 @@
+// Workflow engine: scheduling, join modes, items and lineage, timeouts, error policies and loops
+import './setup.js';
+import assert from 'assert';
+import http from 'http';
+import { once } from 'events';
+import { WorkflowEngine } from '../src/engine/WorkflowEngine.js';
+import {
+  buildWorkflow,
+  memoryRepository,
+  nodeStatus,
+  outputOf,
+  registerTestNodes,
+} from './helpers.js';
+
+const trigger = { id: 'trigger', type: 'ManualTrigger' };
+
+describe('Workflow engine', () => {
+  let engine;
+  let repository;
+
+  before(registerTestNodes);
+  beforeEach(() => {
+    repository = memoryRepository();
+    engine = new WorkflowEngine({ repository });
+  });
+
+  describe('Parallel scheduling', () => {
+    const branches = (ms) =>
+      buildWorkflow(
+        'test-parallel',
+        [
+          trigger,
+          { id: 'a', type: 'test.sleep', data: { ms } },
+          { id: 'b', type: 'test.sleep', data: { ms } },
+          { id: 'join', type: 'test.sleep' },
+        ],
+        ['trigger->a', 'trigger->b', 'a->join', 'b->join'],
+      );
+
+    it('should run independent branches at the same time', async () => {
+      const result = await engine.executeWorkflow(branches(150));
+      const timeline = Object.fromEntries(result.timeline.map((entry) => [entry.nodeId, entry]));
+
+      assert.strictEqual(result.status, 'completed');
+      assert.ok(timeline.a.startTime < timeline.b.endTime);
+      assert.ok(timeline.b.startTime < timeline.a.endTime);
+      assert.ok(timeline.join.startTime >= timeline.a.endTime);
+      assert.ok(timeline.join.startTime >= timeline.b.endTime);
+    });
+
+    it('should run one node at a time with concurrency 1', async () => {
+      const result = await engine.executeWorkflow(branches(50), {}, { concurrency: 1 });
+      const timeline = Object.fromEntries(result.timeline.map((entry) => [entry.nodeId, entry]));
+
+      assert.strictEqual(result.status, 'completed');
+      const [first, second] = [timeline.a, timeline.b].sort((x, y) => x.startTime - y.startTime);
+      assert.ok(second.startTime >= first.endTime);
+    });
+
+    it('should fail a node over its execution limit and cancel the other branches', async () => {
+      const workflow = buildWorkflow(
+        'test-execution-limit',
+        [
+          trigger,
+          { id: 'x', type: 'test.emit', data: { items: [{ from: 'x' }] } },
+          { id: 'y', type: 'test.emit', data: { items: [{ from: 'y' }] } },
+          { id: 'z', type: 'test.sleep', settings: { join: { input: 'pass-through' } } },
+          { id: 'slow', type: 'test.sleep', data: { ms: 5000 } },
+        ],
+        ['trigger->x', 'trigger->y', 'x->z', 'y->z', 'trigger->slow'],
+      );
+
+      const started = Date.now();
+      await assert.rejects(
+        engine.executeWorkflow(workflow, {}, { maxNodeExecutions: 1 }),
+        /Node z exceeded maximum executions \(1\)/,
+      );
+      assert.ok(Date.now() - started < 2000);
+
+      const [saved] = repository.executions.values();
+      assert.strictEqual(saved.status, 'failed');
+      assert.strictEqual(saved.nodes.z.status, 'failed');
+      assert.strictEqual(saved.nodes.slow.status, 'cancelled');
+      assert.strictEqual(engine.activeExecutions.size, 0);
+    });
+  });
+
+  describe('Join modes', () => {
+    const join = (settings) =>
+      buildWorkflow(
+        'test-join',
+        [
+          trigger,
+          { id: 'fast', type: 'test.sleep', data: { ms: 10, items: [{ from: 'fast' }] } },
+          { id: 'slow', type: 'test.sleep', data: { ms: 120, items: [{ from: 'slow' }] } },
+          { id: 'join', type: 'test.sleep', settings },
+        ],
+        ['trigger->fast', 'trigger->slow', 'fast->join', 'slow->join'],
+      );
+
+    it('should wait for every branch by default and join their items', async () => {
+      const result = await engine.executeWorkflow(join());
+      assert.deepStrictEqual(outputOf(result, 'join'), [{ from: 'fast' }, { from: 'slow' }]);
+    });
+
+    it('should run once with the first branch to arrive in first-wins mode', async () => {
+      const result = await engine.executeWorkflow(join({ join: { input: 'first-wins' } }));
+      assert.deepStrictEqual(outputOf(result, 'join'), [{ from: 'fast' }]);
+      assert.strictEqual(result.nodeExecutions.find((n) => n.nodeId === 'join').executions, 1);
+    });
+
+    it('should run once per arriving batch in pass-through mode', async () => {
+      const result = await engine.executeWorkflow(join({ join: { input: 'pass-through' } }));
+      assert.deepStrictEqual(outputOf(result, 'join'), [{ from: 'fast' }, { from: 'slow' }]);
+      assert.strictEqual(result.nodeExecutions.find((n) => n.nodeId === 'join').executions, 2);
+    });
+
+    it('should skip a node none of whose branches delivered items', async () => {
+      const workflow = buildWorkflow(
+        'test-join-skip',
+        [trigger, { id: 'empty', type: 'test.emit' }, { id: 'next', type: 'test.sleep' }],
+        ['trigger->empty', 'empty->next'],
+      );
+      const result = await engine.executeWorkflow(workflow);
+      assert.strictEqual(nodeStatus(result, 'next'), 'skipped');
+    });
+
+    it('should reject an unknown join mode', async () => {
+      await assert.rejects(
+        engine.executeWorkflow(join({ join: { input: 'whenever' } })),
+        /unknown join mode "whenever"/,
+      );
+    });
+  });
+
+  describe('Items and lineage', () => {
+    const items = [{ n: 1 }, { n: 2 }, { n: 3 }];
+    const pairedItems = (result, nodeId) =>
+      result.results
+        .find((entry) => entry.nodeId === nodeId)
+        .outputs.output.map((i) => i.pairedItem);
+
+    it('should run a perItem node once per item and pair every output with its input', async () => {
+      const workflow = buildWorkflow(
+        'test-lineage-per-item',
+        [
+          trigger,
+          { id: 'emit', type: 'test.emit', data: { items } },
+          { id: 'tag', type: 'test.tag' },
+        ],
+        ['trigger->emit', 'emit->tag'],
+      );
+      const result = await engine.executeWorkflow(workflow);
+
+      assert.deepStrictEqual(outputOf(result, 'tag'), [
+        { n: 1, index: 0 },
+        { n: 2, index: 1 },
+        { n: 3, index: 2 },
+      ]);
+      assert.deepStrictEqual(
+        pairedItems(result, 'tag'),
+        [0, 1, 2].map((item) => ({ node: 'emit', run: 0, item })),
+      );
+    });
+
+    it('should pair the outputs of a batch node by position or with a single input', async () => {
+      const workflow = buildWorkflow(
+        'test-lineage-batch',
+        [
+          trigger,
+          { id: 'emit', type: 'test.emit', data: { items } },
+          { id: 'same', type: 'test.sleep' },
+          { id: 'fewer', type: 'test.sleep', data: { items: [{ a: 1 }, { a: 2 }] } },
+          { id: 'one', type: 'test.sleep', data: { items: [{ total: 3 }] } },
+          { id: 'fanOut', type: 'test.sleep', data: { items: [{ b: 1 }, { b: 2 }] } },
+        ],
+        ['trigger->emit', 'emit->same', 'emit->fewer', 'emit->one', 'one->fanOut'],
+      );
+      const result = await engine.executeWorkflow(workflow);
+
+      assert.deepStrictEqual(
+        pairedItems(result, 'same'),
+        [0, 1, 2].map((item) => ({ node: 'emit', run: 0, item })),
+      );
+      assert.deepStrictEqual(pairedItems(result, 'fewer'), [undefined, undefined]);
+      assert.deepStrictEqual(pairedItems(result, 'fanOut'), [
+        { node: 'one', run: 0, item: 0 },
+        { node: 'one', run: 0, item: 0 },
+      ]);
+    });
+
+    it('should expose each input item to expressions of a perItem node', async () => {
+      const workflow = buildWorkflow(
+        'test-items-expressions',
+        [
+          trigger,
+          { id: 'emit', type: 'test.emit', data: { items } },
+          {
+            id: 'set',
+            type: 'SetVariable',
+            data: { variables: [{ name: 'last', value: '{{ $json.n * 10 }}', operation: 'set' }] },
+          },
+        ],
+        ['trigger->emit', 'emit->set'],
+      );
+      const result = await engine.executeWorkflow(workflow);
+
+      assert.deepStrictEqual(outputOf(result, 'set'), [
+        { n: 1, last: 10 },
+        { n: 2, last: 20 },
+        { n: 3, last: 30 },
+      ]);
+    });
+  });
+
+  describe('Timeouts and cancellation', () => {
+    const slow = (settings) =>
+      buildWorkflow(
+        'test-timeout',
+        [trigger, { id: 'slow', type: 'test.sleep', data: { ms: 5000 }, settings }],
+        ['trigger->slow'],
+      );
+
+    it('should fail the execution when the workflow timeout elapses', async () => {
+      const started = Date.now();
+      await assert.rejects(
+        engine.executeWorkflow(slow(), {}, { timeout: 100 }),
+        /Workflow execution timed out after 100ms/,
+      );
+      assert.ok(Date.now() - started < 2000);
+      const [saved] = repository.executions.values();
+      assert.strictEqual(saved.status, 'failed');
+      assert.strictEqual(saved.nodes.slow.status, 'cancelled');
+    });
+
+    it('should use the default timeout for a missing one and reject invalid ones', async () => {
+      const quick = buildWorkflow(
+        'test-timeout-default',
+        [trigger, { id: 'quick', type: 'test.sleep', data: { ms: 10 } }],
+        ['trigger->quick'],
+      );
+      for (const timeout of [undefined, null]) {
+        const result = await engine.executeWorkflow(quick, {}, { timeout });
+        assert.strictEqual(result.status, 'completed');
+      }
+      for (const saved of repository.executions.values()) {
+        assert.strictEqual(saved.options.timeout, 300000);
+      }
+
+      for (const timeout of [0, -1, '100', NaN, 2 ** 31]) {
+        await assert.rejects(
+          engine.executeWorkflow(slow(), {}, { timeout }),
+          (error) =>
+            error.code === 'OPTIONS_INVALID' && /Invalid workflow timeout/.test(error.message),
+        );
+      }
+      assert.strictEqual(repository.executions.size, 2);
+      assert.strictEqual(engine.activeExecutions.size, 0);
+    });
+
+    it('should fail a node that runs longer than its own timeout', async () => {
+      await assert.rejects(
+        engine.executeWorkflow(slow({ timeout: 50 })),
+        /Node slow timed out after 50ms/,
+      );
+      const [saved] = repository.executions.values();
+      assert.strictEqual(saved.nodes.slow.status, 'failed');
+    });
+
+    it('should stop a running execution and cancel its nodes', async () => {
+      const run = engine.executeWorkflow(slow());
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      const [executionId] = engine.activeExecutions.keys();
+      assert.strictEqual(engine.stopExecution(executionId), true);
+
+      const result = await run;
+      assert.strictEqual(result.status, 'stopped');
+      assert.strictEqual(nodeStatus(result, 'slow'), 'cancelled');
+    });
+  });
+
+  describe('Retries and error policies', () => {
+    const flaky = (failures, settings) =>
+      buildWorkflow(
+        'test-retry',
+        [trigger, { id: 'flaky', type: 'test.flaky', data: { failures }, settings }],
+        ['trigger->flaky'],
+      );
+
+    it('should retry a failing node up to its retry count', async () => {
+      const result = await engine.executeWorkflow(flaky(2, { retry: { count: 2, delay: 1 } }));
+      assert.strictEqual(result.status, 'completed');
+      assert.deepStrictEqual(outputOf(result, 'flaky'), [{ attempts: 3 }]);
+    });
+
+    it('should fail once the retries are used up', async () => {
+      await assert.rejects(
+        engine.executeWorkflow(flaky(3, { retry: { count: 2, delay: 1 } })),
+        /attempt 3 failed/,
+      );
+    });
+
+    it('should grow exponential retry delays up to maxDelay', () => {
+      const retry = { delay: 100, backoff: 'exponential', maxDelay: 300 };
+      assert.deepStrictEqual(
+        [1, 2, 3, 4].map((attempt) => engine.getRetryDelay(retry, attempt)),
+        [100, 200, 300, 300],
+      );
+      assert.strictEqual(engine.getRetryDelay({ delay: 100 }, 3), 100);
+    });
+
+    const failing = (onError) =>
+      buildWorkflow(
+        'test-error-policy',
+        [
+          trigger,
+          { id: 'fail', type: 'test.fail', data: { message: 'boom' }, settings: { onError } },
+          { id: 'next', type: 'test.sleep' },
+          { id: 'handler', type: 'test.sleep' },
+        ],
+        ['trigger->fail', 'fail->next', 'fail:error->handler'],
+      );
+
+    it('should fail the workflow with the stop policy', async () => {
+      await assert.rejects(engine.executeWorkflow(failing('stop')), /boom/);
+      const [saved] = repository.executions.values();
+      assert.strictEqual(saved.failedNodeId, 'fail');
+    });
+
+    it('should record the error and go on without output with the continue policy', async () => {
+      const result = await engine.executeWorkflow(failing('continue'));
+      assert.strictEqual(result.status, 'completed');
+      assert.strictEqual(nodeStatus(result, 'next'), 'skipped');
+      assert.strictEqual(nodeStatus(result, 'handler'), 'skipped');
+      assert.deepStrictEqual(
+        result.errors.map(({ nodeId, error }) => ({ nodeId, error })),
+        [{ nodeId: 'fail', error: 'boom' }],
+      );
+    });
+
+    it('should send the error to the error output with the error-output policy', async () => {
+      const result = await engine.executeWorkflow(failing('error-output'));
+      assert.strictEqual(result.status, 'completed');
+      assert.strictEqual(nodeStatus(result, 'next'), 'skipped');
+      const [error] = outputOf(result, 'handler');
+      assert.strictEqual(error.message, 'boom');
+      assert.strictEqual(error.nodeId, 'fail');
+    });
+
+    it('should stop the workflow on a failed HttpRequestPro call unless told otherwise', async () => {
+      // A port nothing listens on
+      const server = http.createServer().listen(0);
+      await once(server, 'listening');
+      const url = `http://127.0.0.1:${server.address().port}/`;
+      server.close();
+
+      const request = (settings) =>
+        buildWorkflow(
+          'test-http-error',
+          [
+            trigger,
+            { id: 'http', type: 'HttpRequestPro', data: { url }, settings },
+            { id: 'handler', type: 'test.sleep' },
+          ],
+          ['trigger->http', 'http:error->handler'],
+        );
+
+      await assert.rejects(engine.executeWorkflow(request()), /fetch failed/);
+
+      const result = await engine.executeWorkflow(request({ onError: 'error-output' }));
+      assert.strictEqual(result.status, 'completed');
+      assert.strictEqual(outputOf(result, 'handler')[0].nodeId, 'http');
+    });
+
+    it('should reject an unknown error policy', async () => {
+      await assert.rejects(engine.executeWorkflow(failing('ignore')), /unknown error policy/);
+    });
+  });
+
+  describe('Loops', () => {
+    const numbers = (count) => Array.from({ length: count }, (_, index) => ({ n: index + 1 }));
+    // items -> loop (SplitInBatches) -> body -> back into loop; loop:done -> after
+    const loop = (id, body, { count = 7, batchSize = 3, maxIterations, port = 'output' } = {}) =>
+      buildWorkflow(
+        id,
+        [
+          trigger,
+          { id: 'items', type: 'test.emit', data: { items: numbers(count) } },
+          { id: 'loop', type: 'SplitInBatches', data: { batchSize, maxIterations } },
+          { id: 'body', ...body },
+          { id: 'after', type: 'test.sleep' },
+        ],
+        [
+          'trigger->items',
+          'items->loop',
+          'loop:loop->body',
+          `body:${port}->loop`,
+          'loop:done->after',
+        ],
+      );
+    const greaterThan = (value) => ({
+      type: 'IfElse',
+      data: {
+        condition: 'rules',
+        rules: {
+          combinator: 'and',
+          rules: [{ field: 'n', type: 'number', operator: 'gt', value }],
+        },
+      },
+    });
+
+    it('should run the body once per batch and output every returned item when done', async () => {
+      const result = await engine.executeWorkflow(loop('test-loop', { type: 'test.tag' }));
+
+      assert.strictEqual(result.status, 'completed');
+      assert.deepStrictEqual(
+        outputOf(result, 'body').map(({ n, index }) => [n, index]),
+        [
+          [1, 0],
+          [2, 1],
+          [3, 2],
+          [4, 0],
+          [5, 1],
+          [6, 2],
+          [7, 0],
+        ],
+      );
+      assert.deepStrictEqual(
+        outputOf(result, 'after').map(({ n }) => n),
+        [1, 2, 3, 4, 5, 6, 7],
+      );
+      assert.strictEqual(nodeStatus(result, 'after'), 'completed');
+    });
+
+    it('should go on with the next batch when the body returns no items', async () => {
+      const result = await engine.executeWorkflow(
+        loop('test-loop-filter', greaterThan(5), { port: 'true' }),
+      );
+
+      assert.strictEqual(result.status, 'completed');
+      assert.deepStrictEqual(outputOf(result, 'loop', 'done'), [{ n: 6 }, { n: 7 }]);
+      assert.deepStrictEqual(outputOf(result, 'after'), [{ n: 6 }, { n: 7 }]);
+    });
+
+    it('should output no items when the body returns none for any batch', async () => {
+      const result = await engine.executeWorkflow(
+        loop('test-loop-empty', greaterThan(10), { port: 'true' }),
+      );
+
+      assert.strictEqual(result.status, 'completed');
+      const loopNode = result.nodeExecutions.find((node) => node.nodeId === 'loop');
+      assert.strictEqual(loopNode.executions, 4);
+      assert.strictEqual(nodeStatus(result, 'after'), 'skipped');
+    });
+
+    it('should fail a loop over its maximum iterations', async () => {
+      await assert.rejects(
+        engine.executeWorkflow(
+          loop('test-loop-limit', { type: 'test.tag' }, { batchSize: 1, maxIterations: 3 }),
+        ),
+        /Loop exceeded 3 iterations/,
+      );
+    });
+  });
+});
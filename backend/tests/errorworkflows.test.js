@@ -0,0 +1,122 @@
+// Error workflows: a failed execution runs the error workflow it names from its ErrorTrigger,
+// wired to workflow.failed as on boot
+import './setup.js';
+import assert from 'assert';
+import workflowOrchestrator from '../src/app/WorkflowOrchestrator.js';
+import workflowEngine from '../src/engine/WorkflowEngine.js';
+import workflowRepository from '../src/infra/WorkflowRepository.js';
+import logger from '../src/observability/logger.js';
+import eventBus from '../src/shared/EventBus.js';
+import { buildWorkflow, outputOf, registerTestNodes } from './helpers.js';
+
+// Manual trigger -> items -> fail, naming errorWorkflowId
+const failingWorkflow = (id, errorWorkflowId, type = 'ManualTrigger') =>
+  buildWorkflow(
+    id,
+    [
+      { id: 'trigger', type },
+      { id: 'items', type: 'test.emit', data: { items: [{ n: 1 }] } },
+      { id: 'fail', type: 'test.fail', data: { message: `${id} failed` } },
+    ],
+    ['trigger->items', 'items->fail'],
+    { errorWorkflowId },
+  );
+
+describe('Error workflows', () => {
+  // Error workflow runs started by workflow.failed, while this suite runs
+  let runs;
+  let listening = false;
+
+  before(async () => {
+    registerTestNodes();
+    eventBus.subscribe('workflow.failed', (event) => {
+      if (listening) runs.push(workflowOrchestrator.runErrorWorkflow(event));
+    });
+
+    await workflowRepository.save(
+      buildWorkflow(
+        'test-error-handler',
+        [
+          { id: 'error', type: 'ErrorTrigger' },
+          { id: 'handle', type: 'test.sleep' },
+        ],
+        ['error->handle'],
+      ),
+    );
+    // An error workflow that fails itself and names another error workflow
+    await workflowRepository.save(
+      failingWorkflow('test-error-failing', 'test-error-handler', 'ErrorTrigger'),
+    );
+    await workflowRepository.save(
+      buildWorkflow('test-error-no-trigger', [{ id: 'trigger', type: 'ManualTrigger' }]),
+    );
+  });
+  beforeEach(() => {
+    runs = [];
+    listening = true;
+  });
+  afterEach(() => {
+    listening = false;
+  });
+
+  it('should run the error workflow with the failure on its ErrorTrigger output', async () => {
+    await assert.rejects(
+      workflowEngine.executeWorkflow(failingWorkflow('test-error-source', 'test-error-handler')),
+      /test-error-source failed/,
+    );
+    assert.strictEqual(runs.length, 1);
+
+    const result = await runs[0];
+    assert.strictEqual(result.status, 'completed');
+    const [failure] = outputOf(result, 'handle');
+    assert.strictEqual(failure.trigger, 'error');
+    assert.strictEqual(failure.workflowId, 'test-error-source');
+    assert.strictEqual(failure.mode, 'manual');
+    assert.deepStrictEqual(failure.failedNode, { id: 'fail', type: 'test.fail' });
+    assert.strictEqual(failure.error.message, 'test-error-source failed');
+    assert.deepStrictEqual(failure.lastInput, { input: { n: 1 } });
+
+    const execution = workflowEngine.executionHistory.find(
+      (entry) => entry.id === result.executionId,
+    );
+    assert.strictEqual(execution.mode, 'error');
+  });
+
+  it('should not let a failed error workflow start another one', async () => {
+    const handled = () =>
+      workflowEngine.executionHistory.filter((entry) => entry.workflowId === 'test-error-handler')
+        .length;
+    const before = handled();
+
+    await assert.rejects(
+      workflowEngine.executeWorkflow(failingWorkflow('test-error-source', 'test-error-failing')),
+      /test-error-source failed/,
+    );
+    // The error workflow failed: its run resolves null and its own failure starts nothing
+    assert.strictEqual(await runs[0], null);
+    assert.strictEqual(runs.length, 2);
+    assert.strictEqual(await runs[1], null);
+    assert.strictEqual(handled(), before);
+  });
+
+  it('should log, not throw, when the error workflow is missing or has no ErrorTrigger', async () => {
+    const warnings = [];
+    const { warn } = logger;
+    logger.warn = (message, meta) => warnings.push([message, meta.errorWorkflowId]);
+    try {
+      for (const errorWorkflowId of ['test-error-missing', 'test-error-no-trigger']) {
+        await assert.rejects(
+          workflowEngine.executeWorkflow(failingWorkflow('test-error-source', errorWorkflowId)),
+        );
+      }
+      assert.deepStrictEqual(await Promise.all(runs), [null, null]);
+    } finally {
+      logger.warn = warn;
+    }
+
+    assert.deepStrictEqual(warnings, [
+      ['Error workflow not found or has no ErrorTrigger node', 'test-error-missing'],
+      ['Error workflow not found or has no ErrorTrigger node', 'test-error-no-trigger'],
+    ]);
+  });
+});
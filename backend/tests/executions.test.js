@@ -0,0 +1,200 @@
+// Durable executions: checkpoints, resume after a restart, the status index, retention and
+// redaction of the execution repository
+import { dataDir } from './setup.js';
+import assert from 'assert';
+import { readdir, readFile, unlink } from 'fs/promises';
+import path from 'path';
+import { WorkflowEngine } from '../src/engine/WorkflowEngine.js';
+import workflowEngine from '../src/engine/WorkflowEngine.js';
+import executionRepository, { ExecutionRepository } from '../src/infra/ExecutionRepository.js';
+import workflowOrchestrator from '../src/app/WorkflowOrchestrator.js';
+import { buildWorkflow, outputOf, registerTestNodes, waitFor } from './helpers.js';
+
+const trigger = { id: 'trigger', type: 'ManualTrigger' };
+const DAY = 24 * 60 * 60 * 1000;
+
+let directories = 0;
+const createRepository = (options) =>
+  new ExecutionRepository(path.join(dataDir, `storage-${++directories}`), options);
+
+const chain = (id, ms) =>
+  buildWorkflow(
+    id,
+    [
+      trigger,
+      { id: 'a', type: 'test.emit', data: { items: [{ n: 1 }, { n: 2 }] } },
+      { id: 'b', type: 'test.sleep', data: { ms } },
+      { id: 'c', type: 'test.sleep' },
+    ],
+    ['trigger->a', 'a->b', 'b->c'],
+  );
+
+describe('Execution storage', () => {
+  before(registerTestNodes);
+
+  describe('Checkpoints', () => {
+    it('should append node runs once and reassemble them', async () => {
+      const repository = createRepository();
+      const engine = new WorkflowEngine({ repository });
+      const result = await engine.executeWorkflow(chain('test-runs', 0));
+
+      const checkpoint = JSON.parse(
+        await readFile(repository.filePath(result.executionId), 'utf8'),
+      );
+      assert.strictEqual(checkpoint.nodes.a.runCount, 1);
+      assert.strictEqual(checkpoint.nodes.a.runs, undefined);
+      assert.ok(checkpoint.results.every((entry) => entry.outputs === undefined));
+
+      const lines = (await readFile(repository.runsPath(result.executionId), 'utf8'))
+        .split('\n')
+        .filter(Boolean);
+      assert.strictEqual(lines.length, 4);
+
+      const saved = await repository.findById(result.executionId);
+      assert.deepStrictEqual(
+        saved.nodes.c.runs[0].outputs.output.map((item) => item.json),
+        [{ n: 1 }, { n: 2 }],
+      );
+      assert.deepStrictEqual(saved.results, JSON.parse(JSON.stringify(result.results)));
+    });
+
+    it('should resume from the last checkpoint without running completed nodes again', async () => {
+      const repository = createRepository();
+      const engine = new WorkflowEngine({ repository });
+      const run = engine.executeWorkflow(chain('test-resume', 5000));
+      const [executionId] = engine.activeExecutions.keys();
+      const checkpoint = await waitFor(async () => {
+        const saved = await repository.findById(executionId);
+        return saved?.nodes.a.status === 'completed' && saved;
+      });
+      // The process "stops" while b runs
+      engine.stopExecution(executionId);
+      await run;
+
+      checkpoint.workflow.nodes.find((node) => node.id === 'b').data.ms = 0;
+      const result = await new WorkflowEngine({ repository }).resumeExecution(checkpoint);
+
+      assert.strictEqual(result.status, 'completed');
+      const a = result.nodeExecutions.find((node) => node.nodeId === 'a');
+      assert.strictEqual(a.executions, 1);
+      assert.deepStrictEqual(outputOf(result, 'c'), [{ n: 1 }, { n: 2 }]);
+      assert.strictEqual((await repository.findById(executionId)).status, 'completed');
+    });
+
+    it('should resume an execution paused in the debugger with the debugger off', async () => {
+      const workflow = chain('test-paused-recovery', 0);
+      const run = workflowEngine.executeWorkflow(workflow, {}, { debug: true, breakpoints: ['b'] });
+      const [executionId] = workflowEngine.activeExecutions.keys();
+      const checkpoint = await waitFor(async () => {
+        const saved = await executionRepository.findById(executionId);
+        return saved?.status === 'paused' && saved;
+      });
+      // The previous process stopped while paused
+      workflowEngine.stopExecution(executionId);
+      await run;
+      await executionRepository.save(checkpoint);
+
+      await workflowOrchestrator.recoverExecutions();
+      const saved = await waitFor(async () => {
+        const execution = await executionRepository.findById(executionId);
+        return execution?.status === 'completed' && execution;
+      });
+      assert.strictEqual(saved.nodes.c.status, 'completed');
+    });
+  });
+
+  describe('Repository', () => {
+    const execution = (id, status, startTime = new Date(), extra = {}) => ({
+      id,
+      workflowId: 'test-repository',
+      status,
+      startTime,
+      endTime: status === 'running' ? undefined : startTime,
+      nodes: {},
+      errors: [],
+      ...extra,
+    });
+
+    it('should find executions by status through the index', async () => {
+      const repository = createRepository();
+      await repository.save(execution('one', 'running'));
+      await repository.save(execution('two', 'waiting'));
+      await repository.save(execution('three', 'waiting'));
+      await repository.save(execution('two', 'completed'));
+
+      const waiting = await repository.findByStatus('waiting');
+      assert.deepStrictEqual(
+        waiting.map(({ id }) => id),
+        ['three'],
+      );
+      assert.strictEqual((await repository.findSummaries('completed'))[0].id, 'two');
+    });
+
+    it('should rebuild a missing index from the checkpoints', async () => {
+      const repository = createRepository();
+      await repository.save(execution('one', 'running'));
+      await repository.save(execution('two', 'waiting'));
+      await unlink(path.join(repository.directory, '.index'));
+
+      const reopened = new ExecutionRepository(repository.directory);
+      assert.deepStrictEqual((await reopened.findSummaries()).map(({ id }) => id).sort(), [
+        'one',
+        'two',
+      ]);
+      assert.strictEqual((await reopened.findByStatus('waiting'))[0].id, 'two');
+    });
+
+    it('should prune finished executions beyond the retention limits', async () => {
+      const repository = createRepository({ maxCount: 2, maxAgeDays: 7 });
+      const now = Date.now();
+      await repository.appendRuns('expired', [{ nodeId: 'a', index: 0, run: { outputs: {} } }]);
+      await repository.save(execution('expired', 'completed', new Date(now - 10 * DAY)));
+      await repository.save(execution('running', 'running', new Date(now - 9 * DAY)));
+      for (let index = 1; index <= 3; index++) {
+        await repository.save(execution(`finished-${index}`, 'failed', new Date(now + index)));
+      }
+
+      assert.deepStrictEqual((await repository.findSummaries()).map(({ id }) => id).sort(), [
+        'finished-2',
+        'finished-3',
+        'running',
+      ]);
+      assert.deepStrictEqual((await readdir(repository.directory)).sort(), [
+        '.index',
+        'finished-2.json',
+        'finished-3.json',
+        'running.json',
+      ]);
+    });
+
+    it('should redact sensitive headers before saving', async () => {
+      const repository = createRepository();
+      const headers = {
+        Authorization: 'Bearer secret-token',
+        cookie: 'session=secret-cookie',
+        'content-type': 'application/json',
+      };
+      await repository.save(
+        execution('webhook', 'completed', new Date(), {
+          triggerData: { headers, body: { ok: true } },
+        }),
+      );
+      await repository.appendRuns('webhook', [
+        { nodeId: 'trigger', index: 0, run: { outputs: { output: [{ json: { headers } }] } } },
+      ]);
+
+      const files = await Promise.all(
+        [repository.filePath('webhook'), repository.runsPath('webhook')].map((file) =>
+          readFile(file, 'utf8'),
+        ),
+      );
+      for (const text of files) {
+        assert.ok(!text.includes('secret'));
+        assert.ok(text.includes('application/json'));
+      }
+      const saved = await repository.findById('webhook');
+      assert.strictEqual(saved.triggerData.headers.Authorization, '[redacted]');
+      assert.deepStrictEqual(saved.triggerData.body, { ok: true });
+    });
+  });
+});
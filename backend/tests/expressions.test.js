@@ -0,0 +1,166 @@
+// Expressions: templates, helpers and the scope, and isolation of the vm context
+import './setup.js';
+import assert from 'assert';
+import {
+  createExpressionContext,
+  evaluateExpression,
+  resolveTemplate,
+  resolveValue,
+} from '../src/engine/expressions.js';
+import { WorkflowEngine } from '../src/engine/WorkflowEngine.js';
+import { buildWorkflow, memoryRepository, outputOf, registerTestNodes } from './helpers.js';
+
+const scope = () => ({
+  $json: { name: 'Ada', tags: ['a', 'b'], nested: { value: 3 } },
+  $input: { item: { json: { name: 'Ada' } }, items: [{ n: 1 }, { n: 2 }, { n: 3 }] },
+  $itemIndex: 1,
+  $node: { Http: { data: { ok: true }, json: { ok: true }, items: [{ ok: true }] } },
+  $vars: { limit: 10 },
+  $execution: { id: 'execution-1', workflowId: 'workflow-1', mode: 'manual' },
+  $workflow: { id: 'workflow-1', name: 'Test' },
+});
+
+describe('Expressions', () => {
+  let context;
+
+  beforeEach(() => {
+    context = createExpressionContext(scope());
+  });
+
+  describe('Evaluation', () => {
+    it('should keep the type of a single expression and interpolate text', () => {
+      assert.strictEqual(resolveTemplate('{{ $json.nested.value * 2 }}', context), 6);
+      assert.deepStrictEqual(resolveTemplate('{{ $json.tags }}', context), ['a', 'b']);
+      assert.strictEqual(
+        resolveTemplate('Hi {{ $json.name }}, tags {{ $json.tags }}', context),
+        'Hi Ada, tags ["a","b"]',
+      );
+      assert.strictEqual(resolveTemplate('{{ $json.missing }} left', context), ' left');
+    });
+
+    it('should expose the input items, nodes, variables and execution', () => {
+      assert.deepStrictEqual(
+        evaluateExpression('$input.all().map((item) => item.n)', context),
+        [1, 2, 3],
+      );
+      assert.strictEqual(evaluateExpression('$input.first().n + $input.last().n', context), 4);
+      assert.strictEqual(evaluateExpression('$input.item.json.name', context), 'Ada');
+      assert.strictEqual(evaluateExpression('$itemIndex', context), 1);
+      assert.strictEqual(evaluateExpression('$node.Http.data.ok', context), true);
+      assert.strictEqual(evaluateExpression('$vars.limit', context), 10);
+      assert.strictEqual(
+        evaluateExpression('$execution.id + "/" + $workflow.name', context),
+        'execution-1/Test',
+      );
+      assert.strictEqual(evaluateExpression('$now instanceof Date', context), true);
+    });
+
+    it('should provide the helpers', () => {
+      assert.strictEqual(evaluateExpression('$if($json.name, "yes", "no")', context), 'yes');
+      assert.strictEqual(evaluateExpression('$ifEmpty($json.missing, "none")', context), 'none');
+      assert.strictEqual(evaluateExpression('$upper($json.name)', context), 'ADA');
+      assert.strictEqual(evaluateExpression('$get($json, "nested.value")', context), 3);
+      assert.strictEqual(evaluateExpression('$string($json.tags)', context), '["a","b"]');
+    });
+
+    it('should return copies of object results', () => {
+      const first = evaluateExpression('$json', context);
+      first.name = 'changed';
+      assert.strictEqual(evaluateExpression('$json.name', context), 'Ada');
+      assert.strictEqual(Object.getPrototypeOf(first), Object.prototype);
+      assert.strictEqual(evaluateExpression('() => 1', context), undefined);
+    });
+
+    it('should report failures with the node and property', () => {
+      assert.throws(
+        () =>
+          resolveValue({ url: '{{ $json.nope.deeper }}' }, context, { nodeId: 'n', property: 'p' }),
+        (error) =>
+          error.code === 'EXPRESSION_ERROR' &&
+          /node "n", property "p.url"/.test(error.message) &&
+          error.details.expression === '{{ $json.nope.deeper }}',
+      );
+    });
+  });
+
+  describe('Isolation', () => {
+    const escapes = [
+      "$lower.constructor('return process')()",
+      "$json.constructor.constructor('return process')()",
+      "$input.all.constructor('return process')()",
+      "this.constructor.constructor('return process')()",
+      "(() => {}).constructor('return globalThis.process')()",
+      "eval('process')",
+    ];
+
+    for (const expression of escapes) {
+      it(`should not reach the host through ${expression}`, () => {
+        assert.throws(() => evaluateExpression(expression, context), /Code generation/);
+      });
+    }
+
+    it('should not see host globals', () => {
+      for (const name of ['process', 'require', 'globalThis.process', 'setTimeout', 'Buffer']) {
+        assert.strictEqual(evaluateExpression(`typeof ${name}`, context), 'undefined');
+      }
+    });
+
+    it('should time out endless loops and promise callbacks', function () {
+      this.timeout(5000);
+      assert.throws(() => evaluateExpression('(() => { for (;;) {} })()', context), /timed out/);
+      assert.throws(
+        () => evaluateExpression('Promise.resolve().then(() => { for (;;) {} })', context),
+        /timed out/,
+      );
+    });
+
+    it('should not read results that are not plain values', () => {
+      assert.throws(
+        // Closes the export call early and ends with a proxy that loops when read
+        () => evaluateExpression('1)), (new Proxy([], { get() { for (;;) {} } }', context),
+        /did not return a value/,
+      );
+    });
+
+    it('should keep the scope of other contexts apart', () => {
+      evaluateExpression('($vars.limit = 99, globalThis.leak = 1)', context);
+      const other = createExpressionContext(scope());
+      assert.strictEqual(evaluateExpression('$vars.limit', other), 10);
+      assert.strictEqual(evaluateExpression('typeof leak', other), 'undefined');
+    });
+  });
+
+  describe('In workflows', () => {
+    before(registerTestNodes);
+
+    it('should resolve expressions of node properties per item', async () => {
+      const engine = new WorkflowEngine({ repository: memoryRepository() });
+      const workflow = buildWorkflow(
+        'test-expressions',
+        [
+          { id: 'trigger', type: 'ManualTrigger' },
+          { id: 'items', type: 'test.emit', data: { items: [{ n: 1 }, { n: 2 }] } },
+          {
+            id: 'tag',
+            type: 'test.tag',
+            data: { label: '{{ $json.n * 10 }}' },
+          },
+          {
+            id: 'last',
+            type: 'test.emit',
+            data: {
+              items:
+                '{{ $node.tag.items.map((item) => ({ total: item.n + $input.all().length })) }}',
+            },
+          },
+        ],
+        ['trigger->items', 'items->tag', 'tag->last'],
+      );
+
+      const result = await engine.executeWorkflow(workflow);
+
+      assert.strictEqual(result.status, 'completed');
+      assert.deepStrictEqual(outputOf(result, 'last'), [{ total: 3 }, { total: 4 }]);
+    });
+  });
+});
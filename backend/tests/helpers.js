@@ -0,0 +1,142 @@
+// Helpers of the engine tests: small plugin nodes and workflow builders
+import nodeRegistry from '../src/engine/registry/NodeRegistry.js';
+import webhookService from '../src/app/WebhookService.js';
+import { sleep } from '../src/shared/abort.js';
+
+// test.sleep waits `ms` (honouring the abort signal) and outputs its `items` property or its
+// input items;
+// test.fail throws `message`; test.emit outputs the `items` property; test.tag runs once per item
+// and adds its index; test.flaky fails its first `failures` attempts
+const TEST_NODES = [
+  {
+    id: 'test.sleep',
+    category: 'action',
+    inputs: [{ name: 'input' }],
+    outputs: [{ name: 'output' }],
+    run: async (ctx) => {
+      await sleep(ctx.properties.ms || 0, ctx.signal);
+      return {
+        output: ctx.properties.items ?? ctx.getInputItems('input').map((item) => item.json),
+      };
+    },
+  },
+  {
+    id: 'test.fail',
+    category: 'action',
+    inputs: [{ name: 'input' }],
+    outputs: [{ name: 'output' }],
+    run: async (ctx) => {
+      throw new Error(ctx.properties.message || 'test failure');
+    },
+  },
+  {
+    id: 'test.emit',
+    category: 'action',
+    inputs: [{ name: 'input' }],
+    outputs: [{ name: 'output' }],
+    run: async (ctx) => ({ output: ctx.properties.items || [] }),
+  },
+  {
+    id: 'test.tag',
+    category: 'action',
+    executionMode: 'perItem',
+    inputs: [{ name: 'input' }],
+    outputs: [{ name: 'output' }],
+    run: async (ctx) => ({ output: { ...ctx.item.json, index: ctx.itemIndex } }),
+  },
+  {
+    id: 'test.flaky',
+    category: 'action',
+    inputs: [{ name: 'input' }],
+    outputs: [{ name: 'output' }],
+    run: async (ctx) => {
+      ctx.node.attempts = (ctx.node.attempts || 0) + 1;
+      if (ctx.node.attempts <= (ctx.properties.failures || 0)) {
+        throw new Error(`attempt ${ctx.node.attempts} failed`);
+      }
+      return { output: { attempts: ctx.node.attempts } };
+    },
+  },
+];
+
+export function registerTestNodes() {
+  nodeRegistry.initialize();
+  for (const node of TEST_NODES) nodeRegistry.registerNode(node.id, node);
+}
+
+// { id, nodes: [{ id, type, data?, settings? }], connections: ['a->b', 'a:true->c:input', ...] }
+export function buildWorkflow(id, nodes, connections = [], extra = {}) {
+  return {
+    id,
+    name: id,
+    nodes: nodes.map((node) => ({ data: {}, ...node })),
+    connections: connections.map((connection) => {
+      const [from, to] = connection.split('->');
+      const [source, sourcePort = 'output'] = from.split(':');
+      const [target, targetPort = 'input'] = to.split(':');
+      return { source, target, sourcePort, targetPort };
+    }),
+    ...extra,
+  };
+}
+
+// Repository keeping the last checkpoint of every execution in memory
+export function memoryRepository() {
+  const executions = new Map();
+  return {
+    executions,
+    save: async (execution) => executions.set(execution.id, execution),
+    findById: async (id) => executions.get(id) || null,
+    findAll: async () => Array.from(executions.values()),
+  };
+}
+
+export function nodeStatus(result, nodeId) {
+  return result.nodeExecutions.find((node) => node.nodeId === nodeId)?.status;
+}
+
+// json of the items a node put on a port in its runs
+export function outputOf(result, nodeId, port = 'output') {
+  return result.results
+    .filter((entry) => entry.nodeId === nodeId)
+    .flatMap((entry) => (entry.outputs[port] || []).map((item) => item.json));
+}
+
+// Resolves with the first truthy result of `condition`, polled every 10ms
+export async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await condition();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for a condition');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+// Sends a request through the webhook service with a stand-in for the express response;
+// resolves { status, headers, body }
+export async function callWebhook(method, path, { test = false, body = {} } = {}) {
+  const req = { method, params: { path: path.split('/') }, headers: {}, query: {}, body };
+  const response = { status: 200, headers: {}, body: undefined };
+  const res = {
+    status(code) {
+      response.status = code;
+      return res;
+    },
+    set(headers) {
+      Object.assign(response.headers, headers);
+      return res;
+    },
+    json(value) {
+      response.body = value;
+      return res;
+    },
+    send(value) {
+      response.body = value;
+      return res;
+    },
+    end: () => res,
+  };
+  await webhookService.handle(req, res, { test });
+  return response;
+}
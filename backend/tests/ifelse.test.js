@@ -0,0 +1,173 @@
+// IfElse node: routing items by condition, rule groups, and custom expressions in the sandbox
+import './setup.js';
+import assert from 'assert';
+import { WorkflowEngine } from '../src/engine/WorkflowEngine.js';
+import { buildWorkflow, memoryRepository, outputOf, registerTestNodes } from './helpers.js';
+
+const ORDERS = [
+  { id: 1, total: 50, status: 'open', customer: { name: 'Ada' } },
+  { id: 2, total: 150, status: 'paid', customer: { name: 'Grace' } },
+  { id: 3, total: 300, status: 'open', customer: {} },
+];
+
+const ifElse = (data, items = ORDERS) =>
+  buildWorkflow(
+    'test-ifelse',
+    [
+      { id: 'trigger', type: 'ManualTrigger' },
+      { id: 'items', type: 'test.emit', data: { items } },
+      { id: 'if', type: 'IfElse', data },
+    ],
+    ['trigger->items', 'items->if'],
+  );
+
+const ids = (result, port) => outputOf(result, 'if', port).map((order) => order.id);
+
+describe('IfElse node', () => {
+  let engine;
+
+  before(registerTestNodes);
+  beforeEach(() => {
+    engine = new WorkflowEngine({ repository: memoryRepository() });
+  });
+
+  it('should route every item to the output of its condition', async () => {
+    const result = await engine.executeWorkflow(
+      ifElse({ condition: 'greater_than', field: 'total', value: '100' }),
+    );
+
+    assert.deepStrictEqual(ids(result, 'true'), [2, 3]);
+    assert.deepStrictEqual(ids(result, 'false'), [1]);
+  });
+
+  it('should evaluate the simple conditions on a field path', async () => {
+    const cases = [
+      [{ condition: 'equals', field: 'status', value: 'open' }, [1, 3]],
+      [{ condition: 'not_equals', field: 'total', value: '150' }, [1, 3]],
+      [{ condition: 'exists', field: 'customer.name' }, [1, 2]],
+      [{ condition: 'contains', field: 'customer.name', value: 'RAC' }, [2]],
+      [{ condition: 'starts_with', field: 'status', value: 'pa' }, [2]],
+      [{ condition: 'is_number', field: 'total' }, [1, 2, 3]],
+      [{ condition: 'is_string', field: 'total' }, []],
+    ];
+
+    for (const [data, expected] of cases) {
+      const result = await engine.executeWorkflow(ifElse(data));
+      assert.deepStrictEqual(ids(result, 'true'), expected, JSON.stringify(data));
+    }
+  });
+
+  it('should evaluate nested rule groups', async () => {
+    const rules = {
+      combinator: 'and',
+      rules: [
+        { field: 'status', type: 'string', operator: 'equals', value: 'open' },
+        {
+          combinator: 'or',
+          rules: [
+            { field: 'total', type: 'number', operator: 'gt', value: 200 },
+            { field: 'customer.name', type: 'string', operator: 'equals', value: 'Ada' },
+          ],
+        },
+      ],
+    };
+    const result = await engine.executeWorkflow(ifElse({ condition: 'rules', rules }));
+
+    assert.deepStrictEqual(ids(result, 'true'), [1, 3]);
+    assert.deepStrictEqual(ids(result, 'false'), [2]);
+  });
+
+  it('should fail on a rule with a regular expression that backtracks for too long', async () => {
+    const rules = {
+      rules: [{ field: 'text', type: 'string', operator: 'regex', value: '^(a+)+$' }],
+    };
+    await assert.rejects(
+      engine.executeWorkflow(
+        ifElse({ condition: 'rules', rules }, [{ text: `${'a'.repeat(40)}!` }]),
+      ),
+      (error) => error.code === 'CONDITION_ERROR' && /timed out after 250ms/.test(error.message),
+    );
+  });
+
+  it('should resolve expressions in its properties per item', async () => {
+    const result = await engine.executeWorkflow(
+      ifElse({ condition: 'equals', field: 'total', value: '{{ $json.id * 50 }}' }),
+    );
+    assert.deepStrictEqual(ids(result, 'true'), [1]);
+  });
+
+  it('should output the result instead of the item without pass-through', async () => {
+    const result = await engine.executeWorkflow(
+      ifElse({ condition: 'exists', field: 'customer.name', passThrough: false }, [ORDERS[0]]),
+    );
+
+    const [output] = outputOf(result, 'if', 'true');
+    assert.strictEqual(output.result, true);
+    assert.strictEqual(output.fieldValue, 'Ada');
+  });
+
+  it('should fail on an unknown condition', async () => {
+    await assert.rejects(
+      engine.executeWorkflow(ifElse({ condition: 'sometimes' })),
+      /Unknown condition type: sometimes/,
+    );
+  });
+
+  describe('Custom expressions', () => {
+    const custom = (customExpression, items) =>
+      ifElse({ condition: 'custom', customExpression }, items);
+
+    it('should evaluate the expression with the item as data', async () => {
+      const result = await engine.executeWorkflow(
+        custom('data.total > 100 && data.status === "open"'),
+      );
+      assert.deepStrictEqual(ids(result, 'true'), [3]);
+    });
+
+    it('should not resolve {{ }} templates in the expression', async () => {
+      await assert.rejects(
+        engine.executeWorkflow(custom('{{ $json.total > 100 }}', [ORDERS[0]])),
+        (error) =>
+          error.code === 'CONDITION_ERROR' && /Custom expression failed/.test(error.message),
+      );
+    });
+
+    it('should not reach the host process', async () => {
+      const result = await engine.executeWorkflow(
+        custom('typeof process === "undefined" && typeof require === "undefined"', [ORDERS[0]]),
+      );
+      assert.deepStrictEqual(ids(result, 'true'), [1]);
+
+      for (const escape of [
+        "globalThis.constructor.constructor('return process')().exit()",
+        "data.constructor.constructor('return process')().exit()",
+        "(() => {}).constructor('return process')().exit()",
+      ]) {
+        await assert.rejects(
+          engine.executeWorkflow(custom(escape, [ORDERS[0]])),
+          (error) => error.code === 'CONDITION_ERROR' && /Code generation/.test(error.message),
+        );
+      }
+    });
+
+    it('should not reach the host through templates in other properties', async () => {
+      await assert.rejects(
+        engine.executeWorkflow(
+          ifElse({
+            condition: 'exists',
+            field: "{{ $lower.constructor('return process')().pid }}",
+          }),
+        ),
+        (error) => error.code === 'EXPRESSION_ERROR' && /Code generation/.test(error.message),
+      );
+    });
+
+    it('should stop an expression that runs too long', async function () {
+      this.timeout(5000);
+      await assert.rejects(
+        engine.executeWorkflow(custom('(() => { for (;;) {} })()', [ORDERS[0]])),
+        (error) => error.code === 'CONDITION_ERROR' && error.details.reason === 'SANDBOX_TIMEOUT',
+      );
+    });
+  });
+});
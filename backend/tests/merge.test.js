@@ -0,0 +1,162 @@
+// Merge node: waiting for every branch, then appending, joining, pairing or choosing their items
+import './setup.js';
+import assert from 'assert';
+import { WorkflowEngine } from '../src/engine/WorkflowEngine.js';
+import { buildWorkflow, memoryRepository, outputOf, registerTestNodes } from './helpers.js';
+
+const CUSTOMERS = [
+  { id: 1, name: 'Ada' },
+  { id: 2, name: 'Grace' },
+  { id: 3, name: 'Edsger' },
+];
+const ORDERS = [
+  { customerId: '1', total: 10 },
+  { customerId: '1', total: 20 },
+  { customerId: '2', total: 30 },
+  { customerId: '9', total: 40 },
+];
+
+// input1 gets `first` and input2 gets `second`, after a delay so the branches settle apart
+const mergeWorkflow = (data, first = CUSTOMERS, second = ORDERS) =>
+  buildWorkflow(
+    'test-merge',
+    [
+      { id: 'trigger', type: 'ManualTrigger' },
+      { id: 'first', type: 'test.emit', data: { items: first } },
+      { id: 'second', type: 'test.emit', data: { items: second } },
+      { id: 'slow', type: 'test.sleep', data: { ms: 30 } },
+      { id: 'merge', type: 'Merge', data },
+    ],
+    [
+      'trigger->first',
+      'trigger->second',
+      'second->slow',
+      'first->merge:input1',
+      'slow->merge:input2',
+    ],
+  );
+
+describe('Merge node', () => {
+  let engine;
+
+  before(registerTestNodes);
+  beforeEach(() => {
+    engine = new WorkflowEngine({ repository: memoryRepository() });
+  });
+
+  it('should wait for every branch and append their items in input order', async () => {
+    const result = await engine.executeWorkflow(mergeWorkflow({}));
+
+    const runs = result.results.filter((entry) => entry.nodeId === 'merge');
+    assert.strictEqual(runs.length, 1);
+    assert.deepStrictEqual(outputOf(result, 'merge'), [...CUSTOMERS, ...ORDERS]);
+  });
+
+  it('should count a branch that output nothing as empty', async () => {
+    const workflow = buildWorkflow(
+      'test-merge-empty',
+      [
+        { id: 'trigger', type: 'ManualTrigger' },
+        { id: 'first', type: 'test.emit', data: { items: CUSTOMERS } },
+        { id: 'if', type: 'IfElse', data: { condition: 'exists', field: 'missing' } },
+        { id: 'merge', type: 'Merge' },
+      ],
+      ['trigger->first', 'first->if', 'first->merge:input1', 'if:true->merge:input2'],
+    );
+
+    const result = await engine.executeWorkflow(workflow);
+
+    assert.strictEqual(result.status, 'completed');
+    assert.deepStrictEqual(outputOf(result, 'merge'), CUSTOMERS);
+  });
+
+  describe('Join', () => {
+    const join = (joinType) =>
+      mergeWorkflow({ mode: 'join', joinType, joinKey: 'id', joinKey2: 'customerId' });
+
+    it('should join matching items on their keys compared as text', async () => {
+      const result = await engine.executeWorkflow(join('inner'));
+
+      assert.deepStrictEqual(outputOf(result, 'merge'), [
+        { id: 1, name: 'Ada', customerId: '1', total: 10 },
+        { id: 1, name: 'Ada', customerId: '1', total: 20 },
+        { id: 2, name: 'Grace', customerId: '2', total: 30 },
+      ]);
+      const [joined] = result.results.find((entry) => entry.nodeId === 'merge').outputs.output;
+      assert.strictEqual(joined.pairedItem.length, 2);
+    });
+
+    it('should keep the unmatched items of the first input in a left join', async () => {
+      const result = await engine.executeWorkflow(join('left'));
+      assert.deepStrictEqual(outputOf(result, 'merge').at(-1), { id: 3, name: 'Edsger' });
+      assert.strictEqual(outputOf(result, 'merge').length, 4);
+    });
+
+    it('should keep the unmatched items of every input in an outer join', async () => {
+      const result = await engine.executeWorkflow(join('outer'));
+      assert.deepStrictEqual(outputOf(result, 'merge').slice(-2), [
+        { id: 3, name: 'Edsger' },
+        { customerId: '9', total: 40 },
+      ]);
+    });
+
+    it('should fail without a key path or with an unknown join type', async () => {
+      await assert.rejects(
+        engine.executeWorkflow(mergeWorkflow({ mode: 'join' })),
+        (error) => error.code === 'MERGE_ERROR' && /key path is required/.test(error.message),
+      );
+      await assert.rejects(
+        engine.executeWorkflow(mergeWorkflow({ mode: 'join', joinKey: 'id', joinType: 'cross' })),
+        /Unknown join type: cross/,
+      );
+    });
+  });
+
+  it('should combine the items at the same position, up to the shortest input', async () => {
+    const result = await engine.executeWorkflow(mergeWorkflow({ mode: 'position' }));
+    assert.deepStrictEqual(outputOf(result, 'merge'), [
+      { id: 1, name: 'Ada', customerId: '1', total: 10 },
+      { id: 2, name: 'Grace', customerId: '1', total: 20 },
+      { id: 3, name: 'Edsger', customerId: '2', total: 30 },
+    ]);
+
+    const unpaired = await engine.executeWorkflow(
+      mergeWorkflow({ mode: 'position', includeUnpaired: true }),
+    );
+    assert.deepStrictEqual(outputOf(unpaired, 'merge').at(-1), { customerId: '9', total: 40 });
+  });
+
+  it('should output the items of the chosen branch', async () => {
+    const result = await engine.executeWorkflow(mergeWorkflow({ mode: 'chooseBranch', branch: 2 }));
+    assert.deepStrictEqual(outputOf(result, 'merge'), ORDERS);
+
+    await assert.rejects(
+      engine.executeWorkflow(mergeWorkflow({ mode: 'chooseBranch', branch: 3 })),
+      /Branch must be between 1 and 2/,
+    );
+  });
+
+  it('should merge more than two inputs from left to right', async () => {
+    const workflow = buildWorkflow(
+      'test-merge-three',
+      [
+        { id: 'trigger', type: 'ManualTrigger' },
+        { id: 'a', type: 'test.emit', data: { items: [{ n: 1, from: 'a' }] } },
+        { id: 'b', type: 'test.emit', data: { items: [{ n: 1, b: true, from: 'b' }] } },
+        { id: 'c', type: 'test.emit', data: { items: [{ n: 1, c: true, from: 'c' }] } },
+        { id: 'merge', type: 'Merge', data: { mode: 'join', joinKey: 'n', numberInputs: 3 } },
+      ],
+      [
+        'trigger->a',
+        'trigger->b',
+        'trigger->c',
+        'a->merge:input1',
+        'b->merge:input2',
+        'c->merge:input3',
+      ],
+    );
+
+    const result = await engine.executeWorkflow(workflow);
+    assert.deepStrictEqual(outputOf(result, 'merge'), [{ n: 1, from: 'c', b: true, c: true }]);
+  });
+});
@@ -0,0 +1,85 @@
+// Partial executions: re-running a workflow from one node with pinned or recorded upstream data
+import './setup.js';
+import assert from 'assert';
+import { WorkflowEngine } from '../src/engine/WorkflowEngine.js';
+import workflowOrchestrator from '../src/app/WorkflowOrchestrator.js';
+import workflowRepository from '../src/infra/WorkflowRepository.js';
+import eventBus from '../src/shared/EventBus.js';
+import { buildWorkflow, memoryRepository, outputOf, registerTestNodes } from './helpers.js';
+
+const workflow = buildWorkflow(
+  'test-partial',
+  [
+    { id: 'trigger', type: 'ManualTrigger' },
+    { id: 'a', type: 'test.emit', data: { items: [{ n: 1 }, { n: 2 }] } },
+    { id: 'b', type: 'test.tag' },
+    { id: 'c', type: 'test.sleep' },
+  ],
+  ['trigger->a', 'a->b', 'b->c'],
+);
+
+const nodeExecution = (result, nodeId) =>
+  result.nodeExecutions.find((node) => node.nodeId === nodeId);
+
+describe('Partial executions', () => {
+  let engine;
+  let repository;
+  const events = [];
+
+  before(() => {
+    registerTestNodes();
+    for (const type of ['workflow.started', 'workflow.failed']) {
+      eventBus.subscribe(type, () => events.push(type));
+    }
+  });
+  beforeEach(() => {
+    repository = memoryRepository();
+    engine = new WorkflowEngine({ repository });
+    events.length = 0;
+  });
+
+  it('should run the start node and its downstream nodes on pinned data', async () => {
+    const result = await engine.executePartial(workflow, 'b', {
+      pinData: { a: { output: [{ n: 7 }] } },
+    });
+
+    assert.strictEqual(result.status, 'completed');
+    assert.deepStrictEqual(outputOf(result, 'c'), [{ n: 7, index: 0 }]);
+    assert.strictEqual(nodeExecution(result, 'a').dataSource, 'pinned');
+    assert.strictEqual(nodeExecution(result, 'a').executions, 0);
+    assert.strictEqual(nodeExecution(result, 'trigger').executions, 0);
+  });
+
+  it('should replay the outputs recorded by a prior execution', async () => {
+    const first = await engine.executeWorkflow(workflow);
+    const sourceExecution = await repository.findById(first.executionId);
+
+    const result = await engine.executePartial(workflow, 'c', { sourceExecution });
+
+    assert.strictEqual(result.status, 'completed');
+    assert.strictEqual(nodeExecution(result, 'b').dataSource, 'history');
+    assert.strictEqual(nodeExecution(result, 'b').executions, 0);
+    assert.deepStrictEqual(outputOf(result, 'c'), [
+      { n: 1, index: 0 },
+      { n: 2, index: 1 },
+    ]);
+  });
+
+  it('should reject an unknown start node without starting an execution', async () => {
+    await assert.rejects(
+      workflowOrchestrator.executePartial({ workflow, startNodeId: 'missing' }),
+      (error) => error.code === 'PARTIAL_INVALID' && /not found/.test(error.message),
+    );
+
+    assert.deepStrictEqual(events, []);
+    assert.strictEqual(await workflowRepository.findById(workflow.id), null);
+  });
+
+  it('should reject a start node without upstream data without starting an execution', async () => {
+    await assert.rejects(
+      workflowOrchestrator.executePartial({ workflow, startNodeId: 'b' }),
+      (error) => error.code === 'PARTIAL_INVALID' && /No input data/.test(error.message),
+    );
+    assert.deepStrictEqual(events, []);
+  });
+});
@@ -0,0 +1,80 @@
+// Class and plugin nodes behind the NodeRegistry
+import './setup.js';
+import assert from 'assert';
+import { WorkflowEngine } from '../src/engine/WorkflowEngine.js';
+import nodeRegistry from '../src/engine/registry/NodeRegistry.js';
+import manualTriggerPlugin from '../src/plugins/manual-trigger.js';
+
+const triggerWorkflow = (type) => ({
+  id: `test-${type}`,
+  nodes: [{ id: 'trigger', type, data: { triggerData: { source: 'config', shared: 'config' } } }],
+  connections: [],
+});
+
+describe('Plugin nodes', () => {
+  const engine = new WorkflowEngine({ repository: null });
+
+  before(() => {
+    nodeRegistry.initialize();
+    nodeRegistry.registerPlugin(manualTriggerPlugin);
+  });
+
+  it('should give plugin and class manual triggers the same output for the same payload', async () => {
+    const payload = { orderId: 42, shared: 'payload' };
+    const outputs = {};
+    for (const type of ['ManualTrigger', 'manual.trigger']) {
+      const result = await engine.executeWorkflow(triggerWorkflow(type), payload);
+      assert.strictEqual(result.status, 'completed');
+      const { timestamp, executionId, ...output } = result.results[0].outputs.output[0].json;
+      assert.ok(timestamp);
+      assert.strictEqual(executionId, result.executionId);
+      outputs[type] = output;
+    }
+
+    assert.deepStrictEqual(outputs['manual.trigger'], outputs.ManualTrigger);
+    assert.deepStrictEqual(outputs.ManualTrigger.data, {
+      source: 'config',
+      shared: 'payload',
+      orderId: 42,
+    });
+  });
+
+  it('should pass the trigger data to plugin triggers only', async () => {
+    const seen = {};
+    nodeRegistry.registerNode('test.trigger', {
+      category: 'trigger',
+      outputs: [{ name: 'output' }],
+      run: (ctx) => {
+        seen.trigger = ctx.triggerData;
+        return { output: ctx.triggerData };
+      },
+    });
+    nodeRegistry.registerNode('test.action', {
+      category: 'action',
+      inputs: [{ name: 'input' }],
+      outputs: [{ name: 'output' }],
+      run: (ctx) => {
+        seen.action = ctx.triggerData;
+        return { output: ctx.input };
+      },
+    });
+
+    const result = await engine.executeWorkflow(
+      {
+        id: 'test-plugin-trigger-data',
+        nodes: [
+          { id: 'trigger', type: 'test.trigger', data: {} },
+          { id: 'action', type: 'test.action', data: {} },
+        ],
+        connections: [
+          { source: 'trigger', target: 'action', sourcePort: 'output', targetPort: 'input' },
+        ],
+      },
+      { name: 'payload' },
+    );
+
+    assert.strictEqual(result.status, 'completed');
+    assert.deepStrictEqual(seen.trigger, { name: 'payload' });
+    assert.strictEqual(seen.action, undefined);
+  });
+});
@@ -0,0 +1,250 @@
+// Polling: telling new items apart by id or cursor, and pollers of a local endpoint that keep
+// their state across polls and restarts
+import './setup.js';
+import assert from 'assert';
+import http from 'http';
+import { once } from 'events';
+import pollingService from '../src/app/PollingService.js';
+import nodeRegistry from '../src/engine/registry/NodeRegistry.js';
+import pollStateRepository from '../src/infra/PollStateRepository.js';
+import { buildWorkflow, waitFor } from './helpers.js';
+
+const byId = pollingService.getConfig({ data: { url: 'http://example.com' } });
+const byCursor = (cursorField) =>
+  pollingService.getConfig({
+    data: { url: 'http://example.com', dedupeBy: 'cursor', cursorField },
+  });
+
+describe('Polling', () => {
+  describe('New items', () => {
+    it('should output the items with ids not seen before and remember them', () => {
+      const first = pollingService.findNewItems(byId, null, [{ id: 1 }, { id: 2 }, { id: 1 }]);
+      assert.deepStrictEqual(first.newItems, [{ id: 1 }, { id: 2 }]);
+      assert.deepStrictEqual(first.state, { dedupeBy: 'id', seen: ['1', '2'] });
+
+      // Ids compare as text
+      const second = pollingService.findNewItems(byId, first.state, [{ id: '2' }, { id: 3 }]);
+      assert.deepStrictEqual(second.newItems, [{ id: 3 }]);
+      assert.deepStrictEqual(second.state.seen, ['1', '2', '3']);
+    });
+
+    it('should compare items without an id whole and read dotted id fields', () => {
+      const seen = pollingService.findNewItems(byId, null, [{ name: 'a' }]).state;
+      const { newItems } = pollingService.findNewItems(byId, seen, [{ name: 'a' }, { name: 'b' }]);
+      assert.deepStrictEqual(newItems, [{ name: 'b' }]);
+
+      const nested = { ...byId, idField: 'meta.key' };
+      const state = pollingService.findNewItems(nested, null, [
+        { meta: { key: 'k1' }, n: 1 },
+      ]).state;
+      assert.deepStrictEqual(state.seen, ['k1']);
+      assert.deepStrictEqual(
+        pollingService.findNewItems(nested, state, [{ meta: { key: 'k1' }, n: 2 }]).newItems,
+        [],
+      );
+    });
+
+    it('should forget the oldest ids first', () => {
+      const items = Array.from({ length: 10001 }, (_, id) => ({ id }));
+      const { state } = pollingService.findNewItems(byId, null, items);
+      assert.strictEqual(state.seen.length, 10000);
+      assert.strictEqual(state.seen[0], '1');
+
+      const { newItems } = pollingService.findNewItems(byId, state, [{ id: 0 }, { id: 10000 }]);
+      assert.deepStrictEqual(newItems, [{ id: 0 }]);
+    });
+
+    it('should output the items after the cursor and move it to the greatest', () => {
+      const config = byCursor('seq');
+      const first = pollingService.findNewItems(config, null, [{ seq: 2 }, { seq: 10 }, {}]);
+      assert.deepStrictEqual(first.newItems, [{ seq: 2 }, { seq: 10 }]);
+      assert.deepStrictEqual(first.state, {
+        dedupeBy: 'cursor',
+        cursor: 10,
+        boundaryIds: [JSON.stringify({ seq: 10 })],
+      });
+
+      // 9 < 10 as numbers, not as text
+      const second = pollingService.findNewItems(config, first.state, [{ seq: 9 }, { seq: 11 }]);
+      assert.deepStrictEqual(second.newItems, [{ seq: 11 }]);
+      assert.strictEqual(second.state.cursor, 11);
+
+      const none = pollingService.findNewItems(config, second.state, [{ seq: null }]);
+      assert.deepStrictEqual(none, { state: second.state, newItems: [] });
+    });
+
+    it('should output items that arrive later with the same cursor as the last one', () => {
+      const config = byCursor('updatedAt');
+      const first = pollingService.findNewItems(config, null, [
+        { id: 1, updatedAt: 5 },
+        { id: 2, updatedAt: 5 },
+      ]);
+      assert.deepStrictEqual(first.state.boundaryIds, ['1', '2']);
+
+      // 3 was written within the same second as 1 and 2, after the previous poll
+      const second = pollingService.findNewItems(config, first.state, [
+        { id: 1, updatedAt: 5 },
+        { id: 2, updatedAt: 5 },
+        { id: 3, updatedAt: 5 },
+      ]);
+      assert.deepStrictEqual(second.newItems, [{ id: 3, updatedAt: 5 }]);
+      assert.deepStrictEqual(second.state, {
+        dedupeBy: 'cursor',
+        cursor: 5,
+        boundaryIds: ['1', '2', '3'],
+      });
+
+      // A greater cursor only remembers the items at it
+      const third = pollingService.findNewItems(config, second.state, [
+        { id: 3, updatedAt: 5 },
+        { id: 4, updatedAt: 6 },
+      ]);
+      assert.deepStrictEqual(third.newItems, [{ id: 4, updatedAt: 6 }]);
+      assert.deepStrictEqual(third.state.boundaryIds, ['4']);
+
+      // States saved before the ids were remembered count the items at the cursor as seen
+      const legacy = { dedupeBy: 'cursor', cursor: 6 };
+      const { newItems } = pollingService.findNewItems(config, legacy, [{ id: 5, updatedAt: 6 }]);
+      assert.deepStrictEqual(newItems, []);
+    });
+
+    it('should compare date cursors as dates', () => {
+      const config = byCursor('meta.updatedAt');
+      const state = { dedupeBy: 'cursor', cursor: '2024-05-01T10:00:00Z' };
+      const { newItems, state: next } = pollingService.findNewItems(config, state, [
+        { meta: { updatedAt: '2024-05-01T09:00:00Z' } },
+        { meta: { updatedAt: '2024-05-01T12:00:00+01:00' } },
+        { meta: { updatedAt: 'Wed, 01 May 2024 13:00:00 GMT' } },
+      ]);
+      assert.strictEqual(newItems.length, 2);
+      assert.strictEqual(next.cursor, 'Wed, 01 May 2024 13:00:00 GMT');
+    });
+
+    it('should reject invalid settings', () => {
+      for (const [data, message] of [
+        [{}, /needs a url/],
+        [{ url: 'http://example.com', pollInterval: 0 }, /Invalid poll interval: 0 minutes/],
+        [{ url: 'http://example.com', dedupeBy: 'cursor' }, /needs a cursorField/],
+        [{ url: 'http://example.com', dedupeBy: 'hash' }, /Unknown dedupeBy: hash/],
+      ]) {
+        assert.throws(
+          () => pollingService.getConfig({ id: 'poll', data }),
+          (error) => error.code === 'POLLING_INVALID' && message.test(error.message),
+        );
+      }
+    });
+  });
+
+  describe('Pollers', () => {
+    let server;
+    let url;
+    let response;
+    let emitted;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        res.writeHead(response.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ data: { items: response.items } }));
+      });
+      server.listen(0);
+      await once(server, 'listening');
+      url = `http://127.0.0.1:${server.address().port}/items`;
+    });
+    after(() => server.close());
+    beforeEach(() => {
+      response = { status: 200, items: [{ id: 1 }, { id: 2 }] };
+      emitted = [];
+    });
+    afterEach(async () => {
+      for (const { workflow, node } of pollingService.pollers.values()) {
+        await pollingService.unregister(workflow.id, node.id);
+      }
+    });
+
+    const pollWorkflow = (id, data = {}) =>
+      buildWorkflow(id, [
+        {
+          id: 'poll',
+          type: 'PollingTrigger',
+          data: { url, itemsPath: 'data.items', pollInterval: 1, pollUnit: 'hours', ...data },
+        },
+      ]);
+
+    // Registers the poller and resolves with its entry once the first poll is done
+    async function start(workflow) {
+      const [node] = workflow.nodes;
+      const poller = nodeRegistry.createNode(node.type, node);
+      await pollingService.register(workflow, node, poller, ({ items }) => emitted.push(items));
+      const entry = pollingService.pollers.get(`${workflow.id}:${node.id}`);
+      await waitFor(() => entry.state?.lastPoll && !entry.polling);
+      return entry;
+    }
+
+    it('should record the items already there, then start one execution per poll', async () => {
+      const entry = await start(pollWorkflow('test-poll'));
+      assert.deepStrictEqual(emitted, []);
+
+      response.items = [{ id: 3 }, { id: 2 }, { id: 4 }];
+      await pollingService.poll(entry);
+      assert.deepStrictEqual(emitted, [[{ id: 3 }, { id: 4 }]]);
+
+      // Nothing new: no execution
+      await pollingService.poll(entry);
+      assert.strictEqual(emitted.length, 1);
+
+      const state = await pollStateRepository.findById('test-poll:poll');
+      assert.deepStrictEqual(state.seen, ['1', '2', '3', '4']);
+      assert.strictEqual(state.lastError, null);
+    });
+
+    it('should emit the existing items with emitExisting', async () => {
+      await start(pollWorkflow('test-poll-existing', { emitExisting: true }));
+      assert.deepStrictEqual(emitted, [[{ id: 1 }, { id: 2 }]]);
+    });
+
+    it('should not emit the items seen before a restart', async () => {
+      const workflow = pollWorkflow('test-poll-restart');
+      await start(workflow);
+      await pollingService.unregister(workflow.id, 'poll');
+
+      response.items = [{ id: 1 }, { id: 2 }, { id: 3 }];
+      await start(workflow);
+      assert.deepStrictEqual(emitted, [[{ id: 3 }]]);
+    });
+
+    it('should start over when the way of telling new items apart changes', async () => {
+      await start(pollWorkflow('test-poll-changed'));
+      response.items = [{ id: 3, seq: 3 }];
+
+      await start(pollWorkflow('test-poll-changed', { dedupeBy: 'cursor', cursorField: 'seq' }));
+      assert.deepStrictEqual(emitted, []);
+      const state = await pollStateRepository.findById('test-poll-changed:poll');
+      assert.deepStrictEqual([state.dedupeBy, state.cursor], ['cursor', 3]);
+    });
+
+    it('should record a failed poll and keep the state for the next one', async () => {
+      const entry = await start(pollWorkflow('test-poll-failing'));
+
+      response.status = 500;
+      await pollingService.poll(entry);
+      const failed = await pollStateRepository.findById('test-poll-failing:poll');
+      assert.match(failed.lastError, /Poll request failed with status 500/);
+      assert.deepStrictEqual(failed.seen, ['1', '2']);
+
+      response = { status: 200, items: [{ id: 2 }, { id: 5 }] };
+      await pollingService.poll(entry);
+      assert.deepStrictEqual(emitted, [[{ id: 5 }]]);
+      assert.strictEqual(entry.state.lastError, null);
+    });
+
+    it('should drop the state of trigger nodes removed from the workflow', async () => {
+      await start(pollWorkflow('test-poll-removed'));
+      assert.ok(await pollStateRepository.findById('test-poll-removed:poll'));
+
+      const workflow = pollWorkflow('test-poll-removed');
+      workflow.nodes[0] = { ...workflow.nodes[0], id: 'renamed' };
+      await start(workflow);
+      assert.strictEqual(await pollStateRepository.findById('test-poll-removed:poll'), null);
+    });
+  });
+});
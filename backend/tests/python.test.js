@@ -0,0 +1,190 @@
+// Python Code node: modes, print() capture, tracebacks, limits, stopping and a missing
+// interpreter. Skipped where no Python interpreter is installed.
+import { dataDir } from './setup.js';
+import assert from 'assert';
+import { spawnSync } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { WorkflowEngine } from '../src/engine/WorkflowEngine.js';
+import {
+  buildWorkflow,
+  memoryRepository,
+  outputOf,
+  registerTestNodes,
+  waitFor,
+} from './helpers.js';
+
+// Starts a process that outlives the code, writes its pid to `pidFile` and runs forever
+const spawnsChild = (pidFile) => `import subprocess, sys
+child = subprocess.Popen([sys.executable, '-c', 'import time; time.sleep(60)'])
+open(${JSON.stringify(pidFile)}, 'w').write(str(child.pid))
+while True: pass`;
+
+// Zombies wait for their parent to reap them but run no more
+const isRunning = (pid) => {
+  try {
+    return readFileSync(`/proc/${pid}/stat`, 'utf8').split(' ')[2] !== 'Z';
+  } catch {
+    return false;
+  }
+};
+
+const pythonWorkflow = (data, items = [{ n: 1 }, { n: 2 }]) =>
+  buildWorkflow(
+    'test-python',
+    [
+      { id: 'trigger', type: 'ManualTrigger' },
+      { id: 'items', type: 'test.emit', data: { items } },
+      { id: 'python', type: 'PythonCode', data },
+    ],
+    ['trigger->items', 'items->python'],
+  );
+
+describe('Python Code node', () => {
+  let engine;
+
+  before(function () {
+    const python = spawnSync(process.env.PYTHON_PATH || 'python3', ['--version']);
+    if (python.error || python.status !== 0) this.skip();
+    registerTestNodes();
+  });
+  beforeEach(() => {
+    engine = new WorkflowEngine({ repository: memoryRepository() });
+  });
+
+  it('should run once with all items and output the returned dicts', async () => {
+    const result = await engine.executeWorkflow(
+      pythonWorkflow({
+        code: "return [{'n': item['n'] * 2, 'from': _workflow['id']} for item in _input.all()]",
+      }),
+    );
+
+    assert.deepStrictEqual(outputOf(result, 'python'), [
+      { n: 2, from: 'test-python' },
+      { n: 4, from: 'test-python' },
+    ]);
+  });
+
+  it('should run once for each item with _json and _item_index', async () => {
+    const result = await engine.executeWorkflow(
+      pythonWorkflow({
+        mode: 'runOnceForEachItem',
+        code: "return {'n': _json['n'], 'index': _item_index}",
+      }),
+    );
+
+    assert.deepStrictEqual(outputOf(result, 'python'), [
+      { n: 1, index: 0 },
+      { n: 2, index: 1 },
+    ]);
+  });
+
+  it('should write print() output to the execution log', async () => {
+    const printed = [];
+    const log = engine.log.bind(engine);
+    engine.log = (executionId, level, message, data) => {
+      if (data?.source === 'print') printed.push(message);
+      return log(executionId, level, message, data);
+    };
+
+    await engine.executeWorkflow(
+      pythonWorkflow({ code: "print('items', len(_input.all()))\nprint('done')\nreturn []" }),
+    );
+
+    assert.deepStrictEqual(printed, ['items 2', 'done']);
+  });
+
+  it('should fail with the traceback of the user code', async () => {
+    await assert.rejects(
+      engine.executeWorkflow(pythonWorkflow({ code: "x = 1\nraise ValueError('bad item')" })),
+      (error) =>
+        error.code === 'CODE_ERROR' &&
+        /ValueError: bad item/.test(error.message) &&
+        error.details.reason === 'PYTHON_ERROR' &&
+        /line 2/.test(error.details.traceback),
+    );
+  });
+
+  it('should fail on a return value that is not dicts', async () => {
+    await assert.rejects(
+      engine.executeWorkflow(pythonWorkflow({ code: 'return [1, 2]' })),
+      /must return a dict or a list of dicts/,
+    );
+  });
+
+  it('should kill a run that takes longer than its timeout', async () => {
+    await assert.rejects(
+      engine.executeWorkflow(pythonWorkflow({ code: 'while True: pass', timeout: 200 })),
+      (error) => error.code === 'CODE_ERROR' && error.details.reason === 'PYTHON_TIMEOUT',
+    );
+  });
+
+  it('should reject a timeout over the limit and unknown memory limits', async () => {
+    await assert.rejects(
+      engine.executeWorkflow(pythonWorkflow({ code: 'return []', timeout: 3600000 })),
+      /Timeout must be between 0 and 60000ms/,
+    );
+    await assert.rejects(
+      engine.executeWorkflow(pythonWorkflow({ code: 'return []', memoryMb: 64 })),
+      /Memory limit must be one of 128, 256, 512, 1024 MB/,
+    );
+  });
+
+  it('should limit the memory of the process', async () => {
+    await assert.rejects(
+      engine.executeWorkflow(
+        pythonWorkflow({ code: 'data = bytearray(512 * 1024 * 1024)\nreturn []', memoryMb: 128 }),
+      ),
+      (error) => error.code === 'CODE_ERROR' && /MemoryError/.test(error.message),
+    );
+
+    const result = await engine.executeWorkflow(
+      pythonWorkflow({
+        code: "data = bytearray(512 * 1024 * 1024)\nreturn {'ok': True}",
+        memoryMb: 1024,
+      }),
+    );
+    assert.deepStrictEqual(outputOf(result, 'python'), [{ ok: true }]);
+  });
+
+  it('should kill the processes the code started on timeout', async function () {
+    if (!existsSync('/proc')) this.skip();
+    const pidFile = path.join(dataDir, 'python-child.pid');
+
+    await assert.rejects(
+      engine.executeWorkflow(pythonWorkflow({ code: spawnsChild(pidFile), timeout: 500 })),
+      (error) => error.details.reason === 'PYTHON_TIMEOUT',
+    );
+    const pid = Number(readFileSync(pidFile, 'utf8'));
+    await waitFor(() => !isRunning(pid));
+  });
+
+  it('should kill the process when the execution stops', async () => {
+    const run = engine.executeWorkflow(
+      pythonWorkflow({ code: 'while True: pass', timeout: 60000 }),
+    );
+    const [executionId] = engine.activeExecutions.keys();
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    const started = Date.now();
+    engine.stopExecution(executionId);
+    const result = await run;
+
+    assert.strictEqual(result.status, 'stopped');
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('should fail when the interpreter is not found', async () => {
+    const pythonPath = process.env.PYTHON_PATH;
+    process.env.PYTHON_PATH = 'python-that-does-not-exist';
+    try {
+      await assert.rejects(
+        engine.executeWorkflow(pythonWorkflow({ code: 'return []' })),
+        (error) => error.details.reason === 'PYTHON_NOT_FOUND',
+      );
+    } finally {
+      if (pythonPath === undefined) delete process.env.PYTHON_PATH;
+      else process.env.PYTHON_PATH = pythonPath;
+    }
+  });
+});
@@ -0,0 +1,189 @@
+// Respond to Webhook node: the response it sends for each respondWith option, and the
+// workflows it can not respond in
+import './setup.js';
+import assert from 'assert';
+import webhookService from '../src/app/WebhookService.js';
+import { WorkflowEngine } from '../src/engine/WorkflowEngine.js';
+import executionRepository from '../src/infra/ExecutionRepository.js';
+import storageRepository from '../src/infra/StorageRepository.js';
+import {
+  buildWorkflow,
+  callWebhook,
+  memoryRepository,
+  registerTestNodes,
+  waitFor,
+} from './helpers.js';
+
+const ITEMS = [{ n: 1 }, { n: 2 }];
+
+// Webhook `<id>` -> two items -> Respond to Webhook (with `data`) -> after
+const respondWorkflow = (id, data, { responseMode = 'responseNode' } = {}) =>
+  buildWorkflow(
+    id,
+    [
+      { id: 'hook', type: 'WebhookTrigger', data: { path: id, responseMode } },
+      { id: 'items', type: 'test.emit', data: { items: ITEMS } },
+      { id: 'respond', type: 'RespondToWebhook', data },
+      { id: 'after', type: 'test.sleep', data: { ms: 20 } },
+    ],
+    ['hook->items', 'items->respond', 'respond->after'],
+  );
+
+// Serves the workflow on /webhook/<id> and calls it
+async function respond(data, options) {
+  const id = `test-respond-${Math.random().toString(36).slice(2)}`;
+  const workflow = respondWorkflow(id, data, options);
+  webhookService.register(workflow, workflow.nodes[0]);
+  try {
+    return { id, response: await callWebhook('POST', id) };
+  } finally {
+    webhookService.unregister(id, 'hook');
+  }
+}
+
+describe('Respond to Webhook node', () => {
+  before(async () => {
+    registerTestNodes();
+    await storageRepository.saveFile('test-report.pdf', Buffer.from('%PDF'));
+  });
+
+  it('should respond with the first item and go on with the workflow', async () => {
+    const { id, response } = await respond({
+      responseCode: 201,
+      headers: { 'X-Request-Id': 'abc' },
+    });
+
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.headers['X-Request-Id'], 'abc');
+    assert.deepStrictEqual(response.body, { n: 1 });
+
+    const [summary] = await waitFor(async () => {
+      const summaries = await executionRepository.findSummaries('completed');
+      const found = summaries.filter((execution) => execution.workflowId === id);
+      return found.length > 0 && found;
+    });
+    const execution = await executionRepository.findById(summary.id);
+    assert.deepStrictEqual(
+      execution.nodes.after.runs[0].outputs.output.map((item) => item.json),
+      ITEMS,
+    );
+  });
+
+  it('should respond with every respondWith option', async () => {
+    const cases = [
+      [{ respondWith: 'allIncomingItems' }, 200, ITEMS],
+      [{ respondWith: 'json', responseBody: '{"ok":true}' }, 200, { ok: true }],
+      [{ respondWith: 'text', responseBody: 'Thanks {{ $json.n }}' }, 200, 'Thanks 1'],
+      [{ respondWith: 'noData', responseCode: 204 }, 204, undefined],
+    ];
+    for (const [data, status, body] of cases) {
+      const { response } = await respond(data);
+      assert.strictEqual(response.status, status, data.respondWith);
+      assert.deepStrictEqual(response.body, body, data.respondWith);
+    }
+
+    const { response: text } = await respond({ respondWith: 'text', responseBody: 'hi' });
+    assert.match(text.headers['Content-Type'], /^text\/plain/);
+  });
+
+  it('should redirect and send files from storage', async () => {
+    const { response: redirect } = await respond({
+      respondWith: 'redirect',
+      redirectUrl: 'https://example.com/thanks',
+    });
+    assert.strictEqual(redirect.status, 302);
+    assert.strictEqual(redirect.headers.Location, 'https://example.com/thanks');
+
+    const { response: file } = await respond({
+      respondWith: 'binary',
+      storageKey: 'test-report.pdf',
+      headers: { 'Content-Type': 'application/pdf' },
+    });
+    assert.strictEqual(file.headers['Content-Type'], 'application/pdf');
+    assert.strictEqual(file.body.toString(), '%PDF');
+  });
+
+  it('should fail the execution on an invalid response', async () => {
+    for (const [data, message] of [
+      [{ respondWith: 'json', responseBody: '{oops' }, /not valid JSON/],
+      [{ respondWith: 'binary', storageKey: 'missing' }, /File not found in storage: "missing"/],
+      [{ respondWith: 'redirect' }, /redirect URL is required/],
+      [{ responseCode: 700 }, /Invalid response code: 700/],
+    ]) {
+      const { response } = await respond(data);
+      assert.strictEqual(response.status, 500);
+      assert.match(response.body.details, message);
+    }
+  });
+
+  it('should answer 500 when the workflow ends without responding', async () => {
+    const id = 'test-respond-none';
+    const workflow = buildWorkflow(id, [
+      { id: 'hook', type: 'WebhookTrigger', data: { path: id, responseMode: 'responseNode' } },
+    ]);
+    webhookService.register(workflow, workflow.nodes[0]);
+    try {
+      const response = await callWebhook('POST', id);
+      assert.strictEqual(response.status, 500);
+      assert.match(response.body.error, /without a Respond to Webhook node answering/);
+    } finally {
+      webhookService.unregister(id, 'hook');
+    }
+  });
+
+  describe('Workflows it can not respond in', () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new WorkflowEngine({ repository: memoryRepository() });
+    });
+
+    it('should fail in an execution not started by a webhook', async () => {
+      const workflow = buildWorkflow(
+        'test-respond-manual',
+        [
+          { id: 'trigger', type: 'ManualTrigger' },
+          { id: 'respond', type: 'RespondToWebhook' },
+        ],
+        ['trigger->respond'],
+      );
+      await assert.rejects(
+        engine.executeWorkflow(workflow),
+        (error) => error.code === 'RESPOND_ERROR' && /not started by a webhook/.test(error.message),
+      );
+    });
+
+    it('should fail when the webhook does not wait for a response node', async () => {
+      const { response } = await respond({}, { responseMode: 'lastNode' });
+      assert.strictEqual(response.status, 500);
+      assert.match(response.body.details, /does not wait for a Respond to Webhook node/);
+    });
+
+    it('should fail when the response was already sent', async () => {
+      const responses = [];
+      const workflow = buildWorkflow(
+        'test-respond-twice',
+        [
+          { id: 'hook', type: 'WebhookTrigger' },
+          { id: 'respond', type: 'RespondToWebhook' },
+          { id: 'again', type: 'RespondToWebhook' },
+        ],
+        ['hook->respond', 'respond->again'],
+      );
+
+      await assert.rejects(
+        engine.executeWorkflow(
+          workflow,
+          { body: {} },
+          {
+            mode: 'webhook',
+            triggerNodeId: 'hook',
+            webhook: { responseMode: 'responseNode', respond: (sent) => responses.push(sent) },
+          },
+        ),
+        /already sent by node respond/,
+      );
+      assert.strictEqual(responses.length, 1);
+    });
+  });
+});
@@ -0,0 +1,261 @@
+// Schedules: cron parsing and next runs across DST changes, and the scheduler's intervals,
+// restarts and overlapping runs
+import './setup.js';
+import assert from 'assert';
+import scheduleService from '../src/app/ScheduleService.js';
+import scheduleRepository from '../src/infra/ScheduleRepository.js';
+import { getNextRun, parseCron } from '../src/shared/cron.js';
+import { buildWorkflow, waitFor } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// The next `count` runs after `after`, as ISO strings
+function nextRuns(expression, after, count, timezone = 'UTC') {
+  const runs = [];
+  let from = new Date(after);
+  for (let index = 0; index < count; index++) {
+    from = getNextRun(expression, from, timezone);
+    runs.push(from.toISOString());
+  }
+  return runs;
+}
+
+const sorted = (values) => [...values].sort((a, b) => a - b);
+
+describe('Schedules', () => {
+  describe('Cron expressions', () => {
+    it('should reject invalid expressions with INVALID_CRON', () => {
+      for (const [expression, message] of [
+        ['* * * *', /must have 5 or 6 fields/],
+        ['60 * * * *', /minute must be between 0 and 59, got 60/],
+        ['0 24 * * *', /hour must be between 0 and 23/],
+        ['*/0 * * * *', /Invalid minute step/],
+        ['1/2/3 * * * *', /Invalid minute step/],
+        ['0 0 10-5 * *', /Invalid day of month range/],
+        ['0 0 * FOO *', /Invalid month value: "FOO"/],
+        ['0 0 * * 8', /day of week must be between 0 and 7/],
+        ['', /must have 5 or 6 fields/],
+      ]) {
+        assert.throws(
+          () => parseCron(expression),
+          (error) => error.code === 'INVALID_CRON' && message.test(error.message),
+          expression,
+        );
+      }
+    });
+
+    it('should expand macros, names, lists, ranges and steps', () => {
+      assert.deepStrictEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+      assert.deepStrictEqual(parseCron('@HOURLY'), parseCron('0 * * * *'));
+
+      const named = parseCron('0 9 * jan-MAR,dec Mon-fri');
+      assert.deepStrictEqual(sorted(named.month), [1, 2, 3, 12]);
+      assert.deepStrictEqual(sorted(named.dayOfWeek), [1, 2, 3, 4, 5]);
+
+      // From 5 to the end of the field in steps of 15
+      assert.deepStrictEqual(sorted(parseCron('5/15 * * * *').minute), [5, 20, 35, 50]);
+      assert.deepStrictEqual(sorted(parseCron('0 8-18/4 * * *').hour), [8, 12, 16]);
+      assert.deepStrictEqual(sorted(parseCron('*/20 * * * * *').second), [0, 20, 40]);
+      // Five fields run at second 0
+      assert.deepStrictEqual(sorted(parseCron('* * * * *').second), [0]);
+    });
+
+    it('should take 7 as Sunday', () => {
+      assert.deepStrictEqual(sorted(parseCron('0 0 * * 7').dayOfWeek), [0]);
+      assert.deepStrictEqual(sorted(parseCron('0 0 * * 5-7').dayOfWeek), [0, 5, 6]);
+      assert.deepStrictEqual(nextRuns('0 12 * * 7', '2024-01-01T00:00:00Z', 1), [
+        '2024-01-07T12:00:00.000Z',
+      ]);
+    });
+
+    it('should match either day field when both are restricted', () => {
+      // The 13th, or any Friday
+      assert.deepStrictEqual(nextRuns('0 0 13 * 5', '2024-01-01T00:00:00Z', 4), [
+        '2024-01-05T00:00:00.000Z',
+        '2024-01-12T00:00:00.000Z',
+        '2024-01-13T00:00:00.000Z',
+        '2024-01-19T00:00:00.000Z',
+      ]);
+      // Only one of them restricted: that one alone
+      assert.deepStrictEqual(nextRuns('0 0 13 * *', '2024-01-01T00:00:00Z', 2), [
+        '2024-01-13T00:00:00.000Z',
+        '2024-02-13T00:00:00.000Z',
+      ]);
+    });
+
+    it('should run strictly after the given time in the given timezone', () => {
+      assert.deepStrictEqual(nextRuns('0 9 * * *', '2024-01-01T09:00:00Z', 1), [
+        '2024-01-02T09:00:00.000Z',
+      ]);
+      assert.deepStrictEqual(nextRuns('0 9 * * *', '2024-01-01T00:00:00Z', 1, 'Asia/Tokyo'), [
+        '2024-01-02T00:00:00.000Z',
+      ]);
+    });
+
+    it('should run times skipped by a spring-forward change right after the gap', () => {
+      // Berlin skips 02:00-03:00 on 31 March 2024
+      assert.deepStrictEqual(nextRuns('30 2 * * *', '2024-03-30T12:00:00Z', 2, 'Europe/Berlin'), [
+        '2024-03-31T01:30:00.000Z', // 03:30 CEST
+        '2024-04-01T00:30:00.000Z', // 02:30 CEST
+      ]);
+    });
+
+    it('should run times repeated by a fall-back change once', () => {
+      // Berlin passes 02:00-03:00 twice on 27 October 2024
+      assert.deepStrictEqual(nextRuns('30 2 * * *', '2024-10-26T12:00:00Z', 2, 'Europe/Berlin'), [
+        '2024-10-27T00:30:00.000Z', // 02:30 CEST
+        '2024-10-28T01:30:00.000Z', // 02:30 CET the next day
+      ]);
+      assert.deepStrictEqual(nextRuns('0 * * * *', '2024-10-26T23:30:00Z', 3, 'Europe/Berlin'), [
+        '2024-10-27T00:00:00.000Z', // 02:00 CEST
+        '2024-10-27T02:00:00.000Z', // 03:00 CET, not 02:00 CET again
+        '2024-10-27T03:00:00.000Z',
+      ]);
+    });
+
+    it('should return null for an expression that never matches', () => {
+      assert.strictEqual(getNextRun('0 0 30 2 *', new Date('2024-01-01T00:00:00Z')), null);
+      assert.strictEqual(getNextRun('0 0 31 4,6,9,11 *', new Date('2024-01-01T00:00:00Z')), null);
+    });
+  });
+
+  describe('Scheduler', () => {
+    const scheduleWorkflow = (id, data) =>
+      buildWorkflow(id, [{ id: 'schedule', type: 'ScheduleTrigger', data }]);
+
+    afterEach(async () => {
+      for (const { workflow, node } of scheduleService.schedules.values()) {
+        await scheduleService.unregister(workflow.id, node.id);
+      }
+    });
+
+    it('should reject invalid schedules with SCHEDULE_INVALID', () => {
+      for (const [data, message] of [
+        [{ cronExpression: '61 * * * *' }, /minute must be between 0 and 59/],
+        [{ timezone: 'Mars/Olympus' }, /Unknown timezone: "Mars\/Olympus"/],
+        [{ mode: 'interval', interval: 0 }, /Invalid interval: 0 hours/],
+        [{ mode: 'interval', intervalUnit: 'weeks' }, /Invalid interval: 1 weeks/],
+        [{ mode: 'once' }, /Unknown schedule mode: once/],
+      ]) {
+        assert.throws(
+          () => scheduleService.getConfig({ id: 'schedule', data }),
+          (error) => error.code === 'SCHEDULE_INVALID' && message.test(error.message),
+        );
+      }
+    });
+
+    it('should keep the rhythm of an interval from its last run', () => {
+      const config = scheduleService.getConfig({ data: { mode: 'interval', interval: 1 } });
+      const lastRun = '2024-01-01T10:00:00.000Z';
+
+      const next = (after) =>
+        scheduleService.getNextRun(config, new Date(after), lastRun).toISOString();
+      assert.strictEqual(next('2024-01-01T10:20:00Z'), '2024-01-01T11:00:00.000Z');
+      // Runs missed while the backend was down are not caught up
+      assert.strictEqual(next('2024-01-01T13:30:00Z'), '2024-01-01T14:00:00.000Z');
+      // Without a last run it starts from now
+      assert.strictEqual(
+        scheduleService.getNextRun(config, new Date('2024-01-01T10:20:00Z')).toISOString(),
+        '2024-01-01T11:20:00.000Z',
+      );
+    });
+
+    it('should continue an interval from the last run stored before a restart', async () => {
+      const workflow = scheduleWorkflow('test-schedule-restart', { mode: 'interval' });
+      const lastRun = new Date(Date.now() - 1.5 * HOUR).toISOString();
+      await scheduleRepository.save({
+        id: 'test-schedule-restart:schedule',
+        workflowId: workflow.id,
+        nodeId: 'schedule',
+        lastRun,
+        skippedRuns: 2,
+      });
+
+      await scheduleService.register(workflow, workflow.nodes[0], async () => {});
+
+      const schedule = scheduleService.schedules.get('test-schedule-restart:schedule');
+      assert.strictEqual(schedule.nextRun.getTime(), Date.parse(lastRun) + 2 * HOUR);
+      assert.strictEqual(schedule.skippedRuns, 2);
+      const record = await scheduleRepository.findById('test-schedule-restart:schedule');
+      assert.strictEqual(record.nextRun, schedule.nextRun.toISOString());
+
+      await scheduleService.unregister(workflow.id, 'schedule');
+      assert.strictEqual(
+        (await scheduleRepository.findById('test-schedule-restart:schedule')).nextRun,
+        null,
+      );
+    });
+
+    it('should fire on its schedule with the scheduled time', async function () {
+      this.timeout(5000);
+      const fired = [];
+      const workflow = scheduleWorkflow('test-schedule-fire', {
+        mode: 'interval',
+        interval: 1,
+        intervalUnit: 'seconds',
+        timezone: 'Europe/Berlin',
+      });
+      await scheduleService.register(workflow, workflow.nodes[0], async (triggerData) => {
+        fired.push(triggerData);
+      });
+
+      await waitFor(() => fired.length > 0, 3000);
+      assert.strictEqual(fired[0].timezone, 'Europe/Berlin');
+      assert.ok(Date.parse(fired[0].timestamp) >= Date.parse(fired[0].scheduledTime));
+      const record = await scheduleRepository.findById('test-schedule-fire:schedule');
+      assert.strictEqual(record.lastRun, fired[0].timestamp);
+    });
+
+    it('should skip and count runs that would overlap with preventOverlap', async () => {
+      let finish;
+      let runs = 0;
+      const emit = () => {
+        runs += 1;
+        return new Promise((resolve) => (finish = resolve));
+      };
+      const workflow = scheduleWorkflow('test-schedule-overlap', {
+        mode: 'interval',
+        preventOverlap: true,
+      });
+      await scheduleService.register(workflow, workflow.nodes[0], emit);
+      const schedule = scheduleService.schedules.get('test-schedule-overlap:schedule');
+
+      const first = scheduleService.fire(schedule);
+      await waitFor(() => runs === 1);
+      await scheduleService.fire(schedule);
+      await scheduleService.fire(schedule);
+      assert.strictEqual(runs, 1);
+      assert.strictEqual(schedule.skippedRuns, 2);
+      assert.strictEqual(
+        (await scheduleRepository.findById('test-schedule-overlap:schedule')).skippedRuns,
+        2,
+      );
+
+      finish();
+      await first;
+      const next = scheduleService.fire(schedule);
+      await waitFor(() => runs === 2);
+      finish();
+      await next;
+      assert.strictEqual(schedule.skippedRuns, 2);
+    });
+
+    it('should let runs overlap without preventOverlap', async () => {
+      let runs = 0;
+      const pending = [];
+      const workflow = scheduleWorkflow('test-schedule-parallel', { mode: 'interval' });
+      await scheduleService.register(workflow, workflow.nodes[0], () => {
+        runs += 1;
+        return new Promise((resolve) => pending.push(resolve));
+      });
+      const schedule = scheduleService.schedules.get('test-schedule-parallel:schedule');
+
+      const fires = [scheduleService.fire(schedule), scheduleService.fire(schedule)];
+      await waitFor(() => runs === 2);
+      assert.strictEqual(schedule.running, 2);
+      assert.strictEqual(schedule.skippedRuns, 0);
+      pending.forEach((resolve) => resolve());
+      await Promise.all(fires);
+    });
+  });
+});
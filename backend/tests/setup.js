@@ -0,0 +1,19 @@
+// Shared setup of the engine tests: repositories write to a temporary directory instead of
+// backend/data. Import it before any module of the backend.
+import { mkdtempSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'flowforge-tests-'));
+
+const DIRECTORIES = {
+  EXECUTIONS_DIR: 'executions',
+  WORKFLOWS_DIR: 'workflows',
+  SCHEDULES_DIR: 'schedules',
+  POLL_STATE_DIR: 'polls',
+};
+for (const [variable, directory] of Object.entries(DIRECTORIES)) {
+  process.env[variable] = path.join(dataDir, directory);
+}
+
+export { dataDir };
@@ -0,0 +1,174 @@
+// Execute Workflow node: child executions per item, input mappings, failures, fire and forget,
+// recursion limits and stopping
+import './setup.js';
+import assert from 'assert';
+import { WorkflowEngine } from '../src/engine/WorkflowEngine.js';
+import workflowRepository from '../src/infra/WorkflowRepository.js';
+import {
+  buildWorkflow,
+  memoryRepository,
+  nodeStatus,
+  outputOf,
+  registerTestNodes,
+  waitFor,
+} from './helpers.js';
+
+const trigger = { id: 'trigger', type: 'ManualTrigger' };
+
+// Saved workflow ending in `last`, after the trigger
+const saveChild = (id, last) =>
+  workflowRepository.save(buildWorkflow(id, [trigger, { id: 'last', ...last }], ['trigger->last']));
+
+// Runs the saved workflow `workflowId` once per item of `items`
+const parent = (id, data, items = [{ n: 1 }, { n: 2 }]) =>
+  buildWorkflow(
+    id,
+    [
+      trigger,
+      { id: 'items', type: 'test.emit', data: { items } },
+      { id: 'call', type: 'ExecuteWorkflow', data },
+    ],
+    ['trigger->items', 'items->call'],
+  );
+
+const childrenOf = (repository, executionId) =>
+  Array.from(repository.executions.values()).filter(
+    (execution) => execution.options.parentExecutionId === executionId,
+  );
+
+describe('Sub-workflows', () => {
+  let engine;
+  let repository;
+
+  before(async () => {
+    registerTestNodes();
+    await saveChild('test-child-echo', { type: 'test.sleep' });
+    await saveChild('test-child-slow', { type: 'test.sleep', data: { ms: 5000 } });
+    await saveChild('test-child-fail', { type: 'test.fail', data: { message: 'child broke' } });
+    await workflowRepository.save(
+      parent('test-child-recursive', { workflowId: 'test-child-recursive' }, [{ n: 1 }]),
+    );
+  });
+  beforeEach(() => {
+    repository = memoryRepository();
+    engine = new WorkflowEngine({ repository });
+  });
+
+  it('should run the sub-workflow once per item and output its final items', async () => {
+    const result = await engine.executeWorkflow(
+      parent('test-parent-echo', { workflowId: 'test-child-echo' }),
+    );
+
+    assert.strictEqual(result.status, 'completed');
+    assert.deepStrictEqual(
+      outputOf(result, 'call').map((item) => item.data),
+      [{ n: 1 }, { n: 2 }],
+    );
+    const children = childrenOf(repository, result.executionId);
+    assert.strictEqual(children.length, 2);
+    assert.ok(children.every((child) => child.mode === 'subworkflow'));
+    assert.ok(children.every((child) => child.options.depth === 1));
+  });
+
+  it('should map typed inputs to the trigger data of the sub-workflow', async () => {
+    const inputs = [
+      { name: 'count', path: 'n', type: 'number' },
+      { name: 'flag', value: 'true', type: 'boolean' },
+      { name: 'tags', value: '["a","b"]', type: 'array' },
+    ];
+    const result = await engine.executeWorkflow(
+      parent('test-parent-inputs', { workflowId: 'test-child-echo', inputs }, [{ n: '5' }]),
+    );
+
+    assert.deepStrictEqual(outputOf(result, 'call')[0].data, {
+      count: 5,
+      flag: true,
+      tags: ['a', 'b'],
+    });
+  });
+
+  it('should fail the node on an input that does not convert', async () => {
+    const inputs = [{ name: 'count', path: 'n', type: 'number' }];
+    await assert.rejects(
+      engine.executeWorkflow(
+        parent('test-parent-bad-input', { workflowId: 'test-child-echo', inputs }, [{ n: 'x' }]),
+      ),
+      /Input "count" is not a number/,
+    );
+  });
+
+  it('should fail the node when the sub-workflow fails', async () => {
+    await assert.rejects(
+      engine.executeWorkflow(parent('test-parent-fail', { workflowId: 'test-child-fail' })),
+      /child broke/,
+    );
+    const saved = Array.from(repository.executions.values()).find(
+      (execution) => execution.workflowId === 'test-parent-fail',
+    );
+    assert.strictEqual(saved.failedNodeId, 'call');
+  });
+
+  it('should fail the node when the workflow does not exist', async () => {
+    await assert.rejects(
+      engine.executeWorkflow(parent('test-parent-missing', { workflowId: 'test-missing' })),
+      /Workflow test-missing not found/,
+    );
+  });
+
+  it('should output the child execution ids without waiting when fire and forget', async () => {
+    const result = await engine.executeWorkflow(
+      parent('test-parent-detached', { workflowId: 'test-child-echo', waitForCompletion: false }),
+    );
+
+    assert.strictEqual(result.status, 'completed');
+    const outputs = outputOf(result, 'call');
+    assert.strictEqual(outputs.length, 2);
+    assert.ok(outputs.every((output) => output.workflowId === 'test-child-echo'));
+
+    const children = await waitFor(() => {
+      const found = childrenOf(repository, result.executionId);
+      return found.length === 2 && found.every((child) => child.status === 'completed') && found;
+    });
+    assert.ok(children.every((child) => child.options.detached));
+    assert.deepStrictEqual(
+      children.map((child) => child.id).sort(),
+      outputs.map((output) => output.executionId).sort(),
+    );
+  });
+
+  it('should stop at the recursion depth limit', async () => {
+    const recursive = await workflowRepository.findById('test-child-recursive');
+    await assert.rejects(
+      engine.executeWorkflow(recursive, {}, { maxDepth: 3 }),
+      /recursion depth exceeded \(3\)/,
+    );
+    assert.strictEqual(
+      Array.from(repository.executions.values()).filter(
+        (execution) => execution.workflowId === 'test-child-recursive',
+      ).length,
+      4,
+    );
+  });
+
+  it('should stop a sub-workflow it waits for with its parent', async () => {
+    const run = engine.executeWorkflow(
+      parent('test-parent-stop', { workflowId: 'test-child-slow' }, [{ n: 1 }]),
+    );
+    const [executionId] = engine.activeExecutions.keys();
+    const [child] = await waitFor(() => {
+      const found = childrenOf(repository, executionId);
+      return found.length > 0 && found;
+    });
+
+    engine.stopExecution(executionId);
+    const result = await run;
+
+    assert.strictEqual(result.status, 'stopped');
+    assert.strictEqual(nodeStatus(result, 'call'), 'cancelled');
+    const saved = await waitFor(() => {
+      const execution = repository.executions.get(child.id);
+      return execution.status !== 'running' && execution;
+    });
+    assert.strictEqual(saved.status, 'stopped');
+  });
+});
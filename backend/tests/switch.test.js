@@ -0,0 +1,120 @@
+// Switch node: routing items by ordered rules or an output index, with a fallback
+import './setup.js';
+import assert from 'assert';
+import { WorkflowEngine } from '../src/engine/WorkflowEngine.js';
+import nodeRegistry from '../src/engine/registry/NodeRegistry.js';
+import { buildWorkflow, memoryRepository, outputOf, registerTestNodes } from './helpers.js';
+
+const ORDERS = [
+  { id: 1, status: 'paid', total: 1500 },
+  { id: 2, status: 'paid', total: 20 },
+  { id: 3, status: 'open', total: 2000 },
+  { id: 4, status: 'open', total: 5 },
+];
+
+const rule = (label, field, type, operator, value) => ({
+  label,
+  conditions: { combinator: 'and', rules: [{ field, type, operator, value }] },
+});
+
+const RULES = [
+  rule('Paid', 'status', 'string', 'equals', 'paid'),
+  rule('Large', 'total', 'number', 'gte', 1000),
+];
+
+const switchWorkflow = (data, items = ORDERS) =>
+  buildWorkflow(
+    'test-switch',
+    [
+      { id: 'trigger', type: 'ManualTrigger' },
+      { id: 'items', type: 'test.emit', data: { items } },
+      { id: 'switch', type: 'Switch', data },
+    ],
+    ['trigger->items', 'items->switch'],
+  );
+
+const ids = (result, port) => outputOf(result, 'switch', port).map((order) => order.id);
+
+describe('Switch node', () => {
+  let engine;
+
+  before(registerTestNodes);
+  beforeEach(() => {
+    engine = new WorkflowEngine({ repository: memoryRepository() });
+  });
+
+  it('should have an output per rule and a fallback', () => {
+    const node = nodeRegistry.createNode('Switch', { data: { rules: RULES } });
+    assert.deepStrictEqual(
+      node.defineOutputs().map((output) => [output.name, output.description]),
+      [
+        ['output0', 'Paid'],
+        ['output1', 'Large'],
+        ['fallback', 'Items no rule matched'],
+      ],
+    );
+
+    const byIndex = nodeRegistry.createNode('Switch', {
+      data: { mode: 'expression', numberOutputs: 2 },
+    });
+    assert.deepStrictEqual(
+      byIndex.defineOutputs().map((output) => output.name),
+      ['output0', 'output1', 'fallback'],
+    );
+  });
+
+  it('should route every item to the first rule it matches', async () => {
+    const result = await engine.executeWorkflow(switchWorkflow({ rules: RULES }));
+
+    assert.deepStrictEqual(ids(result, 'output0'), [1, 2]);
+    assert.deepStrictEqual(ids(result, 'output1'), [3]);
+    assert.deepStrictEqual(ids(result, 'fallback'), [4]);
+  });
+
+  it('should route items to every rule they match with sendToAll', async () => {
+    const result = await engine.executeWorkflow(switchWorkflow({ rules: RULES, sendToAll: true }));
+
+    assert.deepStrictEqual(ids(result, 'output0'), [1, 2]);
+    assert.deepStrictEqual(ids(result, 'output1'), [1, 3]);
+    assert.deepStrictEqual(ids(result, 'fallback'), [4]);
+  });
+
+  it('should route items by the output index of an expression', async () => {
+    const result = await engine.executeWorkflow(
+      switchWorkflow({
+        mode: 'expression',
+        numberOutputs: 2,
+        outputIndex: '{{ $json.id - 1 }}',
+      }),
+    );
+
+    assert.deepStrictEqual(ids(result, 'output0'), [1]);
+    assert.deepStrictEqual(ids(result, 'output1'), [2]);
+    // Indexes 2 and 3 are out of range
+    assert.deepStrictEqual(ids(result, 'fallback'), [3, 4]);
+  });
+
+  it('should send items with an index that is not an integer to the fallback', async () => {
+    const result = await engine.executeWorkflow(
+      switchWorkflow({ mode: 'expression', outputIndex: '{{ $json.status }}' }),
+    );
+    assert.deepStrictEqual(ids(result, 'fallback'), [1, 2, 3, 4]);
+  });
+
+  it('should fail with the number of a rule that is invalid', async () => {
+    const rules = [RULES[0], rule('Bad', 'total', 'number', 'around', 5)];
+    await assert.rejects(
+      engine.executeWorkflow(switchWorkflow({ rules }, [ORDERS[3]])),
+      (error) =>
+        error.code === 'CONDITION_ERROR' &&
+        /Switch rule 2 failed: Unknown number operator "around"/.test(error.message),
+    );
+  });
+
+  it('should fail when the rules are not a list', async () => {
+    await assert.rejects(
+      engine.executeWorkflow(switchWorkflow({ rules: { label: 'Paid' } })),
+      /Routing rules must be an array/,
+    );
+  });
+});
@@ -0,0 +1,133 @@
+// Wait node: short waits in memory, executions suspended until a time or a resume call, and the
+// WaitTracker that resumes them
+import './setup.js';
+import assert from 'assert';
+import workflowEngine from '../src/engine/WorkflowEngine.js';
+import executionRepository from '../src/infra/ExecutionRepository.js';
+import workflowOrchestrator from '../src/app/WorkflowOrchestrator.js';
+import waitTracker from '../src/app/WaitTracker.js';
+import { buildWorkflow, nodeStatus, outputOf, registerTestNodes, waitFor } from './helpers.js';
+
+const trigger = { id: 'trigger', type: 'ManualTrigger' };
+
+const waitWorkflow = (id, data) =>
+  buildWorkflow(
+    id,
+    [
+      trigger,
+      { id: 'items', type: 'test.emit', data: { items: [{ n: 1 }, { n: 2 }] } },
+      { id: 'wait', type: 'Wait', data },
+      { id: 'after', type: 'test.sleep' },
+    ],
+    ['trigger->items', 'items->wait', 'wait->after'],
+  );
+
+// Resolves with the saved execution once it has the status
+const savedWithStatus = (executionId, status) =>
+  waitFor(async () => {
+    const execution = await executionRepository.findById(executionId);
+    return execution?.status === status && execution;
+  });
+
+describe('Wait node', () => {
+  before(registerTestNodes);
+
+  it('should sleep in memory through a short wait', async () => {
+    const result = await workflowEngine.executeWorkflow(
+      waitWorkflow('test-wait-short', { amount: 0.05, unit: 'seconds' }),
+    );
+
+    assert.strictEqual(result.status, 'completed');
+    assert.ok(result.duration >= 50);
+    assert.deepStrictEqual(outputOf(result, 'after'), [{ n: 1 }, { n: 2 }]);
+  });
+
+  it('should suspend the execution through a long wait and resume it once the time is over', async () => {
+    const result = await workflowEngine.executeWorkflow(
+      waitWorkflow('test-wait-long', { amount: 2, unit: 'hours' }),
+    );
+
+    assert.strictEqual(result.status, 'waiting');
+    assert.strictEqual(nodeStatus(result, 'wait'), 'waiting');
+    assert.ok(new Date(result.waitTill) - Date.now() > 60 * 60 * 1000);
+    assert.strictEqual(await workflowOrchestrator.resumeWaitingExecution(result.executionId), null);
+
+    // Two hours later
+    const checkpoint = await executionRepository.findById(result.executionId);
+    const past = new Date(Date.now() - 1000).toISOString();
+    checkpoint.nodes.wait.waiting.resumeAt = past;
+    checkpoint.nodes.wait.state.resumeAt = past;
+    await executionRepository.save(checkpoint);
+
+    assert.ok(await workflowOrchestrator.resumeWaitingExecution(result.executionId));
+    const resumed = await savedWithStatus(result.executionId, 'completed');
+    assert.deepStrictEqual(
+      resumed.nodes.after.runs[0].outputs.output.map((item) => item.json),
+      [{ n: 1 }, { n: 2 }],
+    );
+  });
+
+  it('should resume with the request to the resume URL', async () => {
+    const result = await workflowEngine.executeWorkflow(
+      waitWorkflow('test-wait-webhook', { resume: 'webhook', httpMethod: 'POST' }),
+    );
+    assert.strictEqual(result.status, 'waiting');
+
+    const request = { method: 'POST', body: { approved: true }, query: {} };
+    const wrongMethod = { ...request, method: 'GET' };
+    assert.strictEqual(
+      await workflowOrchestrator.resumeWaitingExecution(result.executionId, wrongMethod),
+      null,
+    );
+    assert.ok(await workflowOrchestrator.resumeWaitingExecution(result.executionId, request));
+
+    const resumed = await savedWithStatus(result.executionId, 'completed');
+    assert.deepStrictEqual(resumed.nodes.after.runs[0].outputs.output[0].json, request);
+  });
+
+  it('should fail on an invalid date', async () => {
+    await assert.rejects(
+      workflowEngine.executeWorkflow(
+        waitWorkflow('test-wait-invalid', { resume: 'specificTime', dateTime: 'next week' }),
+      ),
+      /Invalid date and time/,
+    );
+  });
+
+  describe('WaitTracker', () => {
+    afterEach(() => {
+      for (const timer of waitTracker.timers.values()) clearTimeout(timer);
+      waitTracker.timers.clear();
+    });
+
+    it('should time the executions due before its next poll from the index', async () => {
+      const waiting = (id, delay) => ({
+        id,
+        workflowId: 'test-wait-tracker',
+        status: 'waiting',
+        startTime: new Date(),
+        waitTill: new Date(Date.now() + delay),
+        nodes: {},
+        errors: [],
+      });
+      await executionRepository.save(waiting('tracker-soon', 10 * 1000));
+      await executionRepository.save(waiting('tracker-later', 2 * 60 * 60 * 1000));
+
+      const { findById } = executionRepository;
+      let checkpointsRead = 0;
+      executionRepository.findById = async (id) => {
+        checkpointsRead++;
+        return findById.call(executionRepository, id);
+      };
+      try {
+        await waitTracker.poll();
+      } finally {
+        executionRepository.findById = findById;
+      }
+
+      assert.strictEqual(checkpointsRead, 0);
+      assert.ok(waitTracker.timers.has('tracker-soon'));
+      assert.ok(!waitTracker.timers.has('tracker-later'));
+    });
+  });
+});
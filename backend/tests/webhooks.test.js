@@ -0,0 +1,130 @@
+// Webhooks: test webhooks armed from the editor for one call or until they expire, and the
+// webhooks of active workflows
+import './setup.js';
+import assert from 'assert';
+import webhookService from '../src/app/WebhookService.js';
+import workflowOrchestrator from '../src/app/WorkflowOrchestrator.js';
+import workflowRepository from '../src/infra/WorkflowRepository.js';
+import { buildWorkflow, callWebhook as call, registerTestNodes, waitFor } from './helpers.js';
+
+const hookWorkflow = (id, path = `${id}/new`) =>
+  buildWorkflow(
+    id,
+    [
+      {
+        id: 'hook',
+        type: 'WebhookTrigger',
+        data: { path, httpMethods: ['POST'], responseMode: 'lastNode' },
+      },
+      { id: 'last', type: 'test.sleep' },
+    ],
+    ['hook->last'],
+  );
+
+describe('Webhooks', () => {
+  before(async () => {
+    registerTestNodes();
+    await workflowRepository.save(hookWorkflow('test-hook-saved'));
+    await workflowRepository.save(
+      buildWorkflow('test-hook-none', [{ id: 'trigger', type: 'ManualTrigger' }]),
+    );
+  });
+  afterEach(() => {
+    for (const workflowId of webhookService.testTimers.keys()) {
+      webhookService.disarmTest(workflowId);
+    }
+  });
+
+  describe('Test webhooks', () => {
+    it('should not serve a saved workflow that was not armed', async () => {
+      const response = await call('POST', 'test-hook-saved/new', { test: true });
+      assert.strictEqual(response.status, 404);
+      assert.match(response.body.error, /No test webhook is armed for POST \/test-hook-saved\/new/);
+    });
+
+    it('should serve one call once armed', async () => {
+      const armed = await workflowOrchestrator.armTestWebhook('test-hook-saved');
+      const [webhook] = armed.webhooks;
+      assert.strictEqual(armed.webhooks.length, 1);
+      assert.strictEqual(webhook.nodeId, 'hook');
+      assert.strictEqual(webhook.method, 'POST');
+      assert.match(webhook.url, /\/webhook-test\/test-hook-saved\/new$/);
+
+      const first = await call('POST', 'test-hook-saved/new', { test: true, body: { n: 1 } });
+      assert.strictEqual(first.status, 200);
+      assert.deepStrictEqual(first.body.body, { n: 1 });
+      assert.strictEqual(first.body.webhookUrl, webhook.url);
+
+      const second = await call('POST', 'test-hook-saved/new', { test: true });
+      assert.strictEqual(second.status, 404);
+    });
+
+    it('should not read the saved workflows to serve a call', async () => {
+      await workflowOrchestrator.armTestWebhook('test-hook-saved');
+
+      const { findAll, findById } = workflowRepository;
+      let reads = 0;
+      workflowRepository.findAll = async () => (reads++, findAll.call(workflowRepository));
+      workflowRepository.findById = async (id) => (reads++, findById.call(workflowRepository, id));
+      try {
+        const response = await call('POST', 'test-hook-saved/new', { test: true });
+        assert.strictEqual(response.status, 200);
+      } finally {
+        Object.assign(workflowRepository, { findAll, findById });
+      }
+      assert.strictEqual(reads, 0);
+    });
+
+    it('should expire after its timeout', async () => {
+      webhookService.armTest(hookWorkflow('test-hook-expiring'), null, 20);
+      assert.ok(webhookService.testWebhooks.has('POST test-hook-expiring/new'));
+
+      await waitFor(() => !webhookService.testWebhooks.has('POST test-hook-expiring/new'));
+      const response = await call('POST', 'test-hook-expiring/new', { test: true });
+      assert.strictEqual(response.status, 404);
+    });
+
+    it('should be disarmed on request', async () => {
+      await workflowOrchestrator.armTestWebhook('test-hook-saved');
+      assert.strictEqual(workflowOrchestrator.disarmTestWebhook('test-hook-saved'), true);
+      assert.strictEqual(workflowOrchestrator.disarmTestWebhook('test-hook-saved'), false);
+
+      const response = await call('POST', 'test-hook-saved/new', { test: true });
+      assert.strictEqual(response.status, 404);
+    });
+
+    it('should reject workflows without webhook nodes, missing ones and conflicts', async () => {
+      assert.strictEqual(await workflowOrchestrator.armTestWebhook('test-hook-missing'), null);
+      await assert.rejects(
+        workflowOrchestrator.armTestWebhook('test-hook-none'),
+        (error) => error.code === 'WEBHOOK_INVALID' && /has no webhook node/.test(error.message),
+      );
+      await assert.rejects(
+        workflowOrchestrator.armTestWebhook('test-hook-saved', 'last'),
+        (error) => error.code === 'WEBHOOK_INVALID',
+      );
+
+      webhookService.armTest(hookWorkflow('test-hook-other', 'test-hook-saved/new'));
+      await assert.rejects(
+        workflowOrchestrator.armTestWebhook('test-hook-saved'),
+        (error) => error.code === 'WEBHOOK_CONFLICT',
+      );
+    });
+  });
+
+  describe('Active webhooks', () => {
+    it('should serve registered webhooks until they are unregistered', async () => {
+      const workflow = hookWorkflow('test-hook-active');
+      webhookService.register(workflow, workflow.nodes[0]);
+
+      // Not on the test URL
+      assert.strictEqual((await call('POST', 'test-hook-active/new', { test: true })).status, 404);
+      assert.strictEqual((await call('POST', 'test-hook-active/new')).status, 200);
+      assert.strictEqual((await call('POST', 'test-hook-active/new')).status, 200);
+      assert.strictEqual((await call('GET', 'test-hook-active/new')).status, 404);
+
+      webhookService.unregister(workflow.id, 'hook');
+      assert.strictEqual((await call('POST', 'test-hook-active/new')).status, 404);
+    });
+  });
+});